@@ -5,9 +5,9 @@
  */
 
 import { NotificationManager } from './modules/notification-manager.js';
-import { calculateAllStreaks, getStreakStatus, checkMilestone } from './modules/streak-calculator.js';
+import { StreakCache, checkMilestone, isStreakAtRisk } from './modules/streak-calculator.js';
 import { showToast, showLoading, hideLoading, showConfirm, celebrateMilestone } from './modules/ui-helpers.js';
-import { formatDate, formatDateDisplay, getTodayString } from './utils/date-utils.js';
+import { formatDate, formatDateDisplay, getTodayString, addDays } from './utils/date-utils.js';
 
 /**
  * Enhanced app functionality that extends the base HabitTrackerApp
@@ -16,7 +16,13 @@ export class AppEnhancements {
     constructor(habitApp) {
         this.habitApp = habitApp;
         this.notificationManager = new NotificationManager();
-        this.streakCache = {};
+        
+        const dataManager = habitApp.dataManager;
+        this.streakCache = new StreakCache(
+            () => dataManager.data.habits,
+            () => dataManager.data.days,
+            (habit, date) => dataManager.isHabitDueForStreak(habit, date)
+        );
         this.init();
     }
     
@@ -29,7 +35,7 @@ export class AppEnhancements {
         // Wait for the main app's data to be loaded
         await this.habitApp.dataManager.ensureInitialized();
         
-        // Calculate initial streaks
+        // Drop anything calculated before the data finished loading
         this.updateStreakCache();
         
         // Set up event listeners for habit completions to track milestones
@@ -39,12 +45,11 @@ export class AppEnhancements {
     }
     
     /**
-     * Update streak cache
+     * Discard all cached streaks so they're recalculated on next use
+     * (after schedule edits, pauses, imports)
      */
     updateStreakCache() {
-        const habits = this.habitApp.dataManager.data.habits;
-        const daysData = this.habitApp.dataManager.data.days;
-        this.streakCache = calculateAllStreaks(habits, daysData);
+        this.streakCache.invalidateAll();
     }
     
     /**
@@ -53,7 +58,27 @@ export class AppEnhancements {
      * @returns {Object} Streak status
      */
     getHabitStreak(habitId) {
-        return this.streakCache[habitId] || { current: 0, longest: 0 };
+        return this.streakCache.getStatus(habitId) || { current: 0, longest: 0 };
+    }
+    
+    /**
+     * Check if a habit's streak breaks unless it's done today, honouring pauses and freezes
+     * @param {string} habitId - Habit ID
+     * @returns {boolean} True if streak at risk
+     */
+    isHabitStreakAtRisk(habitId) {
+        const dataManager = this.habitApp.dataManager;
+        const habit = dataManager.data.habits.find(h => h.id === habitId);
+        if (!habit || dataManager.isNegativeHabit(habit)) {
+            return false;
+        }
+        
+        return isStreakAtRisk(
+            habitId,
+            dataManager.data.days,
+            (date) => dataManager.isHabitDueForStreak(habit, date),
+            dataManager.getFreezesRemaining(habit)
+        );
     }
     
     /**
@@ -69,17 +94,18 @@ export class AppEnhancements {
             const isToday = dateStr === getTodayString();
             
             // Get previous streak
-            const previousStreak = this.streakCache[habitId]?.current || 0;
+            const previousStreak = this.getHabitStreak(habitId).current;
             
             // Call original method
             await originalSetHabitComplete(date, habitId, completed);
             
-            // Update streak cache
-            this.updateStreakCache();
+            // Only this habit's streak from the changed day onwards needs recalculating.
+            // Day keys in DataManager are UTC dates, which can sit a day behind local time.
+            this.streakCache.invalidate(habitId, addDays(date, -1));
             
             // Check for milestone if completing today
             if (completed && isToday) {
-                const currentStreak = this.streakCache[habitId]?.current || 0;
+                const currentStreak = this.getHabitStreak(habitId).current;
                 const milestone = checkMilestone(previousStreak, currentStreak);
                 
                 if (milestone) {
@@ -162,10 +188,20 @@ export class AppEnhancements {
      * Set habit reminder
      * @param {string} habitId - Habit ID
      * @param {string} habitName - Habit name
-     * @param {string} time - Time in HH:MM format
+     * @param {string|null} time - Time in HH:MM format, or null to use the time-of-day default
+     * @param {string|null} timeOfDay - Habit time-of-day section
+     */
+    setHabitReminder(habitId, habitName, time = null, timeOfDay = null) {
+        this.notificationManager.setHabitReminder(habitId, habitName, time, timeOfDay);
+    }
+    
+    /**
+     * Get a habit's stored reminder
+     * @param {string} habitId - Habit ID
+     * @returns {Object|null} Reminder with name, time and timeOfDay, or null
      */
-    setHabitReminder(habitId, habitName, time) {
-        this.notificationManager.setHabitReminder(habitId, habitName, time);
+    getHabitReminder(habitId) {
+        return this.notificationManager.habitReminders[habitId] || null;
     }
     
     /**
@@ -3,6 +3,21 @@
 // Constants
 const ALL_DAYS_RANGE = 365;
 const CANVAS_HEIGHT = 200;
+const AMOUNT_CHART_HEIGHT = 80;
+const TRACKING_CHART_HEIGHT = 120;
+const INSIGHT_MIN_SAMPLES = 5; // days needed on each side of a comparison
+const INSIGHT_MIN_CORRELATION = 0.3;
+const INSIGHT_MAX_SHOWN = 5;
+const HEATMAP_CHUNK_DAYS = 31; // days worked through between yields to the browser
+const PLANNER_CATEGORIES = [
+    { id: 'work', label: 'Work' },
+    { id: 'personal', label: 'Personal' },
+    { id: 'health', label: 'Health' },
+    { id: 'social', label: 'Social' },
+    { id: 'other', label: 'Other' }
+];
+
+const PLANNER_OUTCOME_MARKS = { done: '✓ ', skipped: '✕ ', shifted: '↔ ' };
 
 // Data Management
 class DataManager {
@@ -10,13 +25,18 @@ class DataManager {
         this.data = {
             habits: [],
             trackingFields: [],
-            days: {}, // key: YYYY-MM-DD, value: { habits: {}, tracking: {} }
+            days: {}, // key: YYYY-MM-DD, value: { habits: {}, habitValues: {}, tracking: {}, note: '', habitNotes: {} }
             plannerEvents: [], // array of daily planner event objects
             events: [], // array of calendar event objects
-            templates: [] // array of event template objects
+            templates: [], // array of event template objects
+            pauses: [], // array of streak pause ranges { id, habitId (null = all habits), startDate, endDate, note }
+            habitGroups: [], // array of habit group objects { id, name, color, icon }
+            dayTemplates: [] // array of planner day templates { id, name, blocks: [{ startTime, endTime, title, category, notes }] }
         };
         this.dbManager = new DBManager();
         this.cloudStorageManager = new CloudStorageManager();
+        // 0 = Sunday, 1 = Monday, 6 = Saturday; the calendar and times-per-week counts share it
+        this.weekStartDay = parseInt(localStorage.getItem('trackDeezWeekStart')) || 0;
         this.useIndexedDB = false;
         this.initialized = false;
         this.initPromise = this.init();
@@ -45,6 +65,8 @@ class DataManager {
             this.loadDataFromLocalStorage();
         }
         
+        this.applyStoredOrder();
+        this.normalizeStoredTrackingValues();
         this.initialized = true;
     }
 
@@ -82,7 +104,10 @@ class DataManager {
                 const daysArray = Object.keys(data.days).map(date => ({
                     date: date,
                     habits: data.days[date].habits || {},
-                    tracking: data.days[date].tracking || {}
+                    habitValues: data.days[date].habitValues || {},
+                    tracking: data.days[date].tracking || {},
+                    note: data.days[date].note || '',
+                    habitNotes: data.days[date].habitNotes || {}
                 }));
                 await this.dbManager.putAll('days', daysArray);
                 console.log(`Migrated ${daysArray.length} days of data`);
@@ -94,6 +119,24 @@ class DataManager {
                 console.log(`Migrated ${data.plannerEvents.length} planner events`);
             }
 
+            // Migrate streak pauses
+            if (data.pauses && data.pauses.length > 0) {
+                await this.dbManager.putAll('pauses', data.pauses);
+                console.log(`Migrated ${data.pauses.length} streak pauses`);
+            }
+
+            // Migrate habit groups
+            if (data.habitGroups && data.habitGroups.length > 0) {
+                await this.dbManager.putAll('habitGroups', data.habitGroups);
+                console.log(`Migrated ${data.habitGroups.length} habit groups`);
+            }
+
+            // Migrate planner day templates
+            if (data.dayTemplates && data.dayTemplates.length > 0) {
+                await this.dbManager.putAll('dayTemplates', data.dayTemplates);
+                console.log(`Migrated ${data.dayTemplates.length} day templates`);
+            }
+
             // Remove localStorage data after successful migration
             localStorage.removeItem('trackDeezData');
             console.log('Migration complete! localStorage data removed.');
@@ -106,16 +149,28 @@ class DataManager {
     loadDataFromLocalStorage() {
         const data = localStorage.getItem('trackDeezData');
         if (data) {
-            const parsedData = JSON.parse(data);
-            this.data = {
-                habits: parsedData.habits || [],
-                trackingFields: parsedData.trackingFields || [],
-                days: parsedData.days || {},
-                plannerEvents: parsedData.plannerEvents || []
-            };
+            this.setLoadedData(JSON.parse(data));
         }
     }
 
+    // Data from localStorage or the cloud may predate newer collections, so fill
+    // them in and bring stored order and tracking values into the current shape
+    setLoadedData(data) {
+        this.data = {
+            habits: data.habits || [],
+            trackingFields: data.trackingFields || [],
+            days: data.days || {},
+            plannerEvents: data.plannerEvents || [],
+            events: data.events || [],
+            templates: data.templates || [],
+            pauses: data.pauses || [],
+            habitGroups: data.habitGroups || [],
+            dayTemplates: data.dayTemplates || []
+        };
+        this.applyStoredOrder();
+        this.normalizeStoredTrackingValues();
+    }
+
     async loadData() {
         // Check if we should load from cloud storage
         if (this.cloudStorageManager.isCloudMode() && this.cloudStorageManager.isConfigured()) {
@@ -124,14 +179,7 @@ class DataManager {
                 const cloudData = await this.cloudStorageManager.downloadData();
                 
                 if (cloudData) {
-                    this.data = {
-                        habits: cloudData.habits || [],
-                        trackingFields: cloudData.trackingFields || [],
-                        days: cloudData.days || {},
-                        plannerEvents: cloudData.plannerEvents || [],
-                        events: cloudData.events || [],
-                        templates: cloudData.templates || []
-                    };
+                    this.setLoadedData(cloudData);
                     console.log('Data loaded from cloud storage');
                     return;
                 }
@@ -161,7 +209,10 @@ class DataManager {
             daysArray.forEach(dayObj => {
                 this.data.days[dayObj.date] = {
                     habits: dayObj.habits || {},
-                    tracking: dayObj.tracking || {}
+                    habitValues: dayObj.habitValues || {},
+                    tracking: dayObj.tracking || {},
+                    note: dayObj.note || '',
+                    habitNotes: dayObj.habitNotes || {}
                 };
             });
 
@@ -177,6 +228,18 @@ class DataManager {
             const templates = await this.dbManager.getAll('templates');
             this.data.templates = templates || [];
 
+            // Load streak pauses
+            const pauses = await this.dbManager.getAll('pauses');
+            this.data.pauses = pauses || [];
+
+            // Load habit groups
+            const habitGroups = await this.dbManager.getAll('habitGroups');
+            this.data.habitGroups = habitGroups || [];
+
+            // Load planner day templates
+            const dayTemplates = await this.dbManager.getAll('dayTemplates');
+            this.data.dayTemplates = dayTemplates || [];
+
             console.log('Data loaded from IndexedDB');
         } catch (error) {
             console.error('Error loading data from IndexedDB:', error);
@@ -187,7 +250,10 @@ class DataManager {
                 days: {},
                 plannerEvents: [],
                 events: [],
-                templates: []
+                templates: [],
+                pauses: [],
+                habitGroups: [],
+                dayTemplates: []
             };
         }
     }
@@ -222,7 +288,10 @@ class DataManager {
             const daysArray = Object.keys(this.data.days).map(date => ({
                 date: date,
                 habits: this.data.days[date].habits || {},
-                tracking: this.data.days[date].tracking || {}
+                habitValues: this.data.days[date].habitValues || {},
+                tracking: this.data.days[date].tracking || {},
+                note: this.data.days[date].note || '',
+                habitNotes: this.data.days[date].habitNotes || {}
             }));
             await this.dbManager.putAll('days', daysArray);
 
@@ -235,6 +304,15 @@ class DataManager {
             // Save templates
             await this.dbManager.putAll('templates', this.data.templates);
 
+            // Save streak pauses
+            await this.dbManager.putAll('pauses', this.data.pauses);
+
+            // Save habit groups
+            await this.dbManager.putAll('habitGroups', this.data.habitGroups);
+
+            // Save planner day templates
+            await this.dbManager.putAll('dayTemplates', this.data.dayTemplates);
+
             console.log('Data saved to IndexedDB');
         } catch (error) {
             console.error('Error saving data to IndexedDB:', error);
@@ -244,18 +322,51 @@ class DataManager {
     }
 
     // Habits
-    async addHabit(name, description = '', isBuildUpHabit = false, buildUpConfig = null) {
+    async addHabit(name, description = '', isBuildUpHabit = false, buildUpConfig = null, options = {}) {
         const habit = {
             id: Date.now().toString(),
             name,
             description,
             archived: false,
             createdAt: new Date().toISOString(),
-            isBuildUpHabit: isBuildUpHabit || false
+            isBuildUpHabit: isBuildUpHabit || false,
+            order: this.getNextOrder(this.data.habits)
         };
         
+        // Add schedule if the habit isn't an every-day habit
+        const schedule = this.normalizeSchedule(options.schedule);
+        if (schedule) {
+            habit.schedule = schedule;
+        }
+        
+        // Negative habits track slips, so they can't be measurable or build up
+        if (options.kind === 'negative') {
+            habit.kind = 'negative';
+            habit.isBuildUpHabit = false;
+        }
+        
+        // Add target configuration for measurable habits
+        if (!habit.kind && options.type === 'measurable' && options.targetConfig) {
+            habit.type = 'measurable';
+            habit.targetConfig = this.normalizeTargetConfig(options.targetConfig);
+        }
+        
+        // Monthly allowance of freeze days that keep a streak alive
+        if (options.freezesPerMonth > 0) {
+            habit.freezesPerMonth = options.freezesPerMonth;
+        }
+        
+        if (options.groupId) {
+            habit.groupId = options.groupId;
+        }
+        
+        // Habits default to 'anytime', which isn't stored
+        if (this.isValidTimeOfDay(options.timeOfDay) && options.timeOfDay !== 'anytime') {
+            habit.timeOfDay = options.timeOfDay;
+        }
+        
         // Add build-up configuration if this is a build-up habit
-        if (isBuildUpHabit && buildUpConfig) {
+        if (habit.isBuildUpHabit && buildUpConfig) {
             habit.buildUpConfig = {
                 startValue: buildUpConfig.startValue,
                 goalValue: buildUpConfig.goalValue,
@@ -272,7 +383,7 @@ class DataManager {
         return habit;
     }
 
-    async updateHabit(id, name, description = '', isBuildUpHabit = false, buildUpConfig = null) {
+    async updateHabit(id, name, description = '', isBuildUpHabit = false, buildUpConfig = null, options = {}) {
         const habitIndex = this.data.habits.findIndex(h => h.id === id);
         if (habitIndex !== -1) {
             const existingHabit = this.data.habits[habitIndex];
@@ -303,6 +414,65 @@ class DataManager {
                 delete this.data.habits[habitIndex].buildUpConfig;
             }
             
+            // Update schedule if provided, keeping the anchor date of an unchanged interval
+            if ('schedule' in options) {
+                const schedule = this.normalizeSchedule(options.schedule, existingHabit.schedule);
+                if (schedule) {
+                    this.data.habits[habitIndex].schedule = schedule;
+                } else {
+                    delete this.data.habits[habitIndex].schedule;
+                }
+            }
+            
+            // Update habit type, dropping the target if it's no longer measurable
+            if ('type' in options) {
+                if (options.type === 'measurable' && options.targetConfig) {
+                    this.data.habits[habitIndex].type = 'measurable';
+                    this.data.habits[habitIndex].targetConfig = this.normalizeTargetConfig(options.targetConfig);
+                } else {
+                    delete this.data.habits[habitIndex].type;
+                    delete this.data.habits[habitIndex].targetConfig;
+                }
+            }
+            
+            if ('groupId' in options) {
+                if (options.groupId) {
+                    this.data.habits[habitIndex].groupId = options.groupId;
+                } else {
+                    delete this.data.habits[habitIndex].groupId;
+                }
+            }
+            
+            if ('timeOfDay' in options) {
+                if (this.isValidTimeOfDay(options.timeOfDay) && options.timeOfDay !== 'anytime') {
+                    this.data.habits[habitIndex].timeOfDay = options.timeOfDay;
+                } else {
+                    delete this.data.habits[habitIndex].timeOfDay;
+                }
+            }
+            
+            if ('freezesPerMonth' in options) {
+                if (options.freezesPerMonth > 0) {
+                    this.data.habits[habitIndex].freezesPerMonth = options.freezesPerMonth;
+                } else {
+                    delete this.data.habits[habitIndex].freezesPerMonth;
+                }
+            }
+            
+            // Switching to a negative habit drops the options it can't use
+            if ('kind' in options) {
+                if (options.kind === 'negative') {
+                    const habit = this.data.habits[habitIndex];
+                    habit.kind = 'negative';
+                    habit.isBuildUpHabit = false;
+                    delete habit.buildUpConfig;
+                    delete habit.type;
+                    delete habit.targetConfig;
+                } else {
+                    delete this.data.habits[habitIndex].kind;
+                }
+            }
+            
             await this.saveData();
             return this.data.habits[habitIndex];
         }
@@ -331,146 +501,1261 @@ class DataManager {
         await this.saveData();
     }
 
-    // Tracking Fields
-    async addTrackingField(name, type, unit = '', description = '') {
-        const field = {
+    // Habit Schedules
+    // A habit without a schedule is due every day. Otherwise the schedule is one of:
+    //   { type: 'weekdays', daysOfWeek: [0-6] }
+    //   { type: 'timesPerWeek', timesPerWeek: 1-6 }
+    //   { type: 'interval', interval: N, startDate: 'YYYY-MM-DD' }
+    normalizeSchedule(schedule, existingSchedule = null) {
+        if (!schedule || schedule.type === 'daily') return null;
+
+        switch (schedule.type) {
+            case 'weekdays': {
+                const daysOfWeek = [...new Set(schedule.daysOfWeek || [])].sort((a, b) => a - b);
+                if (daysOfWeek.length === 0 || daysOfWeek.length === 7) return null;
+                return { type: 'weekdays', daysOfWeek };
+            }
+
+            case 'timesPerWeek': {
+                const timesPerWeek = Math.min(Math.max(parseInt(schedule.timesPerWeek) || 1, 1), 7);
+                if (timesPerWeek === 7) return null;
+                return { type: 'timesPerWeek', timesPerWeek };
+            }
+
+            case 'interval': {
+                const interval = Math.max(parseInt(schedule.interval) || 1, 1);
+                if (interval === 1) return null;
+                const keepStartDate = existingSchedule
+                    && existingSchedule.type === 'interval'
+                    && existingSchedule.interval === interval;
+                return {
+                    type: 'interval',
+                    interval,
+                    startDate: schedule.startDate
+                        || (keepStartDate ? existingSchedule.startDate : this.formatDate(new Date()))
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // Whether a habit is expected on a date. Days a habit isn't due on are
+    // neither counted against the day status nor treated as a streak break.
+    isHabitDue(habit, date) {
+        const schedule = habit.schedule;
+        if (!schedule) return true;
+
+        const checkDate = new Date(date);
+
+        switch (schedule.type) {
+            case 'weekdays':
+                return schedule.daysOfWeek.includes(checkDate.getDay());
+
+            case 'interval': {
+                const [year, month, day] = schedule.startDate.split('-').map(Number);
+                const startDate = new Date(year, month - 1, day);
+                const checkDay = new Date(checkDate.getFullYear(), checkDate.getMonth(), checkDate.getDate());
+                const daysDiff = Math.round((checkDay - startDate) / (1000 * 60 * 60 * 24));
+                return daysDiff >= 0 && daysDiff % schedule.interval === 0;
+            }
+
+            case 'timesPerWeek': {
+                // Any day counts toward the target; a day only becomes due once
+                // every remaining day of the week is needed to reach it
+                if (this.isHabitComplete(habit, checkDate)) return true;
+                const dayBefore = new Date(checkDate);
+                dayBefore.setDate(dayBefore.getDate() - 1);
+                const doneBefore = this.countHabitCompletions(habit, this.getWeekStartDate(checkDate), dayBefore);
+                const remainingNeeded = schedule.timesPerWeek - doneBefore;
+                const remainingDays = 7 - (checkDate.getDay() - this.weekStartDay + 7) % 7;
+                return remainingNeeded > 0 && remainingDays <= remainingNeeded;
+            }
+
+            default:
+                return true;
+        }
+    }
+
+    // Start of the week containing date, on the first day chosen in settings
+    getWeekStartDate(date) {
+        const weekStart = new Date(date);
+        weekStart.setDate(weekStart.getDate() - (weekStart.getDay() - this.weekStartDay + 7) % 7);
+        weekStart.setHours(0, 0, 0, 0);
+        return weekStart;
+    }
+
+    // Completions of a habit in the week containing date
+    getHabitWeekCount(habit, date) {
+        const weekStart = this.getWeekStartDate(date);
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 6);
+        return this.countHabitCompletions(habit, weekStart, weekEnd);
+    }
+
+    // Completions between two dates (inclusive)
+    countHabitCompletions(habit, startDate, endDate) {
+        let count = 0;
+        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+            if (this.isHabitComplete(habit, d)) count++;
+        }
+        return count;
+    }
+
+    // Measurable Habits
+    // Measurable habits log an amount per day in dayData.habitValues; dayData.habits
+    // keeps the boolean "target reached" so completion and streak logic stays shared.
+    normalizeTargetConfig(targetConfig) {
+        return {
+            targetValue: parseFloat(targetConfig.targetValue) || 0,
+            unit: targetConfig.unit || '',
+            step: parseFloat(targetConfig.step) > 0 ? parseFloat(targetConfig.step) : 1,
+            useBuildUpValue: targetConfig.useBuildUpValue || false
+        };
+    }
+
+    isMeasurableHabit(habit) {
+        return habit.type === 'measurable' && !!habit.targetConfig;
+    }
+
+    // Daily target, following the build-up habit's current goal when linked
+    getHabitTarget(habit) {
+        if (!this.isMeasurableHabit(habit)) return 1;
+        const config = habit.targetConfig;
+        if (config.useBuildUpValue && habit.isBuildUpHabit && habit.buildUpConfig) {
+            return habit.buildUpConfig.currentValue;
+        }
+        return config.targetValue;
+    }
+
+    getHabitUnit(habit) {
+        if (!this.isMeasurableHabit(habit)) return '';
+        if (habit.targetConfig.unit) return habit.targetConfig.unit;
+        return habit.targetConfig.useBuildUpValue && habit.buildUpConfig ? habit.buildUpConfig.unit || '' : '';
+    }
+
+    // Reads the logged amount without creating an empty day entry
+    getHabitValue(habit, date) {
+        const dayData = this.data.days[this.formatDate(date)];
+        return (dayData && dayData.habitValues && dayData.habitValues[habit.id]) || 0;
+    }
+
+    // Fraction of the daily target reached (0-1)
+    getHabitProgress(habit, date) {
+        if (this.isNegativeHabit(habit)) return this.isHabitSuccessful(habit, date) ? 1 : 0;
+        if (this.isHabitComplete(habit, date)) return 1;
+        if (!this.isMeasurableHabit(habit)) return 0;
+        const target = this.getHabitTarget(habit);
+        if (target <= 0) return 0;
+        return Math.min(this.getHabitValue(habit, date) / target, 1);
+    }
+
+    // Negative Habits
+    // A negative habit logs slips in days[date].habits; days without one count as a success
+    isNegativeHabit(habit) {
+        return habit.kind === 'negative';
+    }
+
+    isHabitSuccessful(habit, date) {
+        const logged = this.isHabitComplete(habit, date);
+        return this.isNegativeHabit(habit) ? !logged : logged;
+    }
+
+    // Negative habits only count from the day they were created, since an
+    // empty day before then would otherwise read as a clean day
+    isHabitTrackedOn(habit, date) {
+        if (!this.isNegativeHabit(habit) || !habit.createdAt) return true;
+        const checkDate = new Date(date);
+        checkDate.setHours(0, 0, 0, 0);
+        return checkDate >= this.getHabitStartDay(habit);
+    }
+
+    // Local midnight of the day the habit was created
+    getHabitStartDay(habit) {
+        const created = new Date(habit.createdAt);
+        return new Date(created.getFullYear(), created.getMonth(), created.getDate());
+    }
+
+    async setHabitValue(date, habitId, value) {
+        const habit = this.data.habits.find(h => h.id === habitId);
+        if (!habit) return;
+        
+        const dayData = this.getDayData(date);
+        if (!dayData.habitValues) {
+            dayData.habitValues = {};
+        }
+        
+        const amount = Math.max(0, parseFloat(value) || 0);
+        if (amount > 0) {
+            dayData.habitValues[habitId] = amount;
+        } else {
+            delete dayData.habitValues[habitId];
+        }
+        
+        // Only pass completion changes through setHabitComplete so build-up
+        // progress and milestones fire once per day, not on every increment
+        const target = this.getHabitTarget(habit);
+        const reached = amount > 0 && amount >= target;
+        if (reached !== !!dayData.habits[habitId]) {
+            await this.setHabitComplete(date, habitId, reached);
+        } else {
+            await this.saveData();
+        }
+    }
+
+    // Habit Groups
+    async addHabitGroup(name, color = '#6366f1', icon = '') {
+        const group = {
             id: Date.now().toString(),
             name,
-            type,
-            unit,
-            description,
+            color,
+            icon,
             createdAt: new Date().toISOString()
         };
-        this.data.trackingFields.push(field);
+        this.data.habitGroups.push(group);
         await this.saveData();
-        return field;
+        return group;
     }
 
-    async updateTrackingField(id, name, type, unit = '', description = '') {
-        const fieldIndex = this.data.trackingFields.findIndex(f => f.id === id);
-        if (fieldIndex !== -1) {
-            this.data.trackingFields[fieldIndex] = {
-                ...this.data.trackingFields[fieldIndex],
+    async updateHabitGroup(id, name, color, icon) {
+        const groupIndex = this.data.habitGroups.findIndex(g => g.id === id);
+        if (groupIndex !== -1) {
+            this.data.habitGroups[groupIndex] = {
+                ...this.data.habitGroups[groupIndex],
                 name,
-                type,
-                unit,
-                description
+                color,
+                icon
             };
             await this.saveData();
-            return this.data.trackingFields[fieldIndex];
+            return this.data.habitGroups[groupIndex];
         }
         return null;
     }
 
-    async deleteTrackingField(id) {
-        this.data.trackingFields = this.data.trackingFields.filter(f => f.id !== id);
-        // Do NOT clean up tracking data from days - preserve historical data
+    // Deleting a group keeps its habits, they just become ungrouped
+    async deleteHabitGroup(id) {
+        this.data.habitGroups = this.data.habitGroups.filter(g => g.id !== id);
+        this.data.habits.forEach(habit => {
+            if (habit.groupId === id) {
+                delete habit.groupId;
+            }
+        });
+        if (this.useIndexedDB) {
+            await this.dbManager.delete('habitGroups', id);
+        }
         await this.saveData();
     }
 
-    // Day Data
-    getDayData(date) {
-        const dateStr = this.formatDate(date);
-        if (!this.data.days[dateStr]) {
-            this.data.days[dateStr] = { habits: {}, tracking: {} };
-        }
-        return this.data.days[dateStr];
+    getHabitGroup(habit) {
+        if (!habit.groupId) return null;
+        return this.data.habitGroups.find(g => g.id === habit.groupId) || null;
     }
 
-    async setHabitComplete(date, habitId, completed) {
-        const dateStr = this.formatDate(date);
-        const dayData = this.getDayData(date);
-        
-        // Check if it's a build-up habit
-        const habit = this.data.habits.find(h => h.id === habitId);
-        if (habit && habit.isBuildUpHabit && habit.buildUpConfig) {
-            const config = habit.buildUpConfig;
-            
-            if (completed) {
-                // Increment streak
-                config.currentStreak = (config.currentStreak || 0) + 1;
-                
-                // Check if we've reached the threshold for increment
-                if (config.currentStreak >= config.daysForIncrement) {
-                    // Increase current value, but not exceeding goal
-                    config.currentValue = Math.min(
-                        config.currentValue + config.incrementValue,
-                        config.goalValue
-                    );
-                    // Reset streak
-                    config.currentStreak = 0;
-                }
-            } else {
-                // Reset streak when unchecking
-                config.currentStreak = 0;
-            }
-            
-            // Update the habit in the data structure
-            const habitIndex = this.data.habits.findIndex(h => h.id === habitId);
-            if (habitIndex !== -1) {
-                this.data.habits[habitIndex].buildUpConfig = config;
-            }
-        }
-        
-        dayData.habits[habitId] = completed;
+    // Done vs counted habits on a day, e.g. for a group's "3/5" summary
+    getGroupCompletion(habits, date) {
+        const counted = habits.filter(h => this.isHabitCountedOn(h, date));
+        return {
+            done: counted.filter(h => this.isHabitSuccessful(h, date)).length,
+            total: counted.length
+        };
+    }
+
+    // Split habits into sections in group order, with ungrouped habits last
+    groupHabits(habits) {
+        const sections = this.data.habitGroups.map(group => ({
+            group,
+            habits: habits.filter(h => h.groupId === group.id)
+        }));
+        sections.push({
+            group: null,
+            habits: habits.filter(h => !this.getHabitGroup(h))
+        });
+        return sections.filter(section => section.habits.length > 0);
+    }
+
+    // Time of Day
+    // Habits can be placed in a morning, afternoon or evening section; anything
+    // else is 'anytime' and listed last
+
+    // TIME_OF_DAY_SECTIONS from utils/constants.js, shared through window.appConstants
+    getTimeOfDaySections() {
+        return window.appConstants.TIME_OF_DAY_SECTIONS;
+    }
+
+    isValidTimeOfDay(timeOfDay) {
+        return this.getTimeOfDaySections().some(section => section.id === timeOfDay);
+    }
+
+    getHabitTimeOfDay(habit) {
+        return this.isValidTimeOfDay(habit.timeOfDay) ? habit.timeOfDay : 'anytime';
+    }
+
+    getTimeOfDaySection(id) {
+        return this.getTimeOfDaySections().find(section => section.id === id) || null;
+    }
+
+    // The section the given moment falls in; hours before morning count as evening
+    getCurrentTimeOfDay(date = new Date()) {
+        const hour = date.getHours();
+        const section = this.getTimeOfDaySections().find(s =>
+            s.startHour !== null && hour >= s.startHour && hour < s.endHour
+        );
+        return section ? section.id : 'evening';
+    }
+
+    // Split habits into time-of-day sections, keeping their order within each section
+    sectionHabitsByTimeOfDay(habits) {
+        return this.getTimeOfDaySections().map(section => ({
+            section,
+            habits: habits.filter(h => this.getHabitTimeOfDay(h) === section.id)
+        })).filter(entry => entry.habits.length > 0);
+    }
+
+    // Streak Protection
+    // Paused days (vacation mode) and freeze days excuse a missed habit: they
+    // are skipped by streaks and the calendar instead of counting as a miss
+    async addPause(startDate, endDate, habitId = null, note = '') {
+        const pause = {
+            id: Date.now().toString(),
+            habitId: habitId || null,
+            startDate,
+            endDate,
+            note,
+            createdAt: new Date().toISOString()
+        };
+        this.data.pauses.push(pause);
         await this.saveData();
+        return pause;
     }
 
-    async setTracking(date, fieldId, value) {
-        const dateStr = this.formatDate(date);
-        const dayData = this.getDayData(date);
-        dayData.tracking[fieldId] = value;
+    async deletePause(id) {
+        this.data.pauses = this.data.pauses.filter(p => p.id !== id);
+        if (this.useIndexedDB) {
+            await this.dbManager.delete('pauses', id);
+        }
         await this.saveData();
     }
 
-    getDayStatus(date) {
-        // Check if date is in the future
-        // Future dates have no data yet, so they should be marked as gray
-        // This prevents the calendar from showing completion status for dates that haven't occurred
+    // Pause ranges, calendar events and planner blocks use local calendar dates
+    formatLocalDate(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    getPauseForHabit(habit, date) {
+        const dateStr = this.formatLocalDate(date);
+        return this.data.pauses.find(p => 
+            (!p.habitId || p.habitId === habit.id) && p.startDate <= dateStr && dateStr <= p.endDate
+        ) || null;
+    }
+
+    isHabitPaused(habit, date) {
+        return this.getPauseForHabit(habit, date) !== null;
+    }
+
+    getFreezeAllowance(habit) {
+        return this.isNegativeHabit(habit) ? 0 : (habit.freezesPerMonth || 0);
+    }
+
+    // Missed (due, unpaused, not done) days from the start of the month, or the
+    // habit's creation, through the given date
+    countMissedDaysInMonth(habit, date) {
+        const start = new Date(date);
+        start.setDate(1);
+        if (habit.createdAt) {
+            // Keep the caller's time of day so date keys line up
+            const startDay = this.getHabitStartDay(habit);
+            const createdDate = new Date(date);
+            createdDate.setFullYear(startDay.getFullYear(), startDay.getMonth(), startDay.getDate());
+            if (createdDate > start) start.setTime(createdDate.getTime());
+        }
+        
+        let missed = 0;
+        for (let d = new Date(start); d <= date; d.setDate(d.getDate() + 1)) {
+            if (this.isHabitDue(habit, d) && !this.isHabitPaused(habit, d) && !this.isHabitComplete(habit, d)) {
+                missed++;
+            }
+        }
+        return missed;
+    }
+
+    // The first misses of each month are frozen until the allowance runs out;
+    // today is still in progress so it never uses a freeze
+    isHabitFrozen(habit, date) {
+        const allowance = this.getFreezeAllowance(habit);
+        if (allowance === 0) return false;
+        
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         const checkDate = new Date(date);
         checkDate.setHours(0, 0, 0, 0);
+        if (checkDate >= today) return false;
+        if (habit.createdAt && checkDate < this.getHabitStartDay(habit)) return false;
         
-        if (checkDate > today) {
-            return 'gray'; // Future dates have no data
+        if (!this.isHabitDue(habit, date) || this.isHabitPaused(habit, date) || this.isHabitComplete(habit, date)) {
+            return false;
         }
+        return this.countMissedDaysInMonth(habit, date) <= allowance;
+    }
+
+    // Freezes left for the rest of the month, not counting today
+    getFreezesRemaining(habit, date = new Date()) {
+        const allowance = this.getFreezeAllowance(habit);
+        if (allowance === 0) return 0;
         
-        const dayData = this.getDayData(date);
-        // Only count non-archived habits
-        const activeHabits = this.data.habits.filter(h => !h.archived);
-        const totalHabits = activeHabits.length;
-        
-        if (totalHabits === 0) return 'gray';
-        
-        const completedHabits = activeHabits.filter(h => dayData.habits[h.id]).length;
-        
-        if (completedHabits === 0) return 'red';
-        if (completedHabits === totalHabits) return 'green';
-        return 'yellow';
+        const yesterday = new Date(date);
+        yesterday.setDate(yesterday.getDate() - 1);
+        const used = yesterday.getMonth() === date.getMonth() ? this.countMissedDaysInMonth(habit, yesterday) : 0;
+        return Math.max(allowance - used, 0);
     }
 
-    formatDate(date) {
-        const d = new Date(date);
-        return d.toISOString().split('T')[0];
+    isHabitExcused(habit, date) {
+        return this.isHabitPaused(habit, date) || this.isHabitFrozen(habit, date);
     }
 
-    exportData() {
-        return JSON.stringify(this.data, null, 2);
+    // Schedule predicate for the streak calculator: paused and frozen days are skipped
+    isHabitDueForStreak(habit, date) {
+        // The calculator passes local midnights; midday keeps formatDate on the same day
+        const day = new Date(date);
+        day.setHours(12, 0, 0, 0);
+        return this.isHabitDue(habit, day) && !this.isHabitExcused(habit, day);
     }
 
-    async importData(importedData) {
-        try {
-            // Validate the structure
-            if (!importedData.habits || !importedData.trackingFields || !importedData.days) {
-                throw new Error('Invalid data format');
-            }
+    // Whether a habit counts toward a day's score on the calendar and in stats
+    isHabitCountedOn(habit, date) {
+        if (habit.archived || !this.isHabitTrackedOn(habit, date)) return false;
+        if (this.isHabitComplete(habit, date)) return true;
+        return this.isHabitDue(habit, date) && !this.isHabitExcused(habit, date);
+    }
 
-            // Merge habits (avoid duplicates by name to prevent UI confusion)
-            // Note: This intentionally uses name matching to avoid duplicate visible entries
-            const existingHabitNames = new Set(this.data.habits.map(h => h.name));
-            importedData.habits.forEach(habit => {
+    // Tracking Fields
+    // Besides boolean/number/text/time, fields can be a rating (scale 5 or 10),
+    // select/multiselect (user-defined options), duration (stored in minutes),
+    // counter (stored as a number) or formula (calculated from other values on read)
+    async addTrackingField(name, type, unit = '', description = '', options = {}) {
+        const field = {
+            id: Date.now().toString(),
+            name,
+            type,
+            unit,
+            description,
+            createdAt: new Date().toISOString(),
+            order: this.getNextOrder(this.data.trackingFields),
+            ...this.normalizeTrackingConfig(type, options)
+        };
+        this.data.trackingFields.push(field);
+        await this.saveData();
+        return field;
+    }
+
+    async updateTrackingField(id, name, type, unit = '', description = '', options = {}) {
+        const fieldIndex = this.data.trackingFields.findIndex(f => f.id === id);
+        if (fieldIndex !== -1) {
+            const field = {
+                ...this.data.trackingFields[fieldIndex],
+                name,
+                type,
+                unit,
+                description
+            };
+            // Drop settings that belong to the previous type
+            delete field.scale;
+            delete field.options;
+            delete field.validation;
+            delete field.goodRange;
+            delete field.formula;
+            delete field.resultFormat;
+            this.data.trackingFields[fieldIndex] = { ...field, ...this.normalizeTrackingConfig(type, options) };
+            await this.saveData();
+            return this.data.trackingFields[fieldIndex];
+        }
+        return null;
+    }
+
+    // Type-specific settings plus validation: { min, max, step } for numbers,
+    // `required` for any type, and a good range { min, max } for numeric types.
+    // Durations keep their good range in minutes like their values.
+    normalizeTrackingConfig(type, options = {}) {
+        const config = {};
+        const toNumber = (value) => (value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+        
+        if (type === 'rating') {
+            config.scale = parseInt(options.scale) === 10 ? 10 : 5;
+        }
+        if (type === 'select' || type === 'multiselect') {
+            const choices = (options.options || []).map(option => String(option).trim()).filter(Boolean);
+            config.options = [...new Set(choices)];
+        }
+        if (type === 'formula') {
+            config.formula = String(options.formula || '').trim();
+            config.resultFormat = options.resultFormat === 'duration' ? 'duration' : 'number';
+        }
+        
+        const validation = {};
+        if (type === 'number' && options.validation) {
+            const min = toNumber(options.validation.min);
+            const max = toNumber(options.validation.max);
+            const step = toNumber(options.validation.step);
+            if (min !== null) validation.min = min;
+            if (max !== null) validation.max = max;
+            if (step !== null && step > 0) validation.step = step;
+        }
+        if (options.validation && options.validation.required && type !== 'formula') {
+            validation.required = true;
+        }
+        if (Object.keys(validation).length > 0) {
+            config.validation = validation;
+        }
+        
+        if (this.isNumericTrackingType(type) && options.goodRange) {
+            const min = toNumber(options.goodRange.min);
+            const max = toNumber(options.goodRange.max);
+            if (min !== null || max !== null) {
+                config.goodRange = { min, max };
+            }
+        }
+        return config;
+    }
+
+    isNumericTrackingType(type) {
+        return ['number', 'rating', 'counter', 'duration', 'formula'].includes(type);
+    }
+
+    // Durations, and formulas whose result is shown as one, hold minutes
+    isDurationField(field) {
+        return field.type === 'duration' || (field.type === 'formula' && field.resultFormat === 'duration');
+    }
+
+    // The stored value of a field on a date, or the calculated one for a formula
+    getTrackingValue(field, date) {
+        if (field.type === 'formula') {
+            return this.evaluateFormula(field, date);
+        }
+        const dayData = this.data.days[this.formatDate(date)];
+        return dayData && dayData.tracking ? dayData.tracking[field.id] : undefined;
+    }
+
+    // Formulas
+    // Fields and habits are referenced by their name in lower case with
+    // underscores, e.g. "Sleep End" → sleep_end. Times are minutes after midnight,
+    // Yes/No fields are 1 or 0, habits are their amount or 1/0 for done.
+    getFormulaVariableName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+
+    // Variable name → { field } or { habit }; fields win over habits with the same name
+    getFormulaVariables() {
+        const variables = new Map();
+        this.data.trackingFields
+            .filter(f => this.isNumericTrackingType(f.type) || f.type === 'time' || f.type === 'boolean')
+            .forEach(field => {
+                const name = this.getFormulaVariableName(field.name);
+                if (name && !variables.has(name)) variables.set(name, { field });
+            });
+        this.data.habits.filter(h => !h.archived).forEach(habit => {
+            const name = this.getFormulaVariableName(habit.name);
+            if (name && !variables.has(name)) variables.set(name, { habit });
+        });
+        return variables;
+    }
+
+    // Parsed formulas are cached by their text
+    parseFormula(formula) {
+        if (!this.formulaCache) this.formulaCache = new Map();
+        if (!this.formulaCache.has(formula)) {
+            this.formulaCache.set(formula, FormulaParser.parse(formula));
+        }
+        return this.formulaCache.get(formula);
+    }
+
+    // Returns an error message, or null when the formula can be saved on the given field
+    validateFormula(formula, fieldId = null) {
+        let tree;
+        try {
+            tree = this.parseFormula(formula);
+        } catch (error) {
+            return error.message;
+        }
+        
+        const variables = this.getFormulaVariables();
+        const unknown = FormulaParser.getVariables(tree).filter(name => !variables.has(name));
+        if (unknown.length > 0) {
+            return `Unknown name${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`;
+        }
+        
+        if (fieldId) {
+            const field = this.data.trackingFields.find(f => f.id === fieldId);
+            const draft = { ...field, id: fieldId, type: 'formula', formula };
+            if (this.getFormulaDependencies(draft).fieldIds.has(fieldId)) {
+                return 'A formula can\'t depend on itself';
+            }
+        }
+        return null;
+    }
+
+    // Field and habit ids a formula reads, following other formulas it uses
+    getFormulaDependencies(field) {
+        const fieldIds = new Set();
+        const habitIds = new Set();
+        const variables = this.getFormulaVariables();
+        const visit = (formulaField, seen) => {
+            let tree;
+            try {
+                tree = this.parseFormula(formulaField.formula);
+            } catch (error) {
+                return;
+            }
+            FormulaParser.getVariables(tree).forEach(name => {
+                const variable = variables.get(name);
+                if (!variable) return;
+                if (variable.habit) {
+                    habitIds.add(variable.habit.id);
+                    return;
+                }
+                fieldIds.add(variable.field.id);
+                if (variable.field.type === 'formula' && !seen.has(variable.field.id)) {
+                    visit(variable.field, new Set([...seen, variable.field.id]));
+                }
+            });
+        };
+        visit(field, new Set([field.id]));
+        return { fieldIds, habitIds };
+    }
+
+    // Null when the formula is invalid or any value it needs is missing
+    evaluateFormula(field, date, evaluating = new Set()) {
+        if (evaluating.has(field.id)) return null;
+        let tree;
+        try {
+            tree = this.parseFormula(field.formula);
+        } catch (error) {
+            return null;
+        }
+        
+        const variables = this.getFormulaVariables();
+        const inProgress = new Set([...evaluating, field.id]);
+        const resolve = (name) => {
+            const variable = variables.get(name);
+            if (!variable) return null;
+            
+            if (variable.habit) {
+                const habit = variable.habit;
+                const value = this.isMeasurableHabit(habit)
+                    ? this.getHabitValue(habit, date)
+                    : (this.isHabitComplete(habit, date) ? 1 : 0);
+                return { value, isTime: false };
+            }
+            
+            const source = variable.field;
+            if (source.type === 'formula') {
+                const value = this.evaluateFormula(source, date, inProgress);
+                return value === null ? null : { value, isTime: false };
+            }
+            const dayData = this.data.days[this.formatDate(date)];
+            const raw = dayData && dayData.tracking ? dayData.tracking[source.id] : undefined;
+            if (this.isTrackingValueEmpty(raw)) return null;
+            if (source.type === 'boolean') return { value: raw === 'Yes' ? 1 : 0, isTime: false };
+            if (source.type === 'time') {
+                const [hours, minutes] = String(raw).split(':').map(Number);
+                return isNaN(hours) || isNaN(minutes) ? null : { value: hours * 60 + minutes, isTime: true };
+            }
+            const number = Number(raw);
+            return isNaN(number) ? null : { value: number, isTime: false };
+        };
+        
+        try {
+            return FormulaParser.evaluate(tree, resolve);
+        } catch (error) {
+            // A saved formula that can't be worked out shows as empty instead of breaking the view
+            console.error(`Error evaluating formula for ${field.name}:`, error);
+            return null;
+        }
+    }
+
+    // Numeric fields store numbers; older data saved the raw input strings
+    normalizeTrackingValue(field, value) {
+        if (!field || !this.isNumericTrackingType(field.type) || typeof value !== 'string') return value;
+        if (value.trim() === '') return '';
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+    }
+
+    normalizeStoredTrackingValues() {
+        const numericFields = this.data.trackingFields.filter(f => this.isNumericTrackingType(f.type));
+        if (numericFields.length === 0) return;
+        
+        Object.values(this.data.days).forEach(dayData => {
+            if (!dayData.tracking) return;
+            numericFields.forEach(field => {
+                if (field.id in dayData.tracking) {
+                    dayData.tracking[field.id] = this.normalizeTrackingValue(field, dayData.tracking[field.id]);
+                }
+            });
+        });
+    }
+
+    // Returns an error message, or null when the value is acceptable
+    validateTrackingValue(field, value) {
+        const rules = field.validation || {};
+        if (this.isTrackingValueEmpty(value)) {
+            return rules.required ? 'This field is required' : null;
+        }
+        if (!this.isNumericTrackingType(field.type)) return null;
+        
+        const number = Number(value);
+        if (isNaN(number)) return 'Enter a number';
+        if (rules.min !== undefined && number < rules.min) return `Must be at least ${rules.min}`;
+        if (rules.max !== undefined && number > rules.max) return `Must be at most ${rules.max}`;
+        if (rules.step) {
+            // Compare in whole units of the step to avoid floating point noise
+            const steps = (number - (rules.min || 0)) / rules.step;
+            if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+                return `Must be in steps of ${rules.step}`;
+            }
+        }
+        return null;
+    }
+
+    // 'good', 'low' or 'high' against the field's good range; null without one
+    getTrackingRangeStatus(field, value) {
+        if (!field.goodRange || this.isTrackingValueEmpty(value)) return null;
+        const number = Number(value);
+        if (isNaN(number)) return null;
+        if (field.goodRange.min !== null && number < field.goodRange.min) return 'low';
+        if (field.goodRange.max !== null && number > field.goodRange.max) return 'high';
+        return 'good';
+    }
+
+    isTrackingValueEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    // Aggregate a tracking field over a range of dates in a way that suits its type
+    getTrackingSummary(field, dates) {
+        const values = dates
+            .map(date => this.getTrackingValue(field, date))
+            .filter(value => !this.isTrackingValueEmpty(value));
+        const summary = { type: field.type, count: values.length };
+        
+        switch (field.type) {
+            case 'number':
+            case 'rating':
+            case 'counter':
+            case 'duration':
+            case 'formula':
+            case 'time': {
+                // Times of day are summarised in minutes after midnight
+                const numbers = this.getTrackingSeries(field, dates).filter(n => n !== null);
+                const total = numbers.reduce((sum, n) => sum + n, 0);
+                summary.count = numbers.length;
+                summary.total = total;
+                summary.average = numbers.length > 0 ? total / numbers.length : 0;
+                summary.median = this.calculateMedian(numbers);
+                summary.min = numbers.length > 0 ? Math.min(...numbers) : 0;
+                summary.max = numbers.length > 0 ? Math.max(...numbers) : 0;
+                if (field.goodRange) {
+                    summary.inRange = numbers.filter(n => this.getTrackingRangeStatus(field, n) === 'good').length;
+                }
+                break;
+            }
+            case 'boolean':
+                summary.yes = values.filter(value => value === 'Yes').length;
+                break;
+            case 'select':
+            case 'multiselect': {
+                // Options picked most often first
+                const counts = {};
+                values.flat().forEach(option => {
+                    counts[option] = (counts[option] || 0) + 1;
+                });
+                summary.counts = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+                break;
+            }
+        }
+        return summary;
+    }
+
+    // One number (or null when nothing usable was recorded) per date, for charting.
+    // Time fields become minutes after midnight.
+    getTrackingSeries(field, dates) {
+        return dates.map(date => {
+            const value = this.getTrackingValue(field, date);
+            if (this.isTrackingValueEmpty(value)) return null;
+            
+            if (field.type === 'time') {
+                const [hours, minutes] = String(value).split(':').map(Number);
+                return isNaN(hours) || isNaN(minutes) ? null : hours * 60 + minutes;
+            }
+            const number = Number(value);
+            return isNaN(number) ? null : number;
+        });
+    }
+
+    // Trailing average over the last `windowSize` entries, skipping gaps;
+    // null until the window holds at least one value
+    calculateMovingAverage(series, windowSize) {
+        let sum = 0;
+        let count = 0;
+        return series.map((value, index) => {
+            if (value !== null) {
+                sum += value;
+                count++;
+            }
+            const dropped = index >= windowSize ? series[index - windowSize] : null;
+            if (dropped !== null) {
+                sum -= dropped;
+                count--;
+            }
+            return count > 0 ? sum / count : null;
+        });
+    }
+
+    calculateMedian(numbers) {
+        if (numbers.length === 0) return 0;
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    // Insights
+    // Pearson correlation of two equal-length lists, or null when either doesn't vary
+    calculateCorrelation(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return null;
+        const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+        const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+        let covariance = 0, varianceX = 0, varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            covariance += dx * dy;
+            varianceX += dx * dx;
+            varianceY += dy * dy;
+        }
+        if (varianceX === 0 || varianceY === 0) return null;
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    // Whether a habit "happened" on a date for insights: completed for a normal
+    // habit, slipped for a negative one. Null when the day doesn't count.
+    getHabitInsightOutcome(habit, date) {
+        if (this.isNegativeHabit(habit)) {
+            return this.isHabitTrackedOn(habit, date) ? this.isHabitComplete(habit, date) : null;
+        }
+        return this.isHabitCountedOn(habit, date) ? this.isHabitComplete(habit, date) : null;
+    }
+
+    // Relate habits and numeric tracking fields over a range of dates, both on the
+    // same day and with a one-day lag (yesterday's habit → today's field).
+    // Habit comparisons need `minSamples` days on each side; field pairs need twice
+    // that. Findings weaker than `minCorrelation` are dropped; strongest come first.
+    getCorrelationInsights(dates, options = {}) {
+        const minSamples = options.minSamples || INSIGHT_MIN_SAMPLES;
+        const minCorrelation = options.minCorrelation || INSIGHT_MIN_CORRELATION;
+        const habits = this.data.habits.filter(h => !h.archived);
+        const fields = this.data.trackingFields.filter(f => this.isNumericTrackingType(f.type) || f.type === 'time');
+        const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        // The day before the range too, so the first day has a lag-1 partner
+        const previousDay = new Date(dates[0]);
+        previousDay.setDate(previousDay.getDate() - 1);
+        const allDates = [previousDay, ...dates];
+        const series = {};
+        fields.forEach(field => {
+            series[field.id] = this.getTrackingSeries(field, allDates);
+        });
+
+        // A formula trivially tracks the values it's calculated from
+        const dependencies = {};
+        fields.filter(f => f.type === 'formula').forEach(field => {
+            dependencies[field.id] = this.getFormulaDependencies(field);
+        });
+        const dependsOnField = (field, otherId) => !!dependencies[field.id] && dependencies[field.id].fieldIds.has(otherId);
+
+        const insights = [];
+
+        habits.forEach(habit => {
+            const outcomes = allDates.map(date => this.getHabitInsightOutcome(habit, date));
+            fields.forEach(field => {
+                if (dependencies[field.id] && dependencies[field.id].habitIds.has(habit.id)) return;
+                [0, 1].forEach(lag => {
+                    const withValues = [], withoutValues = [];
+                    for (let i = 1; i < allDates.length; i++) {
+                        const outcome = outcomes[i - lag];
+                        const value = series[field.id][i];
+                        if (outcome === null || value === null) continue;
+                        (outcome ? withValues : withoutValues).push(value);
+                    }
+                    if (withValues.length < minSamples || withoutValues.length < minSamples) return;
+
+                    // Point-biserial correlation, so habit and field findings rank on one scale
+                    const xs = [...withValues.map(() => 1), ...withoutValues.map(() => 0)];
+                    const r = this.calculateCorrelation(xs, [...withValues, ...withoutValues]);
+                    if (r === null || Math.abs(r) < minCorrelation) return;
+
+                    const meanWith = mean(withValues);
+                    const meanWithout = mean(withoutValues);
+                    insights.push({
+                        kind: 'habit',
+                        lag,
+                        habitId: habit.id,
+                        fieldId: field.id,
+                        correlation: r,
+                        meanWith,
+                        meanWithout,
+                        difference: meanWith - meanWithout,
+                        samplesWith: withValues.length,
+                        samplesWithout: withoutValues.length
+                    });
+                });
+            });
+        });
+
+        // Same-day pairs once each; lagged pairs in both directions
+        fields.forEach((source, sourceIndex) => {
+            fields.forEach((target, targetIndex) => {
+                if (source.id === target.id || dependsOnField(source, target.id) || dependsOnField(target, source.id)) return;
+                [0, 1].forEach(lag => {
+                    if (lag === 0 && targetIndex < sourceIndex) return;
+                    const xs = [], ys = [];
+                    for (let i = 1; i < allDates.length; i++) {
+                        const x = series[source.id][i - lag];
+                        const y = series[target.id][i];
+                        if (x === null || y === null) continue;
+                        xs.push(x);
+                        ys.push(y);
+                    }
+                    if (xs.length < minSamples * 2) return;
+
+                    const r = this.calculateCorrelation(xs, ys);
+                    if (r === null || Math.abs(r) < minCorrelation) return;
+
+                    insights.push({
+                        kind: 'field',
+                        lag,
+                        sourceFieldId: source.id,
+                        fieldId: target.id,
+                        correlation: r,
+                        samples: xs.length
+                    });
+                });
+            });
+        });
+
+        return insights.sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+    }
+
+    async deleteTrackingField(id) {
+        this.data.trackingFields = this.data.trackingFields.filter(f => f.id !== id);
+        // Do NOT clean up tracking data from days - preserve historical data
+        await this.saveData();
+    }
+
+    // Ordering
+    // Habits and tracking fields carry a persisted `order`, since IndexedDB
+    // hands records back sorted by ID rather than in the order they were saved.
+    // Arrays are kept sorted, so every list that iterates them follows the order.
+    sortByOrder(items) {
+        return items
+            .map((item, index) => ({ item, index }))
+            .sort((a, b) => (a.item.order ?? a.index) - (b.item.order ?? b.index) || a.index - b.index)
+            .map(entry => entry.item);
+    }
+
+    renumberOrder(items) {
+        items.forEach((item, index) => {
+            item.order = index;
+        });
+    }
+
+    getNextOrder(items) {
+        return items.reduce((max, item) => Math.max(max, item.order ?? -1), items.length - 1) + 1;
+    }
+
+    applyStoredOrder() {
+        this.data.habits = this.sortByOrder(this.data.habits);
+        this.data.trackingFields = this.sortByOrder(this.data.trackingFields);
+    }
+
+    // Place the given IDs, in their new order, into the slots they currently
+    // occupy; items that aren't listed (e.g. archived habits) stay where they are
+    reorderItems(items, orderedIds) {
+        const byId = new Map(items.map(item => [item.id, item]));
+        const ids = [...new Set(orderedIds)].filter(id => byId.has(id));
+        const idSet = new Set(ids);
+        const slots = [];
+        items.forEach((item, index) => {
+            if (idSet.has(item.id)) slots.push(index);
+        });
+        
+        const reordered = [...items];
+        ids.forEach((id, i) => {
+            reordered[slots[i]] = byId.get(id);
+        });
+        this.renumberOrder(reordered);
+        return reordered;
+    }
+
+    async reorderHabits(orderedIds) {
+        this.data.habits = this.reorderItems(this.data.habits, orderedIds);
+        await this.saveData();
+    }
+
+    async reorderTrackingFields(orderedIds) {
+        this.data.trackingFields = this.reorderItems(this.data.trackingFields, orderedIds);
+        await this.saveData();
+    }
+
+    // Day Data
+    getDayData(date) {
+        const dateStr = this.formatDate(date);
+        if (!this.data.days[dateStr]) {
+            this.data.days[dateStr] = { habits: {}, habitValues: {}, tracking: {}, note: '', habitNotes: {} };
+        }
+        return this.data.days[dateStr];
+    }
+
+    // Reads completion without creating an empty day entry
+    isHabitComplete(habit, date) {
+        const dayData = this.data.days[this.formatDate(date)];
+        return !!(dayData && dayData.habits && dayData.habits[habit.id]);
+    }
+
+    async setHabitComplete(date, habitId, completed) {
+        const dateStr = this.formatDate(date);
+        const dayData = this.getDayData(date);
+        
+        // Check if it's a build-up habit
+        const habit = this.data.habits.find(h => h.id === habitId);
+        if (habit && habit.isBuildUpHabit && habit.buildUpConfig && !this.isNegativeHabit(habit)) {
+            const config = habit.buildUpConfig;
+            
+            if (completed) {
+                // Increment streak
+                config.currentStreak = (config.currentStreak || 0) + 1;
+                
+                // Check if we've reached the threshold for increment
+                if (config.currentStreak >= config.daysForIncrement) {
+                    // Increase current value, but not exceeding goal
+                    config.currentValue = Math.min(
+                        config.currentValue + config.incrementValue,
+                        config.goalValue
+                    );
+                    // Reset streak
+                    config.currentStreak = 0;
+                }
+            } else {
+                // Reset streak when unchecking
+                config.currentStreak = 0;
+            }
+            
+            // Update the habit in the data structure
+            const habitIndex = this.data.habits.findIndex(h => h.id === habitId);
+            if (habitIndex !== -1) {
+                this.data.habits[habitIndex].buildUpConfig = config;
+            }
+        }
+        
+        dayData.habits[habitId] = completed;
+        await this.saveData();
+    }
+
+    // Formula fields aren't stored; they pick up the new value the next time they're read
+    async setTracking(date, fieldId, value) {
+        const field = this.data.trackingFields.find(f => f.id === fieldId);
+        if (field && field.type === 'formula') return;
+        const dayData = this.getDayData(date);
+        dayData.tracking[fieldId] = this.normalizeTrackingValue(field, value);
+        await this.saveData();
+    }
+
+    // Notes
+    // A free-form note per day, plus an optional note per habit on that day
+    async setDayNote(date, note) {
+        const dayData = this.getDayData(date);
+        dayData.note = (note || '').trim();
+        await this.saveData();
+    }
+
+    async setHabitNote(date, habitId, note) {
+        const dayData = this.getDayData(date);
+        if (!dayData.habitNotes) dayData.habitNotes = {};
+        const text = (note || '').trim();
+        if (text) {
+            dayData.habitNotes[habitId] = text;
+        } else {
+            delete dayData.habitNotes[habitId];
+        }
+        await this.saveData();
+    }
+
+    getHabitNote(date, habitId) {
+        const dayData = this.data.days[this.formatDate(date)];
+        return (dayData && dayData.habitNotes && dayData.habitNotes[habitId]) || '';
+    }
+
+    // Reads without creating an empty day entry, for the calendar note dot
+    hasNotes(date) {
+        const dayData = this.data.days[this.formatDate(date)];
+        if (!dayData) return false;
+        return !!dayData.note || Object.keys(dayData.habitNotes || {}).length > 0;
+    }
+
+    // Case-insensitive search over day and habit notes, newest first
+    searchNotes(query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return [];
+        
+        const results = [];
+        Object.keys(this.data.days).sort().reverse().forEach(date => {
+            const dayData = this.data.days[date];
+            if (dayData.note && dayData.note.toLowerCase().includes(needle)) {
+                results.push({ date, habitId: null, text: dayData.note });
+            }
+            Object.entries(dayData.habitNotes || {}).forEach(([habitId, text]) => {
+                if (text.toLowerCase().includes(needle)) {
+                    results.push({ date, habitId, text });
+                }
+            });
+        });
+        return results;
+    }
+
+    // Pass habit ids to colour the day from just those habits
+    getDayStatus(date, habitIds = null) {
+        // Check if date is in the future
+        // Future dates have no data yet, so they should be marked as gray
+        // This prevents the calendar from showing completion status for dates that haven't occurred
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const checkDate = new Date(date);
+        checkDate.setHours(0, 0, 0, 0);
+        
+        if (checkDate > today) {
+            return 'gray'; // Future dates have no data
+        }
+        
+        // Read without creating day entries, since a year view asks about every day
+        const dayData = this.data.days[this.formatDate(date)] || { habits: {} };
+        const habits = habitIds ? this.data.habits.filter(h => habitIds.includes(h.id)) : this.data.habits;
+        // Only count non-archived habits that are due on this day (or were done anyway),
+        // leaving out paused and frozen ones
+        const dueHabits = habits.filter(h => this.isHabitCountedOn(h, date));
+        const totalHabits = dueHabits.length;
+        
+        if (totalHabits === 0) {
+            // Every scheduled habit was excused - show the day as paused rather than missed
+            const excused = habits.some(h => 
+                !h.archived && this.isHabitTrackedOn(h, date) && this.isHabitDue(h, date) && this.isHabitExcused(h, date)
+            );
+            return excused ? 'paused' : 'gray';
+        }
+        
+        // Negative habits succeed when no slip was logged
+        const completedHabits = dueHabits.filter(h => this.isHabitSuccessful(h, date)).length;
+        // Measurable habits with some progress logged count toward a partial day
+        const partialHabits = dueHabits.filter(h => 
+            !dayData.habits[h.id] && this.getHabitValue(h, date) > 0
+        ).length;
+        
+        if (completedHabits === 0 && partialHabits === 0) return 'red';
+        if (completedHabits === totalHabits) return 'green';
+        return 'yellow';
+    }
+
+    // Year heatmap
+    // One cell per date with a level from 0 (nothing) to 4 (all done), or null when
+    // nothing was due. For a habit the status is done/partial/missed, or clean/slip
+    // for a negative one; without a habit it's the share of all counted habits done.
+    // Dates are worked through in chunks, yielding in between so years of history
+    // don't freeze the page; returns null if `isCancelled` says to stop.
+    async getHeatmapData(habitId, dates, isCancelled = () => false) {
+        const habit = habitId ? this.data.habits.find(h => h.id === habitId) : null;
+        const today = new Date();
+        today.setHours(23, 59, 59, 999);
+        const cells = [];
+        
+        for (let i = 0; i < dates.length; i++) {
+            if (i > 0 && i % HEATMAP_CHUNK_DAYS === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (isCancelled()) return null;
+            }
+            const date = dates[i];
+            if (date > today) {
+                cells.push({ date, status: 'future', level: null });
+            } else if (habit) {
+                cells.push({ date, ...this.getHabitHeatmapCell(habit, date) });
+            } else {
+                cells.push({ date, ...this.getAllHabitsHeatmapCell(date) });
+            }
+        }
+        return cells;
+    }
+
+    getHabitHeatmapCell(habit, date) {
+        if (this.isNegativeHabit(habit)) {
+            if (!this.isHabitTrackedOn(habit, date)) return { status: 'off', level: null };
+            return this.isHabitComplete(habit, date) ? { status: 'slip', level: 0 } : { status: 'clean', level: 4 };
+        }
+        if (!this.isHabitCountedOn(habit, date)) return { status: 'off', level: null };
+        
+        const progress = this.getHabitProgress(habit, date);
+        if (progress >= 1) return { status: 'done', level: 4, progress };
+        if (progress > 0) return { status: 'partial', level: Math.max(1, Math.ceil(progress * 3)), progress };
+        return { status: 'missed', level: 0, progress };
+    }
+
+    // Measurable habits count by how far they got toward their target
+    getAllHabitsHeatmapCell(date) {
+        const counted = this.data.habits.filter(h => this.isHabitCountedOn(h, date));
+        if (counted.length === 0) return { status: 'off', level: null };
+        
+        const done = counted.filter(h => this.isHabitSuccessful(h, date)).length;
+        const share = counted.reduce((sum, h) => sum + this.getHabitProgress(h, date), 0) / counted.length;
+        let level = 0;
+        if (share >= 1) level = 4;
+        else if (share > 0) level = 1 + Math.min(Math.floor(share * 3), 2);
+        return { status: 'share', level, done, total: counted.length };
+    }
+
+    formatDate(date) {
+        const d = new Date(date);
+        return d.toISOString().split('T')[0];
+    }
+
+    exportData() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    async importData(importedData) {
+        try {
+            // Validate the structure
+            if (!importedData.habits || !importedData.trackingFields || !importedData.days) {
+                throw new Error('Invalid data format');
+            }
+
+            // Merge habit groups by name, remembering which local group each imported ID maps to
+            const groupIdMap = {};
+            (importedData.habitGroups || []).forEach(group => {
+                const existingGroup = this.data.habitGroups.find(g => g.name === group.name);
+                if (existingGroup) {
+                    groupIdMap[group.id] = existingGroup.id;
+                } else {
+                    this.data.habitGroups.push(group);
+                    groupIdMap[group.id] = group.id;
+                }
+            });
+
+            // Merge habits (avoid duplicates by name to prevent UI confusion)
+            // Note: This intentionally uses name matching to avoid duplicate visible entries
+            const existingHabitNames = new Set(this.data.habits.map(h => h.name));
+            this.sortByOrder(importedData.habits).forEach(habit => {
                 if (!existingHabitNames.has(habit.name)) {
+                    if (habit.groupId) {
+                        habit.groupId = groupIdMap[habit.groupId] || null;
+                        if (!habit.groupId) delete habit.groupId;
+                    }
                     this.data.habits.push(habit);
                 }
             });
@@ -478,16 +1763,41 @@ class DataManager {
             // Merge tracking fields (avoid duplicates by name to prevent UI confusion)
             // Note: This intentionally uses name matching to avoid duplicate visible entries
             const existingFieldNames = new Set(this.data.trackingFields.map(f => f.name));
-            importedData.trackingFields.forEach(field => {
+            this.sortByOrder(importedData.trackingFields).forEach(field => {
                 if (!existingFieldNames.has(field.name)) {
                     this.data.trackingFields.push(field);
                 }
             });
 
+            // Imported items go after the existing ones in their original order
+            this.renumberOrder(this.data.habits);
+            this.renumberOrder(this.data.trackingFields);
+
             // Merge day data (overwrite existing dates)
             Object.keys(importedData.days).forEach(date => {
                 this.data.days[date] = importedData.days[date];
             });
+            this.normalizeStoredTrackingValues();
+
+            // Merge streak pauses (skip ones we already have)
+            if (importedData.pauses) {
+                const existingPauseIds = new Set(this.data.pauses.map(p => p.id));
+                importedData.pauses.forEach(pause => {
+                    if (!existingPauseIds.has(pause.id)) {
+                        this.data.pauses.push(pause);
+                    }
+                });
+            }
+
+            // Merge planner day templates (skip ones we already have)
+            if (importedData.dayTemplates) {
+                const existingTemplateIds = new Set(this.data.dayTemplates.map(t => t.id));
+                importedData.dayTemplates.forEach(template => {
+                    if (!existingTemplateIds.has(template.id)) {
+                        this.data.dayTemplates.push(template);
+                    }
+                });
+            }
 
             await this.saveData();
             return { success: true };
@@ -504,7 +1814,10 @@ class DataManager {
             days: {},
             plannerEvents: [],
             events: [],
-            templates: []
+            templates: [],
+            pauses: [],
+            habitGroups: [],
+            dayTemplates: []
         };
         await this.saveData();
     }
@@ -538,7 +1851,7 @@ class DataManager {
             
             if (result.action === 'downloaded') {
                 // Cloud data was newer, update local data
-                this.data = result.data;
+                this.setLoadedData(result.data);
                 await this.saveData();
             }
             
@@ -565,7 +1878,7 @@ class DataManager {
             
             if (result.action === 'downloaded') {
                 // Cloud data was newer, update local data
-                this.data = result.data;
+                this.setLoadedData(result.data);
                 await this.saveData();
             }
             
@@ -606,52 +1919,162 @@ class DataManager {
         return event;
     }
 
-    async updateEvent(id, name, description, date, startTime, duration, recurrence = null, updateAll = true) {
+    /**
+     * Update an event, or part of a recurring series
+     * @param {string} id - Event id
+     * @param {string} name - Event name
+     * @param {string} description - Event description
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} startTime - HH:MM
+     * @param {number} duration - Minutes, -1 for all day
+     * @param {Object|null} recurrence - Rule for the series (ignored for a single occurrence)
+     * @param {string} scope - 'all', 'this' or 'following' occurrences of a recurring event
+     * @param {string|null} occurrenceDate - Original date of the occurrence being edited
+     * @returns {Promise<Object|null>} The updated event (the new series when split)
+     */
+    async updateEvent(id, name, description, date, startTime, duration, recurrence = null, scope = 'all', occurrenceDate = null) {
         const eventIndex = this.data.events.findIndex(e => e.id === id);
-        if (eventIndex !== -1) {
-            if (updateAll) {
-                // Update the entire event series
-                this.data.events[eventIndex] = {
-                    ...this.data.events[eventIndex],
-                    name,
-                    description,
-                    date,
-                    startTime,
-                    duration,
-                    recurrence
-                };
-            } else {
-                // Create exception for this occurrence - add as new event without recurrence
-                const newEvent = {
-                    id: Date.now().toString(),
-                    name,
-                    description,
-                    date,
-                    startTime,
-                    duration,
-                    recurrence: null,
-                    createdAt: new Date().toISOString(),
-                    parentEventId: id // Track that this is an exception
-                };
-                this.data.events.push(newEvent);
-            }
+        if (eventIndex === -1) return null;
+        const event = this.data.events[eventIndex];
+        const fields = { name, description, date, startTime, duration };
+
+        if (event.recurrence && occurrenceDate && scope === 'this') {
+            // Override just this occurrence; it can move to another date
+            event.recurrence = {
+                ...event.recurrence,
+                exceptionDates: (event.recurrence.exceptionDates || []).filter(d => d !== occurrenceDate),
+                overrides: { ...(event.recurrence.overrides || {}), [occurrenceDate]: fields }
+            };
             await this.saveData();
-            return this.data.events[eventIndex];
+            return event;
         }
-        return null;
+
+        if (event.recurrence && occurrenceDate && scope === 'following' && this.countOccurrencesBefore(event, occurrenceDate) > 0) {
+            const newEvent = this.splitEventSeries(event, occurrenceDate, fields, recurrence);
+            await this.saveData();
+            return newEvent;
+        }
+
+        // Update the entire event series. Editing from an occurrence moves the whole
+        // series by however far that occurrence moved, along with its exceptions.
+        let seriesDate = date;
+        if (event.recurrence && recurrence) {
+            const shift = occurrenceDate ? this.daysBetween(occurrenceDate, date) : 0;
+            if (occurrenceDate) seriesDate = this.shiftLocalDate(event.date, shift);
+            const exceptionDates = (event.recurrence.exceptionDates || []).map(d => this.shiftLocalDate(d, shift));
+            const overrides = {};
+            Object.entries(event.recurrence.overrides || {}).forEach(([d, override]) => {
+                overrides[this.shiftLocalDate(d, shift)] = override;
+            });
+            recurrence = { ...recurrence };
+            if (exceptionDates.length > 0) recurrence.exceptionDates = exceptionDates;
+            if (Object.keys(overrides).length > 0) recurrence.overrides = overrides;
+        }
+        this.data.events[eventIndex] = { ...event, ...fields, date: seriesDate, recurrence };
+        await this.saveData();
+        return this.data.events[eventIndex];
     }
 
-    async deleteEvent(id, deleteAll = true) {
-        if (deleteAll) {
-            this.data.events = this.data.events.filter(e => e.id !== id);
+    /**
+     * Delete an event, or part of a recurring series
+     * @param {string} id - Event id
+     * @param {string} scope - 'all', 'this' or 'following' occurrences of a recurring event
+     * @param {string|null} occurrenceDate - Original date of the occurrence being deleted
+     */
+    async deleteEvent(id, scope = 'all', occurrenceDate = null) {
+        const event = this.data.events.find(e => e.id === id);
+        const partial = event && event.recurrence && occurrenceDate && scope !== 'all';
+
+        if (partial && scope === 'this') {
+            const overrides = { ...(event.recurrence.overrides || {}) };
+            delete overrides[occurrenceDate];
+            event.recurrence = {
+                ...event.recurrence,
+                exceptionDates: [...new Set([...(event.recurrence.exceptionDates || []), occurrenceDate])],
+                overrides
+            };
+        } else if (partial && this.countOccurrencesBefore(event, occurrenceDate) > 0) {
+            // End the series the day before
+            this.endSeriesBefore(event, occurrenceDate);
         } else {
-            // For single occurrence deletion, we'd need to add to an exclusion list
-            // For now, simplified implementation
             this.data.events = this.data.events.filter(e => e.id !== id);
         }
         await this.saveData();
     }
 
+    // How many times a series' rule fell before a date (exceptions still count)
+    countOccurrencesBefore(event, dateStr) {
+        const start = this.parseLocalDate(event.date);
+        const end = this.parseLocalDate(this.shiftLocalDate(dateStr, -1));
+        return end < start ? 0 : this.getRecurrenceDates(event, start, end).length;
+    }
+
+    // Cut a series short so its last occurrence is before a date. Exceptions and
+    // overrides from that date on are removed and returned.
+    endSeriesBefore(event, dateStr) {
+        const recurrence = { ...event.recurrence, endDate: this.shiftLocalDate(dateStr, -1) };
+        delete recurrence.occurrences;
+
+        const later = { exceptionDates: [], overrides: {} };
+        recurrence.exceptionDates = (recurrence.exceptionDates || []).filter(d => {
+            if (d >= dateStr) later.exceptionDates.push(d);
+            return d < dateStr;
+        });
+        const overrides = {};
+        Object.entries(recurrence.overrides || {}).forEach(([d, override]) => {
+            if (d >= dateStr) later.overrides[d] = override;
+            else overrides[d] = override;
+        });
+        recurrence.overrides = overrides;
+
+        event.recurrence = recurrence;
+        return later;
+    }
+
+    // "This and following": end the series before the occurrence and start a new
+    // one from it with the edited details, carrying over later exceptions
+    splitEventSeries(event, occurrenceDate, fields, recurrence) {
+        const before = this.countOccurrencesBefore(event, occurrenceDate);
+        const original = event.recurrence;
+        const later = this.endSeriesBefore(event, occurrenceDate);
+
+        const newEvent = {
+            id: Date.now().toString(),
+            ...fields,
+            recurrence: recurrence ? { ...recurrence } : null,
+            createdAt: new Date().toISOString()
+        };
+        const next = newEvent.recurrence;
+        if (next) {
+            // An unchanged count still means the whole series, so the new part gets what's left
+            if (next.occurrences && next.occurrences === original.occurrences) {
+                next.occurrences = Math.max(1, original.occurrences - before);
+            }
+
+            // Every-other-week rules count weeks from the series start; keep the same
+            // weeks by starting the new series at the beginning of the current one
+            const sameWeeks = next.type === 'weekly' && original.type === 'weekly'
+                && (next.interval || 1) > 1 && next.interval === original.interval && fields.date === occurrenceDate;
+            if (sameWeeks) {
+                const offset = this.daysBetween(event.date, occurrenceDate);
+                const blockStart = this.shiftLocalDate(event.date, Math.floor(offset / 7) * 7);
+                const skipped = [];
+                for (let d = blockStart; d < occurrenceDate; d = this.shiftLocalDate(d, 1)) {
+                    if (next.daysOfWeek.includes(this.parseLocalDate(d).getDay())) skipped.push(d);
+                }
+                newEvent.date = blockStart;
+                later.exceptionDates.push(...skipped);
+                if (next.occurrences) next.occurrences += skipped.length;
+            }
+
+            if (later.exceptionDates.length > 0) next.exceptionDates = later.exceptionDates;
+            if (Object.keys(later.overrides).length > 0) next.overrides = later.overrides;
+        }
+
+        this.data.events.push(newEvent);
+        return newEvent;
+    }
+
     // Templates
     async addTemplate(name, description, duration) {
         const template = {
@@ -686,162 +2109,665 @@ class DataManager {
         await this.saveData();
     }
 
+    parseLocalDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    shiftLocalDate(dateStr, days) {
+        const date = this.parseLocalDate(dateStr);
+        return this.formatLocalDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+    }
+
+    // Whole days from one date string to another
+    daysBetween(fromStr, toStr) {
+        return Math.round((this.parseLocalDate(toStr) - this.parseLocalDate(fromStr)) / (1000 * 60 * 60 * 24));
+    }
+
     // Helper method to get events for a specific date (including recurring)
     getEventsForDate(date) {
-        const dateStr = this.formatDate(date);
-        const events = [];
+        const dateStr = typeof date === 'string' ? date : this.formatLocalDate(date);
+        return this.getEventOccurrences(dateStr, dateStr).get(dateStr) || [];
+    }
+
+    /**
+     * Expand events into their occurrences between two dates
+     * Recurring events are stepped through by their rule rather than checked day by day,
+     * so a whole month costs about one pass over the events
+     * @param {Date|string} startDate - First date (inclusive)
+     * @param {Date|string} endDate - Last date (inclusive)
+     * @returns {Map<string, Object[]>} Local date string -> events that day, all-day first then by start time
+     */
+    getEventOccurrences(startDate, endDate) {
+        const toDay = (date) => typeof date === 'string'
+            ? this.parseLocalDate(date)
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const rangeStart = toDay(startDate);
+        const rangeEnd = toDay(endDate);
+        const occurrences = new Map();
+        const add = (dateStr, event) => {
+            if (!occurrences.has(dateStr)) occurrences.set(dateStr, []);
+            occurrences.get(dateStr).push(event);
+        };
 
         this.data.events.forEach(event => {
             if (event.recurrence) {
-                // Check if this recurring event occurs on this date
-                if (this.eventOccursOnDate(event, date)) {
-                    events.push({ ...event, isRecurring: true });
+                const exceptionDates = event.recurrence.exceptionDates || [];
+                const overrides = event.recurrence.overrides || {};
+                this.getRecurrenceDates(event, rangeStart, rangeEnd).forEach(date => {
+                    const dateStr = this.formatLocalDate(date);
+                    if (!exceptionDates.includes(dateStr) && !overrides[dateStr]) {
+                        add(dateStr, { ...event, isRecurring: true, occurrenceDate: dateStr });
+                    }
+                });
+
+                // Changed occurrences show on their own (possibly moved) date
+                Object.entries(overrides).forEach(([occurrenceDate, override]) => {
+                    const date = this.parseLocalDate(override.date);
+                    if (date < rangeStart || date > rangeEnd || exceptionDates.includes(occurrenceDate)) return;
+                    // Skip overrides the rule no longer lands on after the series was edited
+                    const original = this.parseLocalDate(occurrenceDate);
+                    if (this.getRecurrenceDates(event, original, original).length === 0) return;
+                    add(override.date, { ...event, ...override, isRecurring: true, isException: true, occurrenceDate });
+                });
+            } else {
+                const date = this.parseLocalDate(event.date);
+                if (date >= rangeStart && date <= rangeEnd) {
+                    add(event.date, { ...event, isRecurring: false });
                 }
-            } else if (event.date === dateStr) {
-                // One-time event
-                events.push({ ...event, isRecurring: false });
             }
         });
 
-        return events;
+        occurrences.forEach(events => events.sort((a, b) =>
+            (a.duration === -1 ? 0 : 1) - (b.duration === -1 ? 0 : 1) || a.startTime.localeCompare(b.startTime)
+        ));
+        return occurrences;
+    }
+
+    // Dates a recurring event's rule falls on within a range, before exception dates
+    // are removed. Intervals and occurrence counts are measured from the event's
+    // first date, not from the range.
+    getRecurrenceDates(event, rangeStart, rangeEnd) {
+        const recurrence = event.recurrence;
+        const start = this.parseLocalDate(event.date);
+        const interval = Math.max(1, recurrence.interval || 1);
+        const limit = recurrence.occurrences || Infinity;
+        const first = rangeStart > start ? rangeStart : start;
+        let last = rangeEnd;
+        if (recurrence.endDate) {
+            const endDate = this.parseLocalDate(recurrence.endDate);
+            if (endDate < last) last = endDate;
+        }
+
+        const dates = [];
+        if (first > last) return dates;
+
+        // Rounded so a daylight saving change doesn't shift the count
+        const dayOffset = Math.round((first - start) / (1000 * 60 * 60 * 24));
+        const dayAfterStart = (days) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+
+        switch (recurrence.type) {
+            case 'daily':
+            case 'custom':
+                // Custom is handled like daily with custom interval
+                for (let n = Math.ceil(dayOffset / interval); n < limit; n++) {
+                    const date = dayAfterStart(n * interval);
+                    if (date > last) break;
+                    dates.push(date);
+                }
+                break;
+
+            case 'weekly': {
+                // Weeks are 7-day blocks from the first date, so each repeating block
+                // holds every chosen weekday exactly once
+                const daysOfWeek = recurrence.daysOfWeek || [];
+                if (daysOfWeek.length === 0) break;
+                let block = Math.floor(Math.floor(dayOffset / 7) / interval) * interval;
+                for (; dayAfterStart(block * 7) <= last; block += interval) {
+                    let count = (block / interval) * daysOfWeek.length;
+                    if (count >= limit) break;
+                    for (let offset = 0; offset < 7; offset++) {
+                        const date = dayAfterStart(block * 7 + offset);
+                        if (date > last || count >= limit) break;
+                        if (!daysOfWeek.includes(date.getDay())) continue;
+                        count++;
+                        if (date >= first) dates.push(date);
+                    }
+                }
+                break;
+            }
+
+            case 'monthly': {
+                const monthOffset = (first.getFullYear() - start.getFullYear()) * 12 + first.getMonth() - start.getMonth();
+                for (let n = Math.floor(monthOffset / interval); n < limit; n++) {
+                    const monthStart = new Date(start.getFullYear(), start.getMonth() + n * interval, 1);
+                    if (monthStart > last) break;
+                    const day = this.getMonthlyRecurrenceDay(recurrence, monthStart.getFullYear(), monthStart.getMonth());
+                    if (day === null) continue;
+                    const date = new Date(monthStart.getFullYear(), monthStart.getMonth(), day);
+                    if (date >= first && date <= last) dates.push(date);
+                }
+                break;
+            }
+
+            case 'yearly':
+                for (let n = Math.floor((first.getFullYear() - start.getFullYear()) / interval); n < limit; n++) {
+                    const year = start.getFullYear() + n * interval;
+                    if (new Date(year, 0, 1) > last) break;
+                    const date = new Date(year, start.getMonth(), start.getDate());
+                    // Feb 29 only repeats in leap years
+                    if (date.getMonth() !== start.getMonth()) continue;
+                    if (date >= first && date <= last) dates.push(date);
+                }
+                break;
+        }
+
+        return dates;
+    }
+
+    // Day of the month a monthly rule lands on, or null when it skips that month
+    getMonthlyRecurrenceDay(recurrence, year, month) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        if (recurrence.dayOfMonth) {
+            // Specific day of month
+            return recurrence.dayOfMonth <= daysInMonth ? recurrence.dayOfMonth : null;
+        }
+
+        if (recurrence.monthlyPattern) {
+            // Pattern like "2nd Tuesday" or "last Friday"
+            const pattern = recurrence.monthlyPattern;
+            if (pattern.week === -1) {
+                const lastDayOfWeek = new Date(year, month, daysInMonth).getDay();
+                return daysInMonth - (lastDayOfWeek - pattern.dayOfWeek + 7) % 7;
+            }
+            const firstDayOfWeek = new Date(year, month, 1).getDay();
+            const day = 1 + (pattern.dayOfWeek - firstDayOfWeek + 7) % 7 + (pattern.week - 1) * 7;
+            return day <= daysInMonth ? day : null;
+        }
+
+        return null;
     }
 
     // Check if a recurring event occurs on a specific date
     eventOccursOnDate(event, date) {
         if (!event.recurrence) return false;
+        const day = typeof date === 'string'
+            ? this.parseLocalDate(date)
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const dateStr = this.formatLocalDate(day);
+        const { exceptionDates = [], overrides = {} } = event.recurrence;
+        const movedHere = Object.entries(overrides).some(([occurrenceDate, override]) =>
+            override.date === dateStr && !exceptionDates.includes(occurrenceDate)
+            && this.getRecurrenceDates(event, this.parseLocalDate(occurrenceDate), this.parseLocalDate(occurrenceDate)).length > 0);
+        if (movedHere) return true;
+        if (exceptionDates.includes(dateStr) || overrides[dateStr]) return false;
+        return this.getRecurrenceDates(event, day, day).length > 0;
+    }
 
-        const checkDate = new Date(date);
-        const eventStartDate = new Date(event.date);
-        
-        // Event hasn't started yet
-        if (checkDate < eventStartDate) return false;
+    // iCalendar
+    // Calendar events and planner blocks as an .ics file other calendar apps can read
+    exportCalendar() {
+        const stamp = ICalendar.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Track Deez//Track Deez//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+        this.data.events.forEach(event => lines.push(...this.eventToICalendar(event, stamp)));
+        this.data.plannerEvents.forEach(block => lines.push(...this.plannerEventToICalendar(block, stamp)));
+        lines.push('END:VCALENDAR');
+        return ICalendar.stringify(lines);
+    }
+
+    eventToICalendar(event, stamp) {
+        const uid = ICalendar.formatLine('UID', event.uid || `${event.id}@track-deez`);
+        const allDay = event.duration === -1;
+        // EXDATE and RECURRENCE-ID are written the same way as the series' DTSTART
+        const formatOccurrence = (dateStr) => allDay
+            ? ICalendar.formatDate(dateStr)
+            : ICalendar.formatDateTime(dateStr, event.startTime);
+        const occurrenceParams = allDay ? { VALUE: 'DATE' } : {};
+
+        if (!event.recurrence) {
+            return ['BEGIN:VEVENT', uid, ICalendar.formatLine('DTSTAMP', stamp), ...this.eventDetailsToICalendar(event), 'END:VEVENT'];
+        }
 
-        // Check end date
-        if (event.recurrence.endDate) {
-            const endDate = new Date(event.recurrence.endDate);
-            if (checkDate > endDate) return false;
+        const rule = this.recurrenceToICalendar(event);
+        if (!rule) return []; // The rule never produces a date
+        const exceptionDates = (event.recurrence.exceptionDates || []).filter(date => date >= rule.startDate);
+
+        const lines = [
+            'BEGIN:VEVENT',
+            uid,
+            ICalendar.formatLine('DTSTAMP', stamp),
+            ...this.eventDetailsToICalendar({ ...event, date: rule.startDate }),
+            ICalendar.formatLine('RRULE', ICalendar.formatRecurrenceRule(rule.parts))
+        ];
+        if (exceptionDates.length > 0) {
+            lines.push(ICalendar.formatLine('EXDATE', exceptionDates.map(formatOccurrence).join(','), occurrenceParams));
         }
+        lines.push('END:VEVENT');
+
+        // Changed occurrences are their own components, pointing back at the date they replace
+        Object.entries(event.recurrence.overrides || {}).forEach(([occurrenceDate, override]) => {
+            const original = this.parseLocalDate(occurrenceDate);
+            if (occurrenceDate < rule.startDate || exceptionDates.includes(occurrenceDate)
+                || this.getRecurrenceDates(event, original, original).length === 0) return;
+            lines.push(
+                'BEGIN:VEVENT',
+                uid,
+                ICalendar.formatLine('DTSTAMP', stamp),
+                ICalendar.formatLine('RECURRENCE-ID', formatOccurrence(occurrenceDate), occurrenceParams),
+                ...this.eventDetailsToICalendar(override),
+                'END:VEVENT'
+            );
+        });
+        return lines;
+    }
 
+    // DTSTART, length, SUMMARY and DESCRIPTION of an event or a changed occurrence
+    eventDetailsToICalendar({ name, description, date, startTime, duration }) {
+        const allDay = duration === -1;
+        const lines = [
+            allDay
+                ? ICalendar.formatLine('DTSTART', ICalendar.formatDate(date), { VALUE: 'DATE' })
+                : ICalendar.formatLine('DTSTART', ICalendar.formatDateTime(date, startTime)),
+            ICalendar.formatLine('DURATION', allDay ? 'P1D' : `PT${Math.max(0, duration || 0)}M`),
+            ICalendar.formatLine('SUMMARY', ICalendar.escapeText(name))
+        ];
+        if (description) {
+            lines.push(ICalendar.formatLine('DESCRIPTION', ICalendar.escapeText(description)));
+        }
+        return lines;
+    }
+
+    /**
+     * RRULE parts for a recurring event
+     * The spec always counts DTSTART as an occurrence, so the rule starts on the first
+     * date the event really falls on; a count is given as an end date when the spec
+     * would count it differently (e.g. monthly on the 31st skips short months).
+     * @param {Object} event - Recurring event
+     * @returns {Object|null} { startDate, parts }, or null when the rule never falls on a date
+     */
+    recurrenceToICalendar(event) {
         const recurrence = event.recurrence;
-        const daysDiff = Math.floor((checkDate - eventStartDate) / (1000 * 60 * 60 * 24));
+        const allDay = event.duration === -1;
+        const start = this.parseLocalDate(event.date);
+        const finite = recurrence.occurrences || recurrence.endDate;
+        // An open-ended rule's first date is within a few years of its start (Feb 29 yearly is the worst case)
+        const searchEnd = finite
+            ? new Date(9999, 11, 31)
+            : new Date(start.getFullYear() + 8 * (recurrence.interval || 1), start.getMonth(), start.getDate());
+        const dates = this.getRecurrenceDates(event, start, searchEnd);
+        if (dates.length === 0) return null;
+
+        const interval = recurrence.interval || 1;
+        const frequencies = { daily: 'DAILY', custom: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+        const parts = { FREQ: frequencies[recurrence.type] };
+        if (interval > 1) parts.INTERVAL = interval;
+
+        if (recurrence.type === 'weekly') {
+            parts.BYDAY = [...recurrence.daysOfWeek].sort().map(day => ICAL_WEEKDAYS[day]).join(',');
+            // Our weeks run from the event's first date; the spec's run from WKST
+            if (interval > 1) parts.WKST = ICAL_WEEKDAYS[start.getDay()];
+        } else if (recurrence.type === 'monthly') {
+            if (recurrence.dayOfMonth) {
+                parts.BYMONTHDAY = recurrence.dayOfMonth;
+            } else if (recurrence.monthlyPattern) {
+                parts.BYDAY = `${recurrence.monthlyPattern.week}${ICAL_WEEKDAYS[recurrence.monthlyPattern.dayOfWeek]}`;
+            }
+        }
 
-        switch (recurrence.type) {
-            case 'daily':
-                if (daysDiff % recurrence.interval === 0) {
-                    // Check occurrences limit
-                    if (recurrence.occurrences) {
-                        const occurrenceNumber = Math.floor(daysDiff / recurrence.interval) + 1;
-                        return occurrenceNumber <= recurrence.occurrences;
-                    }
-                    return true;
-                }
-                return false;
-
-            case 'weekly':
-                if (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
-                    const weeksDiff = Math.floor(daysDiff / 7);
-                    if (weeksDiff % recurrence.interval === 0) {
-                        const dayOfWeek = checkDate.getDay();
-                        if (recurrence.daysOfWeek.includes(dayOfWeek)) {
-                            if (recurrence.occurrences) {
-                                // Count occurrences up to this date without recursion
-                                let count = 0;
-                                for (let d = new Date(eventStartDate); d <= checkDate; d.setDate(d.getDate() + 1)) {
-                                    const dWeeksDiff = Math.floor((d - eventStartDate) / (1000 * 60 * 60 * 24 * 7));
-                                    if (dWeeksDiff % recurrence.interval === 0 && recurrence.daysOfWeek.includes(d.getDay())) {
-                                        count++;
-                                    }
-                                }
-                                return count <= recurrence.occurrences;
-                            }
-                            return true;
-                        }
+        const lastDate = this.formatLocalDate(dates[dates.length - 1]);
+        if (recurrence.occurrences && dates.length === recurrence.occurrences && !recurrence.endDate) {
+            parts.COUNT = recurrence.occurrences;
+        } else if (finite) {
+            const untilDate = recurrence.occurrences ? lastDate : recurrence.endDate;
+            parts.UNTIL = allDay ? ICalendar.formatDate(untilDate) : `${ICalendar.formatDate(untilDate)}T235959`;
+        }
+
+        return { startDate: this.formatLocalDate(dates[0]), parts };
+    }
+
+    plannerEventToICalendar(block, stamp) {
+        const category = block.category || 'other';
+        const lines = [
+            'BEGIN:VEVENT',
+            ICalendar.formatLine('UID', block.uid || `${block.id}@track-deez`),
+            ICalendar.formatLine('DTSTAMP', stamp),
+            ICalendar.formatLine('DTSTART', ICalendar.formatDateTime(block.date, block.startTime)),
+            ICalendar.formatLine('DTEND', ICalendar.formatDateTime(block.date, block.endTime)),
+            ICalendar.formatLine('SUMMARY', ICalendar.escapeText(block.title)),
+            ICalendar.formatLine('CATEGORIES', ICalendar.escapeText(category.charAt(0).toUpperCase() + category.slice(1))),
+            ICalendar.formatLine('X-TRACK-DEEZ-KIND', 'planner')
+        ];
+        if (block.notes) {
+            lines.push(ICalendar.formatLine('DESCRIPTION', ICalendar.escapeText(block.notes)));
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Add the events from an .ics file
+     * Events already in Track Deez (same UID) are skipped. Anything that can't be
+     * represented exactly is imported as closely as possible and listed in the report.
+     * @param {string} text - Calendar file contents
+     * @returns {Promise<Object>} { events, plannerEvents, duplicates, warnings: [{ summary, message }] }
+     * @throws {Error} When the file isn't an iCalendar file
+     */
+    async importCalendar(text) {
+        const calendars = ICalendar.parse(text);
+        const report = { events: 0, plannerEvents: 0, duplicates: 0, warnings: [] };
+        const components = calendars.flatMap(calendar => calendar.components);
+        const vevents = components.filter(c => c.type === 'VEVENT');
+
+        const skippedTypes = components.filter(c => c.type === 'VTODO' || c.type === 'VJOURNAL').length;
+        if (skippedTypes > 0) {
+            report.warnings.push({ summary: 'Tasks and journal entries', message: `${skippedTypes} skipped; only events can be imported` });
+        }
+
+        const knownUids = new Set([
+            ...this.data.events.map(e => e.uid || `${e.id}@track-deez`),
+            ...this.data.plannerEvents.map(e => e.uid || `${e.id}@track-deez`)
+        ]);
+        const uidOf = (vevent) => (ICalendar.getProperty(vevent, 'UID') || {}).value || null;
+
+        // Series first, so moved or cancelled occurrences (RECURRENCE-ID) can find their parent
+        const isOverride = (vevent) => !!ICalendar.getProperty(vevent, 'RECURRENCE-ID');
+        const seriesByUid = new Map();
+        const ordered = [...vevents.filter(v => !isOverride(v)), ...vevents.filter(isOverride)];
+
+        ordered.forEach(vevent => {
+            const uid = uidOf(vevent);
+            const summary = ICalendar.unescapeText((ICalendar.getProperty(vevent, 'SUMMARY') || {}).value) || '(No title)';
+            if (uid && knownUids.has(uid) && !isOverride(vevent)) {
+                report.duplicates++;
+                return;
+            }
+
+            const warn = (message) => report.warnings.push({ summary, message });
+            let mapped;
+            try {
+                mapped = this.mapICalendarEvent(vevent, summary, warn);
+            } catch (error) {
+                warn(`${error.message}; not imported`);
+                return;
+            }
+            if (!mapped) return;
+
+            if (isOverride(vevent)) {
+                // A changed or cancelled occurrence of a series in this file
+                const parent = uid && seriesByUid.get(uid);
+                if (parent) {
+                    const [original] = ICalendar.parseDateTimes(ICalendar.getProperty(vevent, 'RECURRENCE-ID'));
+                    const recurrence = parent.recurrence;
+                    if (((ICalendar.getProperty(vevent, 'STATUS') || {}).value || '').toUpperCase() === 'CANCELLED') {
+                        recurrence.exceptionDates = [...new Set([...(recurrence.exceptionDates || []), original.date])];
+                    } else {
+                        const { name, description, date, startTime, duration } = mapped.items[0];
+                        recurrence.overrides = { ...(recurrence.overrides || {}), [original.date]: { name, description, date, startTime, duration } };
                     }
+                    return;
+                } else if (uid && knownUids.has(uid)) {
+                    report.duplicates++;
+                    return;
                 }
-                return false;
+            }
 
-            case 'monthly':
-                const monthsDiff = (checkDate.getFullYear() - eventStartDate.getFullYear()) * 12 
-                                 + (checkDate.getMonth() - eventStartDate.getMonth());
-                
-                if (monthsDiff % recurrence.interval === 0) {
-                    if (recurrence.dayOfMonth) {
-                        // Specific day of month
-                        if (checkDate.getDate() === recurrence.dayOfMonth) {
-                            if (recurrence.occurrences) {
-                                const occurrenceNumber = Math.floor(monthsDiff / recurrence.interval) + 1;
-                                return occurrenceNumber <= recurrence.occurrences;
-                            }
-                            return true;
-                        }
-                    } else if (recurrence.monthlyPattern) {
-                        // Pattern like "2nd Tuesday" or "last Friday"
-                        const pattern = recurrence.monthlyPattern;
-                        let targetDate;
-                        
-                        if (pattern.week === -1) {
-                            // Last occurrence of the day in the month
-                            const lastDayOfMonth = new Date(checkDate.getFullYear(), checkDate.getMonth() + 1, 0);
-                            let lastOccurrence = lastDayOfMonth.getDate();
-                            
-                            // Walk backward to find the last occurrence of the target day
-                            while (new Date(checkDate.getFullYear(), checkDate.getMonth(), lastOccurrence).getDay() !== pattern.dayOfWeek) {
-                                lastOccurrence--;
-                            }
-                            targetDate = lastOccurrence;
-                        } else {
-                            // Nth occurrence of the day
-                            const firstDayOfMonth = new Date(checkDate.getFullYear(), checkDate.getMonth(), 1);
-                            const firstDayOfWeek = firstDayOfMonth.getDay();
-                            const daysUntilTarget = (pattern.dayOfWeek - firstDayOfWeek + 7) % 7;
-                            targetDate = 1 + daysUntilTarget + (pattern.week - 1) * 7;
-                            
-                            // Validate that the date exists in this month
-                            const testDate = new Date(checkDate.getFullYear(), checkDate.getMonth(), targetDate);
-                            if (testDate.getMonth() !== checkDate.getMonth()) {
-                                return false; // Date doesn't exist in this month
-                            }
-                        }
-                        
-                        if (checkDate.getDate() === targetDate) {
-                            if (recurrence.occurrences) {
-                                const occurrenceNumber = Math.floor(monthsDiff / recurrence.interval) + 1;
-                                return occurrenceNumber <= recurrence.occurrences;
-                            }
-                            return true;
-                        }
+            mapped.items.forEach(item => {
+                if (mapped.isPlanner) {
+                    this.data.plannerEvents.push(item);
+                    report.plannerEvents++;
+                } else {
+                    this.data.events.push(item);
+                    report.events++;
+                    if (item.recurrence && uid) seriesByUid.set(uid, item);
+                }
+            });
+        });
+
+        if (report.events + report.plannerEvents > 0) {
+            await this.saveData();
+        }
+        return report;
+    }
+
+    // One VEVENT as Track Deez events (a calendar event, possibly with a separate
+    // first occurrence) or a planner block; reports anything it has to approximate
+    mapICalendarEvent(vevent, summary, warn) {
+        const startProperty = ICalendar.getProperty(vevent, 'DTSTART');
+        if (!startProperty) {
+            warn('Has no start date; not imported');
+            return null;
+        }
+
+        const [start] = ICalendar.parseDateTimes(startProperty);
+        if (start.unknownZone) {
+            warn(`Time zone "${start.unknownZone}" isn't recognised; times were kept as written`);
+        }
+        const allDay = start.time === null;
+        const description = ICalendar.unescapeText((ICalendar.getProperty(vevent, 'DESCRIPTION') || {}).value);
+        const uid = (ICalendar.getProperty(vevent, 'UID') || {}).value || null;
+
+        // Length from DTEND or DURATION
+        let minutes = null;
+        const endProperty = ICalendar.getProperty(vevent, 'DTEND');
+        const durationProperty = ICalendar.getProperty(vevent, 'DURATION');
+        if (endProperty) {
+            const [end] = ICalendar.parseDateTimes(endProperty);
+            const toMinutes = ({ date, time }) => {
+                const [hours, mins] = (time || '00:00').split(':').map(Number);
+                return Math.round(this.parseLocalDate(date).getTime() / 60000) + hours * 60 + mins;
+            };
+            minutes = toMinutes(end) - toMinutes(start);
+        } else if (durationProperty) {
+            minutes = ICalendar.parseDuration(durationProperty.value);
+        }
+
+        if (allDay && minutes !== null && minutes > 1440 + 60) {
+            warn(`Spans ${Math.round(minutes / 1440)} days; imported on its first day only`);
+        }
+        const duration = allDay ? -1 : Math.max(0, minutes || 0);
+
+        // Planner blocks we exported come back as blocks when they still fit in one day
+        const kind = ((ICalendar.getProperty(vevent, 'X-TRACK-DEEZ-KIND') || {}).value || '').toLowerCase();
+        const rruleProperties = ICalendar.getProperties(vevent, 'RRULE');
+        const [startHours, startMins] = (start.time || '00:00').split(':').map(Number);
+        const startMinutes = startHours * 60 + startMins;
+        const isOccurrence = !!ICalendar.getProperty(vevent, 'RECURRENCE-ID');
+        if (kind === 'planner' && !allDay && !isOccurrence && rruleProperties.length === 0 && duration > 0 && startMinutes + duration <= 1440) {
+            const category = ((ICalendar.getProperty(vevent, 'CATEGORIES') || {}).value || '').split(',')[0].toLowerCase();
+            const endMinutes = startMinutes + duration;
+            return {
+                isPlanner: true,
+                items: [{
+                    id: crypto.randomUUID(),
+                    uid,
+                    date: start.date,
+                    startTime: start.time,
+                    endTime: `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`,
+                    title: summary,
+                    category: ['work', 'personal', 'health', 'social', 'other'].includes(category) ? category : 'other',
+                    notes: description,
+                    createdAt: new Date().toISOString()
+                }]
+            };
+        }
+
+        const event = {
+            id: crypto.randomUUID(),
+            uid,
+            name: summary,
+            description,
+            date: start.date,
+            startTime: start.time || '00:00',
+            duration,
+            recurrence: null,
+            createdAt: new Date().toISOString()
+        };
+        const items = [event];
+
+        ['RDATE', 'EXRULE'].forEach(name => {
+            if (ICalendar.getProperty(vevent, name)) warn(`${name} isn't supported; those extra dates were ignored`);
+        });
+        if (rruleProperties.length > 1) {
+            warn('Has several repeat rules; only the first was imported');
+        }
+
+        if (rruleProperties.length > 0) {
+            const mapped = this.mapICalendarRule(ICalendar.parseRecurrenceRule(rruleProperties[0].value), start, allDay);
+            if (mapped.unsupported) {
+                warn(`Repeat rule isn't supported (${mapped.unsupported}); imported the first occurrence only`);
+            } else if (mapped.recurrence) {
+                event.date = mapped.date;
+                event.recurrence = mapped.recurrence;
+
+                const exceptionDates = [...(mapped.recurrence.exceptionDates || [])];
+                ICalendar.getProperties(vevent, 'EXDATE').forEach(property => {
+                    ICalendar.parseDateTimes(property).forEach(({ date }) => {
+                        if (!exceptionDates.includes(date)) exceptionDates.push(date);
+                    });
+                });
+                if (exceptionDates.length > 0) event.recurrence.exceptionDates = exceptionDates;
+                else delete event.recurrence.exceptionDates;
+
+                // The spec counts DTSTART even when the rule itself wouldn't land on it
+                if (!mapped.startMatches && !exceptionDates.includes(start.date)) {
+                    items.push({ ...event, id: crypto.randomUUID(), uid: null, date: start.date, recurrence: null });
+                }
+            }
+        }
+
+        return { isPlanner: false, items };
+    }
+
+    /**
+     * RRULE parts to our recurrence model
+     * @param {Object} rule - Parts from ICalendar.parseRecurrenceRule()
+     * @param {Object} start - Local DTSTART { date, time }
+     * @param {boolean} allDay - Whether the event is all-day
+     * @returns {Object} { date, recurrence, startMatches } where date is the series start and startMatches
+     *   says whether the rule lands on DTSTART itself, or { unsupported: reason }
+     */
+    mapICalendarRule(rule, start, allDay) {
+        const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+        const extra = Object.keys(rule).filter(key => !supported.includes(key));
+        if (extra.length > 0) return { unsupported: extra.join(', ') };
+
+        const interval = parseInt(rule.INTERVAL || '1', 10);
+        if (!(interval >= 1)) return { unsupported: `INTERVAL=${rule.INTERVAL}` };
+        const startDate = this.parseLocalDate(start.date);
+
+        // BYDAY entries like "MO" or "-1FR"
+        const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(entry => {
+            const match = entry.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+            return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, day: ICAL_WEEKDAYS.indexOf(match[2]) } : null;
+        }) : [];
+        if (byDay.includes(null)) return { unsupported: `BYDAY=${rule.BYDAY}` };
+        const plainDays = byDay.every(entry => entry.ordinal === null);
+
+        let date = start.date;
+        let recurrence;
+        let countsMatch = true; // whether our occurrence count means the same as COUNT
+
+        switch (rule.FREQ) {
+            case 'DAILY':
+                if (rule.BYMONTHDAY || rule.BYMONTH || rule.BYSETPOS) return { unsupported: 'daily with month filters' };
+                if (byDay.length > 0) {
+                    // "Every weekday" style rules are a weekly rule in our model
+                    if (interval !== 1 || !plainDays) return { unsupported: `FREQ=DAILY;BYDAY=${rule.BYDAY}` };
+                    recurrence = { type: 'weekly', interval: 1, daysOfWeek: byDay.map(entry => entry.day) };
+                } else {
+                    recurrence = { type: 'daily', interval };
+                }
+                break;
+
+            case 'WEEKLY': {
+                if (rule.BYMONTHDAY || rule.BYMONTH || rule.BYSETPOS) return { unsupported: 'weekly with month filters' };
+                if (!plainDays) return { unsupported: `BYDAY=${rule.BYDAY}` };
+                const daysOfWeek = byDay.length > 0 ? byDay.map(entry => entry.day) : [startDate.getDay()];
+                recurrence = { type: 'weekly', interval, daysOfWeek: [...new Set(daysOfWeek)].sort() };
+
+                // Every other week (or more) counts weeks from WKST (Monday by default) while ours
+                // count from the first date, so start the series on WKST and skip the days before DTSTART
+                const weekStart = rule.WKST ? ICAL_WEEKDAYS.indexOf(rule.WKST) : 1;
+                const shift = (startDate.getDay() - weekStart + 7) % 7;
+                if (interval > 1 && shift > 0) {
+                    const seriesStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() - shift);
+                    date = this.formatLocalDate(seriesStart);
+                    const skipped = [];
+                    for (let offset = 0; offset < shift; offset++) {
+                        const day = new Date(seriesStart.getFullYear(), seriesStart.getMonth(), seriesStart.getDate() + offset);
+                        if (recurrence.daysOfWeek.includes(day.getDay())) skipped.push(this.formatLocalDate(day));
                     }
+                    if (skipped.length > 0) recurrence.exceptionDates = skipped;
                 }
-                return false;
+                break;
+            }
 
-            case 'yearly':
-                const yearsDiff = checkDate.getFullYear() - eventStartDate.getFullYear();
-                if (yearsDiff % recurrence.interval === 0) {
-                    if (checkDate.getMonth() === eventStartDate.getMonth() 
-                        && checkDate.getDate() === eventStartDate.getDate()) {
-                        if (recurrence.occurrences) {
-                            const occurrenceNumber = Math.floor(yearsDiff / recurrence.interval) + 1;
-                            return occurrenceNumber <= recurrence.occurrences;
-                        }
-                        return true;
-                    }
+            case 'MONTHLY':
+                if (rule.BYMONTH) return { unsupported: 'monthly with BYMONTH' };
+                countsMatch = false;
+                if (rule.BYMONTHDAY && byDay.length === 0 && !rule.BYSETPOS && /^([1-9]|[12]\d|3[01])$/.test(rule.BYMONTHDAY)) {
+                    recurrence = { type: 'monthly', interval, dayOfMonth: parseInt(rule.BYMONTHDAY, 10) };
+                } else if (!rule.BYMONTHDAY && byDay.length === 1) {
+                    const week = byDay[0].ordinal !== null ? byDay[0].ordinal : parseInt(rule.BYSETPOS, 10);
+                    if (byDay[0].ordinal !== null && rule.BYSETPOS) return { unsupported: `BYDAY=${rule.BYDAY};BYSETPOS=${rule.BYSETPOS}` };
+                    if (![1, 2, 3, 4, -1].includes(week)) return { unsupported: `BYDAY=${rule.BYDAY}${rule.BYSETPOS ? `;BYSETPOS=${rule.BYSETPOS}` : ''}` };
+                    recurrence = { type: 'monthly', interval, monthlyPattern: { week, dayOfWeek: byDay[0].day } };
+                } else if (!rule.BYMONTHDAY && byDay.length === 0 && !rule.BYSETPOS) {
+                    recurrence = { type: 'monthly', interval, dayOfMonth: startDate.getDate() };
+                } else {
+                    return { unsupported: ['BYMONTHDAY', 'BYDAY', 'BYSETPOS'].filter(key => rule[key]).map(key => `${key}=${rule[key]}`).join(';') };
                 }
-                return false;
+                break;
 
-            case 'custom':
-                // Custom is handled like daily with custom interval
-                if (daysDiff % recurrence.interval === 0) {
-                    if (recurrence.occurrences) {
-                        const occurrenceNumber = Math.floor(daysDiff / recurrence.interval) + 1;
-                        return occurrenceNumber <= recurrence.occurrences;
-                    }
-                    return true;
+            case 'YEARLY':
+                if (byDay.length > 0 || rule.BYSETPOS) return { unsupported: 'yearly on weekdays' };
+                if ((rule.BYMONTH && parseInt(rule.BYMONTH, 10) !== startDate.getMonth() + 1)
+                    || (rule.BYMONTHDAY && parseInt(rule.BYMONTHDAY, 10) !== startDate.getDate())) {
+                    return { unsupported: 'yearly on a different day than the first event' };
                 }
-                return false;
+                countsMatch = false;
+                recurrence = { type: 'yearly', interval };
+                break;
 
             default:
-                return false;
+                return { unsupported: `FREQ=${rule.FREQ || 'missing'}` };
         }
+
+        // The spec counts DTSTART as the first occurrence whether or not the rule lands on it
+        const startMatches = this.getRecurrenceDates({ date, recurrence }, startDate, startDate).length > 0;
+
+        if (rule.UNTIL) {
+            const [until] = ICalendar.parseDateTimes({ params: {}, value: rule.UNTIL });
+            let endDate = until.date;
+            // UNTIL is inclusive of that exact time; an earlier time ends the series the day before
+            if (!allDay && until.time !== null && until.time < start.time) {
+                const day = this.parseLocalDate(endDate);
+                endDate = this.formatLocalDate(new Date(day.getFullYear(), day.getMonth(), day.getDate() - 1));
+            }
+            recurrence.endDate = endDate;
+        } else if (rule.COUNT) {
+            const count = parseInt(rule.COUNT, 10) - (startMatches ? 0 : 1);
+            const skipped = (recurrence.exceptionDates || []).length;
+            if (count <= 0) {
+                return { date: start.date, recurrence: null, startMatches: true };
+            }
+            if (countsMatch) {
+                recurrence.occurrences = count + skipped;
+            } else {
+                // Our monthly and yearly counts include months a rule skips; end on the date instead
+                const dates = this.getRecurrenceDates({ date, recurrence }, this.parseLocalDate(date), new Date(9999, 11, 31))
+                    .filter(day => day >= startDate);
+                if (dates.length >= count) recurrence.endDate = this.formatLocalDate(dates[count - 1]);
+            }
+        }
+
+        return { date, recurrence, startMatches };
     }
 }
 
@@ -872,12 +2798,14 @@ class PlannerManager {
         return event;
     }
 
-    async updateEvent(id, startTime, endTime, title, category = 'other', notes = '') {
+    // Pass a date to move the block to another day
+    async updateEvent(id, startTime, endTime, title, category = 'other', notes = '', date = null) {
         const eventIndex = this.dataManager.data.plannerEvents.findIndex(e => e.id === id);
         if (eventIndex !== -1) {
             const existingEvent = this.dataManager.data.plannerEvents[eventIndex];
             this.dataManager.data.plannerEvents[eventIndex] = {
                 ...existingEvent,
+                date: date ? this.formatDate(date) : existingEvent.date,
                 startTime,
                 endTime,
                 title,
@@ -902,6 +2830,243 @@ class PlannerManager {
             .sort((a, b) => a.startTime.localeCompare(b.startTime));
     }
 
+    // Blocks between two dates (inclusive), grouped by date and sorted by start time
+    getEventsByDate(startDate, endDate) {
+        const startStr = this.formatDate(startDate);
+        const endStr = this.formatDate(endDate);
+        const byDate = new Map();
+        this.dataManager.data.plannerEvents
+            .filter(e => e.date >= startStr && e.date <= endStr)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime))
+            .forEach(e => {
+                if (!byDate.has(e.date)) byDate.set(e.date, []);
+                byDate.get(e.date).push(e);
+            });
+        return byDate;
+    }
+
+    // Plan vs actual
+    // A block that has started can be logged with a status: 'done', 'skipped' or 'shifted',
+    // plus the actual start and end times for done and shifted blocks
+
+    async setEventOutcome(id, status, actualStart = null, actualEnd = null) {
+        const event = this.dataManager.data.plannerEvents.find(e => e.id === id);
+        if (!event) return null;
+        if (status) {
+            event.status = status;
+            event.actualStart = status === 'skipped' ? null : actualStart || event.startTime;
+            event.actualEnd = status === 'skipped' ? null : actualEnd || event.endTime;
+        } else {
+            delete event.status;
+            delete event.actualStart;
+            delete event.actualEnd;
+        }
+        await this.dataManager.saveData();
+        return event;
+    }
+
+    getPlannedMinutes(event) {
+        return Math.max(this.timeToMinutes(event.endTime) - this.timeToMinutes(event.startTime), 0);
+    }
+
+    // Minutes actually spent, or null when the block hasn't been logged
+    getActualMinutes(event) {
+        if (!event.status) return null;
+        if (event.status === 'skipped') return 0;
+        const start = this.timeToMinutes(event.actualStart || event.startTime);
+        const end = this.timeToMinutes(event.actualEnd || event.endTime);
+        return Math.max(end - start, 0);
+    }
+
+    /**
+     * Planned and logged time for the blocks between two dates (inclusive)
+     * Actual time only counts logged blocks, so unlogged ones are reported separately
+     * @returns {Object} { planned, actual, counts: { done, skipped, shifted, unlogged },
+     *   categories: { [category]: { planned, actual } }, days: [{ date, planned, actual }] }
+     */
+    getPlanVsActual(startDate, endDate) {
+        const summary = {
+            planned: 0,
+            actual: 0,
+            counts: { done: 0, skipped: 0, shifted: 0, unlogged: 0 },
+            categories: {},
+            days: []
+        };
+        PLANNER_CATEGORIES.forEach(category => {
+            summary.categories[category.id] = { planned: 0, actual: 0 };
+        });
+
+        const byDate = this.getEventsByDate(startDate, endDate);
+        const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+        for (let date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()); date <= end; date.setDate(date.getDate() + 1)) {
+            const day = { date: this.formatDate(date), planned: 0, actual: 0 };
+            (byDate.get(day.date) || []).forEach(event => {
+                const planned = this.getPlannedMinutes(event);
+                const actual = this.getActualMinutes(event);
+                const category = summary.categories[event.category] || summary.categories.other;
+                day.planned += planned;
+                category.planned += planned;
+                if (actual === null) {
+                    summary.counts.unlogged++;
+                } else {
+                    summary.counts[event.status]++;
+                    day.actual += actual;
+                    category.actual += actual;
+                }
+            });
+            summary.planned += day.planned;
+            summary.actual += day.actual;
+            summary.days.push(day);
+        }
+        return summary;
+    }
+
+    // Whole days and day templates
+    // Blocks are copied without their ids, so the same day can be applied many times
+
+    getDayBlocks(date) {
+        return this.getEventsForDate(date).map(({ startTime, endTime, title, category, notes }) =>
+            ({ startTime, endTime, title, category, notes: notes || '' }));
+    }
+
+    eventsOverlap(a, b) {
+        return this.timeToMinutes(a.startTime) < this.timeToMinutes(b.endTime) &&
+            this.timeToMinutes(b.startTime) < this.timeToMinutes(a.endTime);
+    }
+
+    isSameBlock(a, b) {
+        return a.startTime === b.startTime && a.endTime === b.endTime && a.title === b.title;
+    }
+
+    /**
+     * How applying blocks would meet the blocks already planned
+     * @param {Object[]} blocks - { startTime, endTime, title, category, notes }
+     * @param {string[]} dates - 'YYYY-MM-DD' dates
+     * @returns {Object} { conflicts, duplicates, days } - blocks that overlap existing ones,
+     *   blocks that are already there, and how many dates have either
+     */
+    getApplyConflicts(blocks, dates) {
+        const summary = { conflicts: 0, duplicates: 0, days: 0 };
+        dates.forEach(dateStr => {
+            const existing = this.dataManager.data.plannerEvents.filter(e => e.date === dateStr);
+            let affected = false;
+            blocks.forEach(block => {
+                if (existing.some(e => this.isSameBlock(e, block))) {
+                    summary.duplicates++;
+                    affected = true;
+                } else if (existing.some(e => this.eventsOverlap(e, block))) {
+                    summary.conflicts++;
+                    affected = true;
+                }
+            });
+            if (affected) summary.days++;
+        });
+        return summary;
+    }
+
+    /**
+     * Add copies of blocks to each of several dates
+     * Blocks that are already on a date are always skipped
+     * @param {Object[]} blocks - { startTime, endTime, title, category, notes }
+     * @param {string[]} dates - 'YYYY-MM-DD' dates
+     * @param {string} onConflict - 'skip' leaves out blocks that overlap existing ones,
+     *   'replace' removes the existing blocks they overlap, 'keep' adds them anyway
+     * @returns {Promise<Object>} { added, skipped, replaced }
+     */
+    async applyBlocks(blocks, dates, onConflict = 'skip') {
+        const result = { added: 0, skipped: 0, replaced: 0 };
+        const replacedIds = new Set();
+        const createdAt = new Date().toISOString();
+
+        dates.forEach(dateStr => {
+            // Only blocks that were there before, so copied blocks don't clash with each other
+            const existing = this.dataManager.data.plannerEvents.filter(e => e.date === dateStr);
+            blocks.forEach(block => {
+                const remaining = existing.filter(e => !replacedIds.has(e.id));
+                if (remaining.some(e => this.isSameBlock(e, block))) {
+                    result.skipped++;
+                    return;
+                }
+                const overlapping = remaining.filter(e => this.eventsOverlap(e, block));
+                if (overlapping.length > 0 && onConflict === 'skip') {
+                    result.skipped++;
+                    return;
+                }
+                if (onConflict === 'replace') {
+                    overlapping.forEach(e => replacedIds.add(e.id));
+                }
+                this.dataManager.data.plannerEvents.push({
+                    id: crypto.randomUUID(),
+                    date: dateStr,
+                    startTime: block.startTime,
+                    endTime: block.endTime,
+                    title: block.title,
+                    category: block.category || 'other',
+                    notes: block.notes || '',
+                    createdAt
+                });
+                result.added++;
+            });
+        });
+
+        result.replaced = replacedIds.size;
+        if (replacedIds.size > 0) {
+            await this.removeEvents([...replacedIds]);
+        }
+        if (result.added > 0 || result.replaced > 0) {
+            await this.dataManager.saveData();
+        }
+        return result;
+    }
+
+    // Returns how many blocks were removed
+    async clearDay(date) {
+        const ids = this.getEventsForDate(date).map(e => e.id);
+        if (ids.length > 0) {
+            await this.removeEvents(ids);
+            await this.dataManager.saveData();
+        }
+        return ids.length;
+    }
+
+    // Drop blocks from memory and from IndexedDB, which saveData only ever adds to
+    async removeEvents(ids) {
+        const removing = new Set(ids);
+        this.dataManager.data.plannerEvents = this.dataManager.data.plannerEvents.filter(e => !removing.has(e.id));
+        if (this.dataManager.useIndexedDB) {
+            for (const id of removing) {
+                await this.dataManager.dbManager.delete('plannerEvents', id);
+            }
+        }
+    }
+
+    // Saving under an existing name replaces that template's blocks
+    async saveDayTemplate(name, date) {
+        const blocks = this.getDayBlocks(date);
+        let template = this.getDayTemplateByName(name);
+        if (template) {
+            template.blocks = blocks;
+        } else {
+            template = { id: crypto.randomUUID(), name, blocks, createdAt: new Date().toISOString() };
+            this.dataManager.data.dayTemplates.push(template);
+        }
+        await this.dataManager.saveData();
+        return template;
+    }
+
+    getDayTemplateByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.dataManager.data.dayTemplates.find(t => t.name.trim().toLowerCase() === key) || null;
+    }
+
+    async deleteDayTemplate(id) {
+        this.dataManager.data.dayTemplates = this.dataManager.data.dayTemplates.filter(t => t.id !== id);
+        if (this.dataManager.useIndexedDB) {
+            await this.dataManager.dbManager.delete('dayTemplates', id);
+        }
+        await this.dataManager.saveData();
+    }
+
     formatDate(date) {
         const d = new Date(date);
         const year = d.getFullYear();
@@ -1005,6 +3170,76 @@ class PlannerManager {
             height: heightPercentage
         };
     }
+
+    /**
+     * Arrange overlapping blocks side by side
+     * Blocks that overlap, directly or through a chain of others, share a group of
+     * columns; each takes the first free column and widens into any free columns
+     * to its right
+     * @param {Object[]} events - Blocks on one day
+     * @returns {Map<string, Object>} Block id -> { column, span, columns }
+     */
+    layoutEvents(events) {
+        const layout = new Map();
+        const sorted = events
+            .map(event => ({
+                event,
+                start: this.timeToMinutes(event.startTime),
+                end: this.timeToMinutes(event.endTime)
+            }))
+            .sort((a, b) => a.start - b.start || b.end - a.end);
+
+        const placeGroup = (group, columnEnds) => {
+            group.forEach(item => {
+                // Widen while the next column is free for the block's whole length
+                let span = 1;
+                while (item.column + span < columnEnds.length &&
+                    !group.some(other => other.column === item.column + span &&
+                        other.start < item.end && item.start < other.end)) {
+                    span++;
+                }
+                layout.set(item.event.id, { column: item.column, span, columns: columnEnds.length });
+            });
+        };
+
+        let group = [];
+        let columnEnds = [];
+        let groupEnd = -Infinity;
+        sorted.forEach(item => {
+            if (item.start >= groupEnd && group.length > 0) {
+                placeGroup(group, columnEnds);
+                group = [];
+                columnEnds = [];
+            }
+            let column = columnEnds.findIndex(end => end <= item.start);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(item.end);
+            } else {
+                columnEnds[column] = item.end;
+            }
+            item.column = column;
+            group.push(item);
+            groupEnd = group.length === 1 ? item.end : Math.max(groupEnd, item.end);
+        });
+        if (group.length > 0) placeGroup(group, columnEnds);
+
+        return layout;
+    }
+
+    // Blocks on a date that overlap the given time range
+    getConflicts(date, startTime, endTime, excludeId = null) {
+        const dateStr = typeof date === 'string' ? date : this.formatDate(date);
+        const start = this.timeToMinutes(startTime);
+        const end = this.timeToMinutes(endTime);
+        if (end <= start) return [];
+        return this.dataManager.data.plannerEvents.filter(event =>
+            event.date === dateStr &&
+            event.id !== excludeId &&
+            this.timeToMinutes(event.startTime) < end &&
+            start < this.timeToMinutes(event.endTime)
+        ).sort((a, b) => a.startTime.localeCompare(b.startTime));
+    }
 }
 
 // App Controller
@@ -1016,6 +3251,18 @@ class HabitTrackerApp {
         this.currentView = 'today';
         this.calendarMonth = new Date();
         this.statsRange = 7;
+        this.collapsedGroups = new Set(JSON.parse(localStorage.getItem('trackDeezCollapsedGroups') || '[]'));
+        // Finished sections the user reopened this session, overriding auto-collapse
+        this.expandedSections = new Set();
+        this.todaySectionMode = localStorage.getItem('trackDeezTodaySectionMode') || 'time';
+        this.collapseFinishedSections = localStorage.getItem('trackDeezCollapseFinished') === 'true';
+        // Habit ids the calendar and stats are limited to; null shows every habit
+        this.habitFilter = JSON.parse(localStorage.getItem('trackDeezHabitFilter') || 'null');
+        this.calendarMode = localStorage.getItem('trackDeezCalendarMode') || 'month';
+        // Days shown side by side in the planner: 1, 3 or 7
+        this.plannerDays = parseInt(localStorage.getItem('trackDeezPlannerDays')) || 1;
+        // Minutes that dragged planner blocks snap to
+        this.plannerSnapMinutes = parseInt(localStorage.getItem('trackDeezPlannerSnap')) || 15;
         
         this.init();
     }
@@ -1090,55 +3337,63 @@ class HabitTrackerApp {
         // Habits list - only show non-archived habits
         const habitsList = document.getElementById('habits-list');
         const habits = this.dataManager.data.habits.filter(h => !h.archived);
+        const sectionMode = this.getTodaySectionMode(habits);
+        this.updateTodaySectionControls(habits, sectionMode);
 
         if (habits.length === 0) {
             habitsList.innerHTML = '<div class="empty-state"><p>No habits yet. Add some in Settings.</p></div>';
         } else {
             const dayData = this.dataManager.getDayData(this.currentDate);
-            habitsList.innerHTML = habits.map(habit => {
-                const completed = dayData.habits[habit.id] || false;
-                
-                // Build habit name with build-up info if applicable
-                let habitName = habit.name;
-                let habitDescription = habit.description || '';
-                
-                if (habit.isBuildUpHabit && habit.buildUpConfig) {
-                    const config = habit.buildUpConfig;
-                    habitName += ` (Current Goal: ${config.currentValue}${config.unit ? ' ' + config.unit : ''})`;
-                    
-                    // Add progress info to description
-                    const progressInfo = `${config.currentValue}/${config.goalValue}${config.unit ? ' ' + config.unit : ''} - ${config.currentStreak}/${config.daysForIncrement} days toward next increase`;
-                    habitDescription = habitDescription ? `${habitDescription}<br><small>${progressInfo}</small>` : `<small>${progressInfo}</small>`;
-                }
-                
-                // Get streak info if enhancements are loaded
-                let streakBadge = '';
-                if (window.appEnhancements) {
-                    const streakInfo = window.appEnhancements.getHabitStreak(habit.id);
-                    if (streakInfo.current > 0) {
-                        const isMilestone = [7, 30, 100, 365].includes(streakInfo.current);
-                        streakBadge = `<span class="streak-badge ${isMilestone ? 'milestone' : ''}" title="Current streak: ${streakInfo.current} days">🔥 ${streakInfo.current}</span>`;
-                    }
-                }
-                
-                return `
-                    <div class="habit-item ${completed ? 'completed' : ''} ${habit.isBuildUpHabit ? 'build-up-habit' : ''}" data-habit-id="${habit.id}">
-                        <div class="habit-checkbox ${completed ? 'checked' : ''}">
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                                <polyline points="20 6 9 17 4 12"/>
-                            </svg>
-                        </div>
-                        <div class="habit-info">
-                            <span class="habit-name">${habitName} ${streakBadge}</span>
-                            ${habitDescription ? `<span class="habit-description">${habitDescription}</span>` : ''}
-                        </div>
-                        ${habit.isBuildUpHabit ? '<span class="build-up-badge">📈</span>' : ''}
-                    </div>
-                `;
-            }).join('');
+            if (sectionMode === 'time') {
+                habitsList.innerHTML = this.dataManager.sectionHabitsByTimeOfDay(habits)
+                    .map(entry => this.renderTodayTimeSection(entry, dayData))
+                    .join('');
+            } else if (sectionMode === 'group') {
+                habitsList.innerHTML = this.dataManager.groupHabits(habits)
+                    .map(section => this.renderTodayHabitGroup(section, dayData))
+                    .join('');
+            } else {
+                habitsList.innerHTML = habits.map(habit => this.renderTodayHabitItem(habit, dayData)).join('');
+            }
+
+            // Collapsible group and time-of-day sections
+            habitsList.querySelectorAll('.habit-group-header').forEach(header => {
+                header.addEventListener('click', () => {
+                    const section = header.closest('.habit-group');
+                    const collapsed = !section.classList.contains('collapsed');
+                    this.setSectionCollapsed(section.dataset.groupId, collapsed);
+                    section.classList.toggle('collapsed', collapsed);
+                });
+            });
+
+            // Amount controls for measurable habits
+            habitsList.querySelectorAll('.habit-amount-controls').forEach(controls => {
+                controls.addEventListener('click', (e) => e.stopPropagation());
+            });
+
+            habitsList.querySelectorAll('.amount-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const habit = this.dataManager.data.habits.find(h => h.id === btn.dataset.habitId);
+                    const step = habit.targetConfig.step || 1;
+                    const current = this.dataManager.getHabitValue(habit, this.currentDate);
+                    const next = btn.dataset.action === 'increment' ? current + step : current - step;
+                    // Round away floating point noise from fractional steps
+                    await this.dataManager.setHabitValue(this.currentDate, habit.id, Math.round(next * 1000) / 1000);
+                    this.renderTodayView();
+                });
+            });
+
+            habitsList.querySelectorAll('.habit-amount-input').forEach(input => {
+                input.addEventListener('change', async () => {
+                    await this.dataManager.setHabitValue(this.currentDate, input.dataset.habitId, input.value);
+                    this.renderTodayView();
+                });
+            });
+
+            this.setupHabitNoteInputs(habitsList, this.currentDate, () => this.renderTodayView());
 
             // Add click handlers
-            habitsList.querySelectorAll('.habit-item').forEach(item => {
+            habitsList.querySelectorAll('.habit-item:not(.measurable)').forEach(item => {
                 item.addEventListener('click', async () => {
                     const habitId = item.dataset.habitId;
                     const dayData = this.dataManager.getDayData(this.currentDate);
@@ -1161,64 +3416,588 @@ class HabitTrackerApp {
             const dayData = this.dataManager.getDayData(this.currentDate);
             
             trackingList.innerHTML = trackingFields.map(field => {
-                const value = dayData.tracking[field.id] || '';
+                const value = field.type === 'formula'
+                    ? this.dataManager.getTrackingValue(field, this.currentDate) ?? ''
+                    : dayData.tracking[field.id] ?? '';
+                const rangeStatus = this.dataManager.getTrackingRangeStatus(field, value);
                 return `
-                    <div class="tracking-item">
+                    <div class="tracking-item ${rangeStatus ? `range-${rangeStatus}` : ''}" data-field-id="${field.id}">
                         <div class="tracking-label-wrapper">
-                            <div class="tracking-label">${field.name}${field.unit ? ` (${field.unit})` : ''}</div>
+                            <div class="tracking-label">${field.name}${field.unit ? ` (${field.unit})` : ''}${field.validation?.required ? ' <span class="tracking-required" title="Required">*</span>' : ''}</div>
                             ${field.description ? `<div class="tracking-description">${field.description}</div>` : ''}
                         </div>
                         ${this.renderTrackingInput(field, value)}
+                        ${this.describeGoodRange(field) ? `<div class="tracking-range-hint">Good: ${this.describeGoodRange(field)}</div>` : ''}
+                        <div class="tracking-error" role="alert"></div>
                     </div>
                 `;
             }).join('');
 
-            // Add event listeners
-            trackingList.querySelectorAll('input, select').forEach(input => {
-                input.addEventListener('change', async (e) => {
-                    const fieldId = e.target.dataset.fieldId;
-                    await this.dataManager.setTracking(this.currentDate, fieldId, e.target.value);
-                });
-            });
+            this.setupTrackingInputs(trackingList, this.currentDate, () => this.renderTodayView());
+        }
+
+        // Daily note
+        const dayNote = document.getElementById('day-note');
+        dayNote.value = this.dataManager.getDayData(this.currentDate).note || '';
+        dayNote.onchange = async () => {
+            await this.dataManager.setDayNote(this.currentDate, dayNote.value);
+        };
+    }
+
+    renderTodayHabitItem(habit, dayData) {
+        const completed = dayData.habits[habit.id] || false;
+        const isDue = this.dataManager.isHabitDue(habit, this.currentDate);
+        const scheduleInfo = this.getScheduleStatusText(habit, this.currentDate, isDue);
+        const isMeasurable = this.dataManager.isMeasurableHabit(habit);
+        const isNegative = this.dataManager.isNegativeHabit(habit);
+        const isPaused = this.dataManager.isHabitPaused(habit, this.currentDate);
+        const protectionInfo = this.getStreakProtectionText(habit, this.currentDate);
+        
+        // Build habit name with build-up info if applicable
+        let habitName = habit.name;
+        let habitDescription = habit.description || '';
+        
+        if (habit.isBuildUpHabit && habit.buildUpConfig) {
+            const config = habit.buildUpConfig;
+            habitName += ` (Current Goal: ${config.currentValue}${config.unit ? ' ' + config.unit : ''})`;
+            
+            // Add progress info to description
+            const progressInfo = `${config.currentValue}/${config.goalValue}${config.unit ? ' ' + config.unit : ''} - ${config.currentStreak}/${config.daysForIncrement} days toward next increase`;
+            habitDescription = habitDescription ? `${habitDescription}<br><small>${progressInfo}</small>` : `<small>${progressInfo}</small>`;
+        }
+        
+        // Get streak info if enhancements are loaded
+        let streakBadge = '';
+        if (window.appEnhancements) {
+            const streakInfo = window.appEnhancements.getHabitStreak(habit.id);
+            if (streakInfo.current > 0) {
+                const isMilestone = [7, 30, 100, 365].includes(streakInfo.current);
+                const atRisk = this.isToday(this.currentDate) && window.appEnhancements.isHabitStreakAtRisk(habit.id);
+                streakBadge = isNegative
+                    ? `<span class="streak-badge clean ${isMilestone ? 'milestone' : ''}" title="${streakInfo.current} days clean (longest: ${streakInfo.longest})">🌱 ${streakInfo.current}</span>`
+                    : `<span class="streak-badge ${isMilestone ? 'milestone' : ''} ${atRisk ? 'at-risk' : ''}" title="Current streak: ${streakInfo.current} days${atRisk ? ' - complete today to keep it' : ''}">🔥 ${streakInfo.current}</span>`;
+            }
+        }
+        
+        return `
+            <div class="habit-item ${this.getHabitStateClass(habit, completed)} ${(!isDue || isPaused) && !completed ? 'not-due' : ''} ${isMeasurable ? 'measurable' : ''} ${habit.isBuildUpHabit ? 'build-up-habit' : ''}" data-habit-id="${habit.id}">
+                ${this.renderHabitCheckbox(habit, completed)}
+                <div class="habit-info">
+                    <span class="habit-name">${habitName} ${streakBadge}</span>
+                    ${habitDescription ? `<span class="habit-description">${habitDescription}</span>` : ''}
+                    ${isNegative ? `<span class="habit-slip-status">${completed ? 'Slipped · tap to undo' : 'Clean · tap to log a slip'}</span>` : ''}
+                    ${isMeasurable ? this.renderHabitProgress(habit, this.currentDate) : ''}
+                    ${scheduleInfo ? `<span class="habit-schedule">${scheduleInfo}</span>` : ''}
+                    ${protectionInfo ? `<span class="habit-schedule">${protectionInfo}</span>` : ''}
+                    ${this.renderHabitNote(habit, this.currentDate, completed)}
+                </div>
+                ${isMeasurable ? this.renderHabitAmountControls(habit, this.currentDate) : ''}
+                ${habit.isBuildUpHabit ? '<span class="build-up-badge">📈</span>' : ''}
+            </div>
+        `;
+    }
+
+    // Collapsible section for one habit group, with today's x/y completion in the header
+    renderTodayHabitGroup(section, dayData) {
+        const { group, habits } = section;
+        const groupKey = group ? group.id : 'ungrouped';
+        const collapsed = this.collapsedGroups.has(groupKey);
+        const { done, total } = this.dataManager.getGroupCompletion(habits, this.currentDate);
+        
+        return `
+            <div class="habit-group ${collapsed ? 'collapsed' : ''}" data-group-id="${groupKey}" style="--group-color: ${group ? group.color : 'var(--text-secondary)'}">
+                <button type="button" class="habit-group-header">
+                    ${group && group.icon ? `<span class="habit-group-icon">${this.escapeHtml(group.icon)}</span>` : ''}
+                    <span class="habit-group-name">${group ? this.escapeHtml(group.name) : 'Other'}</span>
+                    <span class="habit-group-count">${done}/${total}</span>
+                    <span class="habit-group-chevron">▾</span>
+                </button>
+                <div class="habit-group-items">
+                    ${habits.map(habit => this.renderTodayHabitItem(habit, dayData)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Time-of-day section with the current one highlighted and what's left in it today
+    renderTodayTimeSection(entry, dayData) {
+        const { section, habits } = entry;
+        const sectionKey = `time-${section.id}`;
+        const { done, total } = this.dataManager.getGroupCompletion(habits, this.currentDate);
+        const remaining = total - done;
+        const finished = total > 0 && remaining === 0;
+        const viewingToday = this.isToday(this.currentDate);
+        const isCurrent = viewingToday && section.id !== 'anytime' &&
+            this.dataManager.getCurrentTimeOfDay() === section.id;
+        const collapsed = this.collapsedGroups.has(sectionKey) ||
+            (this.collapseFinishedSections && finished && !this.expandedSections.has(sectionKey));
+        const when = section.id === 'anytime' ? 'today' : `this ${section.label.toLowerCase()}`;
+        
+        return `
+            <div class="habit-group time-section ${isCurrent ? 'current-section' : ''} ${finished ? 'finished' : ''} ${collapsed ? 'collapsed' : ''}" data-group-id="${sectionKey}">
+                <button type="button" class="habit-group-header">
+                    <span class="habit-group-icon">${section.icon}</span>
+                    <span class="habit-group-name">${section.label}${isCurrent ? ' <span class="time-section-now">Now</span>' : ''}</span>
+                    ${viewingToday && remaining > 0 ? `<span class="time-section-remaining">${remaining} remaining ${when}</span>` : ''}
+                    <span class="habit-group-count">${done}/${total}</span>
+                    <span class="habit-group-chevron">▾</span>
+                </button>
+                <div class="habit-group-items">
+                    ${habits.map(habit => this.renderTodayHabitItem(habit, dayData)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // Time-of-day sections win unless the user picked groups; plain list when neither is set up
+    getTodaySectionMode(habits) {
+        const hasTimes = habits.some(h => this.dataManager.getHabitTimeOfDay(h) !== 'anytime');
+        const hasGroups = this.dataManager.data.habitGroups.length > 0;
+        if (hasTimes && hasGroups) return this.todaySectionMode === 'group' ? 'group' : 'time';
+        if (hasTimes) return 'time';
+        if (hasGroups) return 'group';
+        return 'list';
+    }
+
+    updateTodaySectionControls(habits, sectionMode) {
+        const controls = document.getElementById('today-section-controls');
+        const modeSelect = document.getElementById('today-section-mode');
+        const collapseToggle = document.getElementById('collapse-finished-sections');
+        const hasTimes = habits.some(h => this.dataManager.getHabitTimeOfDay(h) !== 'anytime');
+        const hasGroups = this.dataManager.data.habitGroups.length > 0;
+        
+        controls.style.display = hasTimes ? 'flex' : 'none';
+        modeSelect.style.display = hasTimes && hasGroups ? '' : 'none';
+        modeSelect.value = sectionMode === 'group' ? 'group' : 'time';
+        collapseToggle.parentElement.style.display = sectionMode === 'time' ? '' : 'none';
+        collapseToggle.checked = this.collapseFinishedSections;
+        
+        modeSelect.onchange = () => {
+            this.todaySectionMode = modeSelect.value;
+            localStorage.setItem('trackDeezTodaySectionMode', this.todaySectionMode);
+            this.renderTodayView();
+        };
+        collapseToggle.onchange = () => {
+            this.collapseFinishedSections = collapseToggle.checked;
+            this.expandedSections.clear();
+            localStorage.setItem('trackDeezCollapseFinished', String(this.collapseFinishedSections));
+            this.renderTodayView();
+        };
+    }
+
+    setSectionCollapsed(sectionKey, collapsed) {
+        if (collapsed) {
+            this.collapsedGroups.add(sectionKey);
+            this.expandedSections.delete(sectionKey);
+        } else {
+            this.collapsedGroups.delete(sectionKey);
+            this.expandedSections.add(sectionKey);
+        }
+        localStorage.setItem('trackDeezCollapsedGroups', JSON.stringify([...this.collapsedGroups]));
+    }
+
+    renderTrackingInput(field, value) {
+        switch (field.type) {
+            case 'boolean':
+                return `
+                    <select class="tracking-input" data-field-id="${field.id}">
+                        <option value="">-- Select --</option>
+                        <option value="Yes" ${value === 'Yes' ? 'selected' : ''}>Yes</option>
+                        <option value="No" ${value === 'No' ? 'selected' : ''}>No</option>
+                    </select>
+                `;
+            case 'number': {
+                const rules = field.validation || {};
+                return `<input type="number" class="tracking-input" data-field-id="${field.id}" value="${value}" inputmode="decimal"${rules.min !== undefined ? ` min="${rules.min}"` : ''}${rules.max !== undefined ? ` max="${rules.max}"` : ''} step="${rules.step || 'any'}">`;
+            }
+            case 'text':
+                return `<input type="text" class="tracking-input" data-field-id="${field.id}" value="${value}">`;
+            case 'time':
+                return `<input type="time" class="tracking-input" data-field-id="${field.id}" value="${value}">`;
+            case 'rating': {
+                const scale = field.scale || 5;
+                let buttons = '';
+                for (let n = 1; n <= scale; n++) {
+                    const selected = Number(value) === n;
+                    buttons += `<button type="button" class="scale-btn rating-btn ${selected ? 'selected' : ''}" data-field-id="${field.id}" data-value="${n}" aria-pressed="${selected}">${n}</button>`;
+                }
+                return `<div class="scale-input scale-${scale}" role="group" aria-label="${field.name}">${buttons}</div>`;
+            }
+            case 'select':
+                return `
+                    <select class="tracking-input" data-field-id="${field.id}">
+                        <option value="">-- Select --</option>
+                        ${(field.options || []).map(option => `<option value="${this.escapeHtml(option)}" ${value === option ? 'selected' : ''}>${this.escapeHtml(option)}</option>`).join('')}
+                    </select>
+                `;
+            case 'multiselect': {
+                const selected = Array.isArray(value) ? value : [];
+                return `
+                    <div class="option-chips" role="group" aria-label="${field.name}">
+                        ${(field.options || []).map(option => `
+                            <button type="button" class="scale-btn option-chip ${selected.includes(option) ? 'selected' : ''}" data-field-id="${field.id}" data-option="${this.escapeHtml(option)}" aria-pressed="${selected.includes(option)}">${this.escapeHtml(option)}</button>
+                        `).join('')}
+                    </div>
+                `;
+            }
+            case 'duration': {
+                const minutes = parseInt(value);
+                const hours = isNaN(minutes) ? '' : Math.floor(minutes / 60);
+                const mins = isNaN(minutes) ? '' : minutes % 60;
+                return `
+                    <div class="tracking-duration" data-field-id="${field.id}">
+                        <input type="number" class="tracking-input duration-part" data-part="hours" min="0" inputmode="numeric" value="${hours}" aria-label="Hours">
+                        <span>h</span>
+                        <input type="number" class="tracking-input duration-part" data-part="minutes" min="0" max="59" inputmode="numeric" value="${mins}" aria-label="Minutes">
+                        <span>m</span>
+                    </div>
+                `;
+            }
+            case 'counter':
+                return `
+                    <div class="tracking-counter">
+                        <button type="button" class="amount-btn counter-btn" data-field-id="${field.id}" data-action="decrement" aria-label="Decrease">−</button>
+                        <span class="counter-value">${parseInt(value) || 0}</span>
+                        <button type="button" class="amount-btn counter-btn" data-field-id="${field.id}" data-action="increment" aria-label="Increase">+</button>
+                    </div>
+                `;
+            case 'formula':
+                // Calculated, so shown read-only
+                return `<div class="tracking-value formula-value" data-field-id="${field.id}" aria-live="polite">${value === '' ? '—' : this.escapeHtml(this.formatTrackingValue(field, value))}</div>`;
+            default:
+                return '';
+        }
+    }
+
+    // Wire up the inputs rendered by renderTrackingInput; onChange re-renders after
+    // a value that changes the input's own markup (ratings, chips, counters)
+    setupTrackingInputs(container, date, onChange) {
+        const getField = (fieldId) => this.dataManager.data.trackingFields.find(f => f.id === fieldId);
+        const getValue = (fieldId) => {
+            const dayData = this.dataManager.data.days[this.dataManager.formatDate(date)];
+            return dayData && dayData.tracking ? dayData.tracking[fieldId] : undefined;
+        };
+        
+        // Invalid values show an inline error and aren't saved
+        const save = async (el, fieldId, value) => {
+            const field = getField(fieldId);
+            const error = this.dataManager.validateTrackingValue(field, value);
+            this.updateTrackingItemState(el, field, value, error);
+            if (error) return false;
+            await this.dataManager.setTracking(date, fieldId, value);
+            this.refreshFormulaValues(container, date);
+            return true;
+        };
+        
+        container.querySelectorAll('.tracking-input:not(.duration-part)').forEach(input => {
+            input.addEventListener('change', async (e) => {
+                await save(input, e.target.dataset.fieldId, e.target.value);
+            });
+        });
+        
+        // Tapping the selected rating again clears it
+        container.querySelectorAll('.rating-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const value = Number(btn.dataset.value);
+                const current = Number(getValue(btn.dataset.fieldId));
+                if (await save(btn, btn.dataset.fieldId, current === value ? '' : value)) onChange();
+            });
+        });
+        
+        // Multi-select values keep the order the options are defined in
+        container.querySelectorAll('.option-chip').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const field = getField(btn.dataset.fieldId);
+                const current = Array.isArray(getValue(field.id)) ? getValue(field.id) : [];
+                const option = btn.dataset.option;
+                const picked = current.includes(option) ? current.filter(o => o !== option) : [...current, option];
+                if (await save(btn, field.id, (field.options || []).filter(o => picked.includes(o)))) onChange();
+            });
+        });
+        
+        container.querySelectorAll('.tracking-duration').forEach(wrapper => {
+            wrapper.querySelectorAll('.duration-part').forEach(input => {
+                input.addEventListener('change', async () => {
+                    const hours = wrapper.querySelector('[data-part="hours"]').value;
+                    const minutes = wrapper.querySelector('[data-part="minutes"]').value;
+                    const total = hours === '' && minutes === ''
+                        ? ''
+                        : Math.max((parseInt(hours) || 0) * 60 + (parseInt(minutes) || 0), 0);
+                    if (await save(wrapper, wrapper.dataset.fieldId, total)) onChange();
+                });
+            });
+        });
+        
+        container.querySelectorAll('.counter-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const current = parseInt(getValue(btn.dataset.fieldId)) || 0;
+                const next = btn.dataset.action === 'increment' ? current + 1 : Math.max(current - 1, 0);
+                if (await save(btn, btn.dataset.fieldId, next)) onChange();
+            });
+        });
+    }
+
+    // Recalculate the read-only formula values after one of their inputs changed
+    refreshFormulaValues(container, date) {
+        container.querySelectorAll('.formula-value').forEach(el => {
+            const field = this.dataManager.data.trackingFields.find(f => f.id === el.dataset.fieldId);
+            if (!field) return;
+            const value = this.dataManager.getTrackingValue(field, date);
+            el.textContent = value === null ? '—' : this.formatTrackingValue(field, value);
+            this.updateTrackingItemState(el, field, value, null);
+        });
+    }
+
+    // Show or clear the inline error and recolour the item against the good range
+    updateTrackingItemState(el, field, value, error) {
+        const item = el.closest('.tracking-item');
+        if (!item) return;
+        
+        const errorEl = item.querySelector('.tracking-error');
+        if (errorEl) errorEl.textContent = error || '';
+        item.classList.toggle('invalid', !!error);
+        
+        item.classList.remove('range-good', 'range-low', 'range-high');
+        const rangeStatus = error ? null : this.dataManager.getTrackingRangeStatus(field, value);
+        if (rangeStatus) item.classList.add(`range-${rangeStatus}`);
+    }
+
+    describeGoodRange(field) {
+        if (!field.goodRange) return '';
+        const format = (value) => (this.dataManager.isDurationField(field) ? this.formatDuration(value) : `${value}`);
+        const { min, max } = field.goodRange;
+        const unit = field.unit && !this.dataManager.isDurationField(field) ? ' ' + field.unit : '';
+        if (min !== null && max !== null) return `${format(min)}–${format(max)}${unit}`;
+        if (min !== null) return `at least ${format(min)}${unit}`;
+        return `at most ${format(max)}${unit}`;
+    }
+
+    // Display text for a recorded tracking value
+    formatTrackingValue(field, value) {
+        if (this.dataManager.isTrackingValueEmpty(value)) return 'Not recorded';
+        
+        switch (field.type) {
+            case 'rating':
+                return `${value}/${field.scale || 5}`;
+            case 'multiselect':
+                return Array.isArray(value) ? value.join(', ') : String(value);
+            case 'duration':
+                return this.formatDuration(value);
+            case 'formula':
+                return this.dataManager.isDurationField(field)
+                    ? this.formatDuration(value)
+                    : `${Math.round(value * 100) / 100}${field.unit ? ' ' + field.unit : ''}`;
+            default:
+                return `${value}${field.unit ? ' ' + field.unit : ''}`;
+        }
+    }
+
+    formatDuration(minutes) {
+        const total = Math.round(Number(minutes) || 0);
+        if (total < 0) return `−${this.formatDuration(-total)}`;
+        const hours = Math.floor(total / 60);
+        const mins = total % 60;
+        if (hours === 0) return `${mins}m`;
+        return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+    }
+
+    describeTrackingType(field) {
+        switch (field.type) {
+            case 'boolean': return 'Yes or No';
+            case 'number': return 'Number';
+            case 'text': return 'Text';
+            case 'time': return 'Time';
+            case 'rating': return `Rating 1–${field.scale || 5}`;
+            case 'select': return `Pick one of ${(field.options || []).join(', ')}`;
+            case 'multiselect': return `Pick several of ${(field.options || []).join(', ')}`;
+            case 'duration': return 'Duration';
+            case 'counter': return 'Counter';
+            case 'formula': return `Formula: ${field.formula}`;
+            default: return field.type;
+        }
+    }
+
+    // Negative habits show a slip as a red cross instead of a green check
+    getHabitStateClass(habit, logged) {
+        if (this.dataManager.isNegativeHabit(habit)) {
+            return logged ? 'negative slipped' : 'negative';
         }
+        return logged ? 'completed' : '';
     }
 
-    renderTrackingInput(field, value) {
-        switch (field.type) {
-            case 'boolean':
-                return `
-                    <select class="tracking-input" data-field-id="${field.id}">
-                        <option value="">-- Select --</option>
-                        <option value="Yes" ${value === 'Yes' ? 'selected' : ''}>Yes</option>
-                        <option value="No" ${value === 'No' ? 'selected' : ''}>No</option>
-                    </select>
-                `;
-            case 'number':
-                return `<input type="number" class="tracking-input" data-field-id="${field.id}" value="${value}">`;
-            case 'text':
-                return `<input type="text" class="tracking-input" data-field-id="${field.id}" value="${value}">`;
-            case 'time':
-                return `<input type="time" class="tracking-input" data-field-id="${field.id}" value="${value}">`;
+    renderHabitCheckbox(habit, logged) {
+        const icon = this.dataManager.isNegativeHabit(habit)
+            ? '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>'
+            : '<polyline points="20 6 9 17 4 12"/>';
+        
+        return `
+            <div class="habit-checkbox ${logged ? 'checked' : ''}">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    ${icon}
+                </svg>
+            </div>
+        `;
+    }
+
+    // Progress bar and "amount / target" label for a measurable habit
+    renderHabitProgress(habit, date) {
+        const value = this.dataManager.getHabitValue(habit, date);
+        const target = this.dataManager.getHabitTarget(habit);
+        const unit = this.dataManager.getHabitUnit(habit);
+        const percentage = Math.round(this.dataManager.getHabitProgress(habit, date) * 100);
+        
+        return `
+            <div class="habit-progress">
+                <div class="habit-progress-fill" style="width: ${percentage}%"></div>
+            </div>
+            <span class="habit-amount-text">${value} / ${target}${unit ? ' ' + unit : ''}</span>
+        `;
+    }
+
+    renderHabitAmountControls(habit, date) {
+        const value = this.dataManager.getHabitValue(habit, date);
+        const step = habit.targetConfig.step || 1;
+        
+        return `
+            <div class="habit-amount-controls">
+                <button type="button" class="amount-btn" data-action="decrement" data-habit-id="${habit.id}" aria-label="Decrease ${habit.name}">−</button>
+                <input type="number" class="habit-amount-input" data-habit-id="${habit.id}" value="${value || ''}" min="0" step="${step}" placeholder="0" inputmode="decimal" aria-label="${habit.name} amount">
+                <button type="button" class="amount-btn" data-action="increment" data-habit-id="${habit.id}" aria-label="Increase ${habit.name}">+</button>
+            </div>
+        `;
+    }
+
+    // Short human-readable summary of a habit's schedule
+    describeSchedule(schedule) {
+        if (!schedule) return 'Every day';
+        
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        switch (schedule.type) {
+            case 'weekdays':
+                return schedule.daysOfWeek.map(day => dayNames[day]).join(', ');
+            case 'timesPerWeek':
+                return `${schedule.timesPerWeek}× per week`;
+            case 'interval':
+                return `Every ${schedule.interval} days`;
             default:
-                return '';
+                return 'Every day';
+        }
+    }
+
+    // Schedule hint shown under a habit in the Today view
+    getScheduleStatusText(habit, date, isDue) {
+        const schedule = habit.schedule;
+        if (!schedule) return '';
+        
+        if (schedule.type === 'timesPerWeek') {
+            const weekCount = this.dataManager.getHabitWeekCount(habit, date);
+            return `${weekCount}/${schedule.timesPerWeek} this week`;
+        }
+        
+        const description = this.describeSchedule(schedule);
+        return isDue ? description : `Not scheduled today · ${description}`;
+    }
+
+    isToday(date) {
+        return new Date(date).toDateString() === new Date().toDateString();
+    }
+
+    // Pause, freeze-day or freezes-left note for a habit on a given day
+    getStreakProtectionText(habit, date) {
+        const pause = this.dataManager.getPauseForHabit(habit, date);
+        if (pause) {
+            return `⏸ Paused${pause.note ? ` · ${this.escapeHtml(pause.note)}` : ''}`;
+        }
+        
+        if (this.dataManager.isHabitFrozen(habit, date)) {
+            return '❄️ Freeze day used';
+        }
+        
+        if (this.isToday(date) && this.dataManager.getFreezeAllowance(habit) > 0) {
+            const remaining = this.dataManager.getFreezesRemaining(habit, date);
+            return `❄️ ${remaining} freeze${remaining === 1 ? '' : 's'} left this month`;
         }
+        
+        return '';
     }
 
     // Calendar View
     renderCalendarView() {
         const monthYear = document.getElementById('month-year');
-        monthYear.textContent = this.calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
+        const filterIds = this.getHabitFilter();
+        this.renderHabitFilter(document.getElementById('calendar-habit-filter'));
+        
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.calendarMode);
+            btn.onclick = () => {
+                this.calendarMode = btn.dataset.mode;
+                localStorage.setItem('trackDeezCalendarMode', this.calendarMode);
+                this.renderCalendarView();
+            };
+        });
+        
         const grid = document.getElementById('calendar-grid');
+        const weekGrid = document.getElementById('calendar-week');
+        const yearGrid = document.getElementById('calendar-year');
+        grid.style.display = this.calendarMode === 'month' ? '' : 'none';
+        weekGrid.style.display = this.calendarMode === 'week' ? '' : 'none';
+        yearGrid.style.display = this.calendarMode === 'year' ? '' : 'none';
+        document.querySelector('#calendar-view .calendar-legend').style.display = this.calendarMode === 'week' ? 'none' : '';
+        
+        const year = this.calendarMonth.getFullYear();
+        const month = this.calendarMonth.getMonth();
+        let step;
+        if (this.calendarMode === 'week') {
+            const weekStart = this.getWeekStart(this.calendarMonth);
+            const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+            monthYear.textContent = this.formatDateRange(weekStart, weekEnd);
+            this.renderCalendarWeek(weekGrid, weekStart);
+            step = (direction) => new Date(year, month, this.calendarMonth.getDate() + direction * 7);
+        } else if (this.calendarMode === 'year') {
+            monthYear.textContent = `${year}`;
+            this.renderCalendarYear(yearGrid, year, filterIds);
+            step = (direction) => new Date(year + direction, month, 1);
+        } else {
+            monthYear.textContent = this.calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+            this.renderCalendarMonth(grid, filterIds);
+            step = (direction) => new Date(year, month + direction, 1);
+        }
         
+        // Previous/next move by a month, week or year depending on the view
+        document.getElementById('prev-month').onclick = () => {
+            this.calendarMonth = step(-1);
+            this.renderCalendarView();
+        };
+
+        document.getElementById('next-month').onclick = () => {
+            this.calendarMonth = step(1);
+            this.renderCalendarView();
+        };
+
+        const notesSearch = document.getElementById('notes-search');
+        notesSearch.oninput = () => this.renderNotesSearchResults(notesSearch.value);
+        this.renderNotesSearchResults(notesSearch.value);
+    }
+
+    // Same week boundaries as the times-per-week habit counts
+    getWeekStart(date) {
+        return this.dataManager.getWeekStartDate(date);
+    }
+
+    // Short weekday names starting on the configured first day of the week
+    getWeekdayNames() {
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return [...names.slice(this.dataManager.weekStartDay), ...names.slice(0, this.dataManager.weekStartDay)];
+    }
+
+    renderCalendarMonth(grid, filterIds) {
         // Day headers
-        const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        let html = dayHeaders.map(day => `<div class="calendar-day header">${day}</div>`).join('');
+        let html = this.getWeekdayNames().map(day => `<div class="calendar-day header">${day}</div>`).join('');
 
         // Calculate calendar days
         const firstDay = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth(), 1);
         const lastDay = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + 1, 0);
-        const firstDayOfWeek = firstDay.getDay();
+        const firstDayOfWeek = (firstDay.getDay() - this.dataManager.weekStartDay + 7) % 7;
         const daysInMonth = lastDay.getDate();
 
         // Empty cells before first day
@@ -1226,16 +4005,29 @@ class HabitTrackerApp {
             html += '<div class="calendar-day empty"></div>';
         }
 
+        // Events and planner blocks are expanded once for the whole month
+        const events = this.dataManager.getEventOccurrences(firstDay, lastDay);
+        const plannerEvents = this.plannerManager.getEventsByDate(firstDay, lastDay);
+
         // Days of month
         const today = new Date();
         for (let day = 1; day <= daysInMonth; day++) {
             const date = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth(), day);
-            const status = this.dataManager.getDayStatus(date);
+            const status = this.dataManager.getDayStatus(date, filterIds);
             const isToday = date.toDateString() === today.toDateString();
             
+            const hasNotes = this.dataManager.hasNotes(date);
+            const localDate = this.dataManager.formatLocalDate(date);
+            const dayEvents = events.get(localDate) || [];
+            const dayBlocks = plannerEvents.get(localDate) || [];
+            const hasEvents = dayEvents.length + dayBlocks.length > 0;
+            
             html += `
-                <div class="calendar-day ${status} ${isToday ? 'current' : ''}" data-date="${this.dataManager.formatDate(date)}">
+                <div class="calendar-day ${status} ${isToday ? 'current' : ''} ${hasNotes ? 'has-notes' : ''} ${hasEvents ? 'has-events' : ''}" data-date="${localDate}"
+                    ${hasEvents ? `title="${this.escapeHtml([...dayEvents.map(e => e.name), ...dayBlocks.map(e => e.title)].join(', '))}"` : ''}>
                     ${day}
+                    ${hasNotes ? '<span class="note-dot" aria-label="Has notes"></span>' : ''}
+                    ${hasEvents ? this.renderCalendarEventDots(dayEvents, dayBlocks) : ''}
                 </div>
             `;
         }
@@ -1251,17 +4043,262 @@ class HabitTrackerApp {
                 this.showDayModal(new Date(year, month - 1, day));
             });
         });
+    }
 
-        // Month navigation
-        document.getElementById('prev-month').onclick = () => {
-            this.calendarMonth.setMonth(this.calendarMonth.getMonth() - 1);
-            this.renderCalendarView();
-        };
+    // One dot per calendar event or planner block, capped so the day number stays readable
+    renderCalendarEventDots(events, blocks) {
+        const maxDots = 3;
+        const dots = [
+            ...events.map(() => '<span class="calendar-event-dot"></span>'),
+            ...blocks.map(block => `<span class="calendar-event-dot category-${block.category}"></span>`)
+        ];
+        const total = dots.length;
+        return `
+            <span class="calendar-event-dots" aria-label="${total} event${total === 1 ? '' : 's'}">
+                ${dots.slice(0, maxDots).join('')}${total > maxDots ? `<span class="calendar-event-more">+${total - maxDots}</span>` : ''}
+            </span>
+        `;
+    }
 
-        document.getElementById('next-month').onclick = () => {
-            this.calendarMonth.setMonth(this.calendarMonth.getMonth() + 1);
-            this.renderCalendarView();
-        };
+    // Habits as rows and the week's days as columns; tapping a cell toggles it,
+    // which makes filling in missed days quick
+    renderCalendarWeek(container, weekStart) {
+        const habits = this.filterHabits(this.dataManager.data.habits.filter(h => !h.archived));
+        if (habits.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No habits to show.</p></div>';
+            return;
+        }
+        
+        const days = [];
+        for (let i = 0; i < 7; i++) {
+            days.push(new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+        }
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const filterIds = this.getHabitFilter();
+        
+        let html = '<div class="week-grid"><div class="week-corner"></div>';
+        html += days.map(date => `
+            <div class="week-day-header ${date.getTime() === today.getTime() ? 'current' : ''}">
+                <span>${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                <strong>${date.getDate()}</strong>
+            </div>
+        `).join('');
+        
+        habits.forEach(habit => {
+            html += `<div class="week-habit-name">${this.escapeHtml(habit.name)}</div>`;
+            html += days.map((date, index) => {
+                const cell = this.getWeekCellState(habit, date, today);
+                const label = `${habit.name}, ${date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}: ${cell.label}`;
+                return `
+                    <button type="button" class="week-cell ${cell.state}" data-habit-id="${habit.id}" data-day="${index}"
+                        aria-pressed="${cell.pressed}" aria-label="${this.escapeHtml(label)}" title="${this.escapeHtml(label)}" ${cell.state === 'future' ? 'disabled' : ''}>${cell.symbol}</button>
+                `;
+            }).join('');
+        });
+        
+        // Day colours for the habits shown
+        html += '<div class="week-habit-name week-status-label">Day</div>';
+        html += days.map(date => `<div class="week-status"><span class="legend-dot ${this.dataManager.getDayStatus(date, filterIds)}"></span></div>`).join('');
+        html += '</div>';
+        
+        container.innerHTML = html;
+        container.querySelectorAll('.week-cell:not(.future)').forEach(cellEl => {
+            cellEl.addEventListener('click', async () => {
+                const habit = habits.find(h => h.id === cellEl.dataset.habitId);
+                await this.toggleHabitOnDate(habit, days[parseInt(cellEl.dataset.day)]);
+                this.renderCalendarView();
+                this.renderTodayView();
+            });
+        });
+    }
+
+    getWeekCellState(habit, date, today) {
+        if (date > today) return { state: 'future', symbol: '', label: 'Upcoming', pressed: false };
+        
+        const complete = this.dataManager.isHabitComplete(habit, date);
+        if (this.dataManager.isNegativeHabit(habit)) {
+            if (complete) return { state: 'slip', symbol: '✕', label: 'Slipped', pressed: true };
+            if (!this.dataManager.isHabitTrackedOn(habit, date)) return { state: 'off', symbol: '', label: 'Not tracked yet', pressed: false };
+            return { state: 'clean', symbol: '', label: 'Clean', pressed: false };
+        }
+        
+        if (complete) return { state: 'done', symbol: '✓', label: 'Done', pressed: true };
+        const progress = this.dataManager.getHabitProgress(habit, date);
+        if (progress > 0) {
+            const percent = Math.round(progress * 100);
+            return { state: 'partial', symbol: `${percent}%`, label: `${percent}% of target`, pressed: false };
+        }
+        if (!this.dataManager.isHabitCountedOn(habit, date)) return { state: 'off', symbol: '·', label: 'Not scheduled', pressed: false };
+        return { state: 'missed', symbol: '', label: 'Not done', pressed: false };
+    }
+
+    // Measurable habits toggle between their full target and nothing
+    async toggleHabitOnDate(habit, date) {
+        const complete = this.dataManager.isHabitComplete(habit, date);
+        if (this.dataManager.isMeasurableHabit(habit) && !this.dataManager.isNegativeHabit(habit)) {
+            await this.dataManager.setHabitValue(date, habit.id, complete ? 0 : this.dataManager.getHabitTarget(habit));
+        } else {
+            await this.dataManager.setHabitComplete(date, habit.id, !complete);
+        }
+    }
+
+    // Twelve small months coloured like the month grid; a month's name opens it
+    renderCalendarYear(container, year, filterIds) {
+        const weekdays = this.getWeekdayNames().map(day => `<span class="mini-weekday">${day[0]}</span>`).join('');
+        const today = new Date().toDateString();
+        let html = '';
+        
+        for (let month = 0; month < 12; month++) {
+            const first = new Date(year, month, 1);
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            const blanks = (first.getDay() - this.dataManager.weekStartDay + 7) % 7;
+            let cells = '<span class="mini-day empty"></span>'.repeat(blanks);
+            for (let day = 1; day <= daysInMonth; day++) {
+                const date = new Date(year, month, day);
+                const status = this.dataManager.getDayStatus(date, filterIds);
+                const label = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+                cells += `<button type="button" class="mini-day ${status} ${date.toDateString() === today ? 'current' : ''}" data-month="${month}" data-day="${day}" title="${label}" aria-label="${label}"></button>`;
+            }
+            html += `
+                <div class="mini-month">
+                    <button type="button" class="mini-month-name" data-month="${month}">${first.toLocaleDateString('en-US', { month: 'long' })}</button>
+                    <div class="mini-month-grid">${weekdays}${cells}</div>
+                </div>
+            `;
+        }
+        
+        container.innerHTML = html;
+        container.querySelectorAll('.mini-month-name').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.calendarMonth = new Date(year, parseInt(btn.dataset.month), 1);
+                this.calendarMode = 'month';
+                localStorage.setItem('trackDeezCalendarMode', this.calendarMode);
+                this.renderCalendarView();
+            });
+        });
+        container.querySelectorAll('.mini-day:not(.empty)').forEach(cell => {
+            cell.addEventListener('click', () => {
+                this.showDayModal(new Date(year, parseInt(cell.dataset.month), parseInt(cell.dataset.day)));
+            });
+        });
+    }
+
+    // Habit filter
+    // Shared by the calendar and stats; remembered between visits
+    getHabitFilter() {
+        if (!this.habitFilter) return null;
+        const activeIds = this.dataManager.data.habits.filter(h => !h.archived).map(h => h.id);
+        const ids = this.habitFilter.filter(id => activeIds.includes(id));
+        return ids.length > 0 && ids.length < activeIds.length ? ids : null;
+    }
+
+    filterHabits(habits) {
+        const ids = this.getHabitFilter();
+        return ids ? habits.filter(h => ids.includes(h.id)) : habits;
+    }
+
+    setHabitFilter(ids) {
+        this.habitFilter = ids && ids.length > 0 ? ids : null;
+        if (this.habitFilter) {
+            localStorage.setItem('trackDeezHabitFilter', JSON.stringify(this.habitFilter));
+        } else {
+            localStorage.removeItem('trackDeezHabitFilter');
+        }
+        this.renderCalendarView();
+        this.renderStatsView();
+    }
+
+    describeHabitFilter() {
+        const ids = this.getHabitFilter();
+        if (!ids) return 'All habits';
+        if (ids.length === 1) {
+            return this.dataManager.data.habits.find(h => h.id === ids[0]).name;
+        }
+        return `${ids.length} habits`;
+    }
+
+    renderHabitFilter(container) {
+        const activeHabits = this.dataManager.data.habits.filter(h => !h.archived);
+        if (activeHabits.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const ids = this.getHabitFilter();
+        const wasOpen = !!container.querySelector('details[open]');
+        const groups = this.dataManager.data.habitGroups.filter(group => activeHabits.some(h => h.groupId === group.id));
+        
+        container.innerHTML = `
+            <details class="habit-filter" ${wasOpen ? 'open' : ''}>
+                <summary>Showing: <strong>${this.escapeHtml(this.describeHabitFilter())}</strong></summary>
+                <div class="habit-filter-presets">
+                    <button type="button" class="btn-secondary-compact" data-preset="all">All habits</button>
+                    ${groups.map(group => `
+                        <button type="button" class="btn-secondary-compact" data-preset="${group.id}">${group.icon ? this.escapeHtml(group.icon) + ' ' : ''}${this.escapeHtml(group.name)}</button>
+                    `).join('')}
+                </div>
+                <div class="habit-filter-options">
+                    ${activeHabits.map(habit => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" value="${habit.id}" ${!ids || ids.includes(habit.id) ? 'checked' : ''}>
+                            <span>${this.escapeHtml(habit.name)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </details>
+        `;
+        
+        container.querySelectorAll('[data-preset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const preset = btn.dataset.preset;
+                this.setHabitFilter(preset === 'all' ? null : activeHabits.filter(h => h.groupId === preset).map(h => h.id));
+            });
+        });
+        
+        // At least one habit stays selected
+        container.querySelectorAll('.habit-filter-options input').forEach(input => {
+            input.addEventListener('change', () => {
+                const checked = [...container.querySelectorAll('.habit-filter-options input:checked')].map(box => box.value);
+                if (checked.length === 0) {
+                    input.checked = true;
+                    return;
+                }
+                this.setHabitFilter(checked.length === activeHabits.length ? null : checked);
+            });
+        });
+    }
+
+    renderNotesSearchResults(query) {
+        const resultsEl = document.getElementById('notes-search-results');
+        if (!query.trim()) {
+            resultsEl.innerHTML = '';
+            return;
+        }
+        
+        const results = this.dataManager.searchNotes(query);
+        if (results.length === 0) {
+            resultsEl.innerHTML = '<div class="empty-state"><p>No notes match your search.</p></div>';
+            return;
+        }
+        
+        resultsEl.innerHTML = results.map(result => {
+            const dateLabel = this.dataManager.parseLocalDate(result.date).toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+            const habit = result.habitId ? this.dataManager.data.habits.find(h => h.id === result.habitId) : null;
+            const source = result.habitId ? (habit ? habit.name : 'Deleted habit') : 'Day note';
+            return `
+                <button type="button" class="note-result" data-date="${result.date}">
+                    <span class="note-result-meta">${dateLabel} · ${this.escapeHtml(source)}</span>
+                    <span class="note-result-text">${this.escapeHtml(result.text)}</span>
+                </button>
+            `;
+        }).join('');
+        
+        resultsEl.querySelectorAll('.note-result').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showDayModal(this.dataManager.parseLocalDate(btn.dataset.date));
+            });
+        });
     }
 
     showDayModal(date) {
@@ -1284,100 +4321,443 @@ class HabitTrackerApp {
         if (activeHabits.length === 0) {
             html += '<p>No habits configured.</p>';
         } else {
-            html += '<div class="habits-list">';
-            activeHabits.forEach(habit => {
-                const completed = dayData.habits[habit.id] || false;
-                
-                // Build habit name with build-up info if applicable
-                let habitName = habit.name;
-                let habitDescription = habit.description || '';
-                
-                if (habit.isBuildUpHabit && habit.buildUpConfig) {
-                    const config = habit.buildUpConfig;
-                    habitName += ` (Current Goal: ${config.currentValue}${config.unit ? ' ' + config.unit : ''})`;
+            // Per-group sections with their completion for the day once groups exist
+            const showGroups = this.dataManager.data.habitGroups.length > 0;
+            const sections = showGroups
+                ? this.dataManager.groupHabits(activeHabits)
+                : [{ group: null, habits: activeHabits }];
+            
+            sections.forEach(section => {
+                if (showGroups) {
+                    const { done, total } = this.dataManager.getGroupCompletion(section.habits, date);
+                    html += `
+                        <div class="habit-group-summary" style="--group-color: ${section.group ? section.group.color : 'var(--text-secondary)'}">
+                            <span>${section.group ? `${section.group.icon ? this.escapeHtml(section.group.icon) + ' ' : ''}${this.escapeHtml(section.group.name)}` : 'Other'}</span>
+                            <span class="habit-group-count">${done}/${total}</span>
+                        </div>
+                    `;
                 }
-                
-                html += `
-                    <div class="habit-item ${completed ? 'completed' : ''} ${habit.isBuildUpHabit ? 'build-up-habit' : ''}">
-                        <div class="habit-checkbox ${completed ? 'checked' : ''}">
-                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                                <polyline points="20 6 9 17 4 12"/>
-                            </svg>
+                html += '<div class="habits-list">';
+                section.habits.forEach(habit => {
+                    const completed = dayData.habits[habit.id] || false;
+                    const isDue = this.dataManager.isHabitDue(habit, date);
+                    const isExcused = this.dataManager.isHabitExcused(habit, date);
+                    const protectionInfo = this.getStreakProtectionText(habit, date);
+                    
+                    // Build habit name with build-up info if applicable
+                    let habitName = habit.name;
+                    let habitDescription = habit.description || '';
+                    
+                    if (habit.isBuildUpHabit && habit.buildUpConfig) {
+                        const config = habit.buildUpConfig;
+                        habitName += ` (Current Goal: ${config.currentValue}${config.unit ? ' ' + config.unit : ''})`;
+                    }
+                    
+                    html += `
+                        <div class="habit-item ${this.getHabitStateClass(habit, completed)} ${(!isDue || isExcused) && !completed ? 'not-due' : ''} ${habit.isBuildUpHabit ? 'build-up-habit' : ''}">
+                            ${this.renderHabitCheckbox(habit, completed)}
+                            <div class="habit-info">
+                                <span class="habit-name">${habitName}</span>
+                                ${habitDescription ? `<span class="habit-description">${habitDescription}</span>` : ''}
+                                ${this.dataManager.isNegativeHabit(habit) ? `<span class="habit-slip-status">${completed ? 'Slipped' : 'Clean'}</span>` : ''}
+                                ${protectionInfo ? `<span class="habit-schedule">${protectionInfo}</span>` : ''}
+                                ${this.dataManager.isMeasurableHabit(habit) ? this.renderHabitProgress(habit, date) : ''}
+                                ${this.renderHabitNote(habit, date, completed)}
+                            </div>
+                            ${habit.isBuildUpHabit ? '<span class="build-up-badge">📈</span>' : ''}
                         </div>
-                        <div class="habit-info">
-                            <span class="habit-name">${habitName}</span>
-                            ${habitDescription ? `<span class="habit-description">${habitDescription}</span>` : ''}
+                    `;
+                });
+                html += '</div>';
+            });
+        }
+
+        // Tracking
+        if (this.dataManager.data.trackingFields.length > 0) {
+            html += '<h3 style="margin-top: 1.5rem;">Tracking</h3>';
+            html += '<div class="tracking-list">';
+            this.dataManager.data.trackingFields.forEach(field => {
+                const rawValue = this.dataManager.getTrackingValue(field, date);
+                const value = this.formatTrackingValue(field, rawValue);
+                const rangeStatus = this.dataManager.getTrackingRangeStatus(field, rawValue);
+                const missing = field.validation?.required && this.dataManager.isTrackingValueEmpty(rawValue);
+                html += `
+                    <div class="tracking-item">
+                        <div class="tracking-label-wrapper">
+                            <div class="tracking-label">${field.name}</div>
+                            ${field.description ? `<div class="tracking-description">${field.description}</div>` : ''}
                         </div>
-                        ${habit.isBuildUpHabit ? '<span class="build-up-badge">📈</span>' : ''}
+                        <div class="tracking-value ${rangeStatus ? `range-${rangeStatus}` : ''} ${missing ? 'missing' : ''}">${this.escapeHtml(value)}</div>
                     </div>
                 `;
             });
             html += '</div>';
         }
 
-        // Tracking
-        if (this.dataManager.data.trackingFields.length > 0) {
-            html += '<h3 style="margin-top: 1.5rem;">Tracking</h3>';
-            html += '<div class="tracking-list">';
-            this.dataManager.data.trackingFields.forEach(field => {
-                const value = dayData.tracking[field.id] || 'Not recorded';
-                html += `
-                    <div class="tracking-item">
-                        <div class="tracking-label-wrapper">
-                            <div class="tracking-label">${field.name}</div>
-                            ${field.description ? `<div class="tracking-description">${field.description}</div>` : ''}
-                        </div>
-                        <div style="font-weight: 600;">${value}${field.unit ? ' ' + field.unit : ''}</div>
-                    </div>
-                `;
+        html += this.renderDaySchedule(date);
+
+        // Notes
+        html += `
+            <h3 style="margin-top: 1.5rem;">Notes</h3>
+            <textarea id="modal-day-note" class="form-control day-note-input" rows="3" placeholder="Write a note about this day">${this.escapeHtml(dayData.note || '')}</textarea>
+        `;
+
+        modalBody.innerHTML = html;
+        
+        const refreshNotes = () => {
+            this.renderCalendarView();
+            this.renderTodayView();
+        };
+        document.getElementById('modal-day-note').onchange = async (e) => {
+            await this.dataManager.setDayNote(date, e.target.value);
+            refreshNotes();
+        };
+        this.setupHabitNoteInputs(modalBody, date, () => {
+            refreshNotes();
+            this.showDayModal(date);
+        });
+        this.setupDaySchedule(modalBody, date);
+        
+        this.dayModalDate = date;
+        modal.classList.add('active');
+    }
+
+    // Re-render the day modal after its events change elsewhere
+    refreshDayModal() {
+        if (this.dayModalDate && document.getElementById('day-modal').classList.contains('active')) {
+            this.showDayModal(this.dayModalDate);
+        }
+    }
+
+    // Calendar events and planner blocks for the day modal
+    renderDaySchedule(date) {
+        const events = this.dataManager.getEventsForDate(date);
+        const blocks = this.plannerManager.getEventsForDate(date);
+
+        let html = `
+            <div class="day-schedule-header">
+                <h3>Events</h3>
+                <button type="button" class="btn-secondary-compact" id="day-add-event">+ Add Event</button>
+            </div>
+        `;
+
+        if (events.length === 0 && blocks.length === 0) {
+            return html + '<p class="day-schedule-empty">Nothing scheduled.</p>';
+        }
+
+        html += '<div class="day-schedule">';
+        events.forEach(event => {
+            html += `
+                <div class="day-event">
+                    <span class="calendar-event-dot"></span>
+                    <div class="day-event-info">
+                        <span class="day-event-name">${this.escapeHtml(event.name)}</span>
+                        <span class="day-event-time">${this.formatEventTime(event)}${event.isRecurring ? ` · 🔁 ${event.isException ? 'Changed occurrence' : 'Repeats'}` : ''}</span>
+                    </div>
+                    <button class="btn-icon edit" data-event-id="${event.id}" data-occurrence-date="${event.occurrenceDate || ''}" title="Edit event" aria-label="Edit event">✏️</button>
+                    <button class="btn-icon delete" data-event-id="${event.id}" data-occurrence-date="${event.occurrenceDate || ''}" title="Delete event" aria-label="Delete event">🗑️</button>
+                </div>
+            `;
+        });
+        blocks.forEach(block => {
+            html += `
+                <div class="day-event">
+                    <span class="calendar-event-dot category-${block.category}"></span>
+                    <div class="day-event-info">
+                        <span class="day-event-name">${this.escapeHtml(block.title)}</span>
+                        <span class="day-event-time">${this.formatTimeRange(block.startTime, block.endTime)} · Planner</span>
+                    </div>
+                    <button class="btn-icon edit" data-planner-event-id="${block.id}" title="Edit block" aria-label="Edit block">✏️</button>
+                    <button class="btn-icon delete" data-planner-event-id="${block.id}" title="Delete block" aria-label="Delete block">🗑️</button>
+                </div>
+            `;
+        });
+        return html + '</div>';
+    }
+
+    setupDaySchedule(container, date) {
+        const refresh = () => {
+            this.renderCalendarView();
+            this.showDayModal(date);
+        };
+
+        container.querySelector('#day-add-event').addEventListener('click', () => {
+            this.showEventModal(null, date);
+        });
+
+        container.querySelectorAll('.day-event .btn-icon.edit').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.eventId) {
+                    this.showEventModal(btn.dataset.eventId, null, btn.dataset.occurrenceDate || null);
+                } else {
+                    this.showPlannerEventModal(btn.dataset.plannerEventId);
+                }
+            });
+        });
+
+        container.querySelectorAll('.day-event .btn-icon.delete').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                if (btn.dataset.eventId) {
+                    // Only this occurrence of a series; the event form offers the rest
+                    const occurrenceDate = btn.dataset.occurrenceDate || null;
+                    const message = occurrenceDate
+                        ? 'Delete this occurrence? Edit the event to delete more of the series.'
+                        : 'Delete this event?';
+                    if (!confirm(message)) return;
+                    await this.dataManager.deleteEvent(btn.dataset.eventId, occurrenceDate ? 'this' : 'all', occurrenceDate);
+                } else {
+                    if (!confirm('Delete this planner block?')) return;
+                    await this.plannerManager.deleteEvent(btn.dataset.plannerEventId);
+                }
+                refresh();
+            });
+        });
+    }
+
+    // "9:00 AM - 9:45 AM", or "All day"
+    formatEventTime(event) {
+        if (event.duration === -1) return 'All day';
+        const [hours, minutes] = event.startTime.split(':').map(Number);
+        const start = this.plannerManager.formatTime12h(hours, minutes);
+        if (!event.duration) return start;
+        const end = this.plannerManager.minutesToTime((hours * 60 + minutes + event.duration) % (24 * 60));
+        return this.formatTimeRange(event.startTime, end);
+    }
+
+    // Anything changed from the day modal shows up in a heatmap still open beneath it
+    closeDayModal() {
+        document.getElementById('day-modal').classList.remove('active');
+        if (document.getElementById('heatmap-modal').classList.contains('active')) {
+            this.renderHeatmap();
+        }
+    }
+
+    // Year Heatmap
+    // Pass a habit id for that habit's heatmap, or nothing for all habits combined
+    showHeatmapModal(habitId = null) {
+        const habitSelect = document.getElementById('heatmap-habit');
+        const periodSelect = document.getElementById('heatmap-period');
+        const activeHabits = this.dataManager.data.habits.filter(h => !h.archived);
+        
+        habitSelect.innerHTML = '<option value="">All habits</option>' + activeHabits
+            .map(habit => `<option value="${habit.id}">${this.escapeHtml(habit.name)}</option>`)
+            .join('');
+        habitSelect.value = habitId || '';
+        
+        // The last 12 months, then every calendar year back to the oldest data
+        const currentYear = new Date().getFullYear();
+        const dayKeys = Object.keys(this.dataManager.data.days).sort();
+        const firstYear = dayKeys.length > 0 ? Math.min(parseInt(dayKeys[0]), currentYear) : currentYear;
+        let periodOptions = '<option value="last12">Last 12 months</option>';
+        for (let year = currentYear; year >= firstYear; year--) {
+            periodOptions += `<option value="${year}">${year}</option>`;
+        }
+        periodSelect.innerHTML = periodOptions;
+        periodSelect.value = 'last12';
+        
+        habitSelect.onchange = () => this.renderHeatmap();
+        periodSelect.onchange = () => this.renderHeatmap();
+        
+        document.getElementById('heatmap-modal').classList.add('active');
+        this.renderHeatmap();
+    }
+
+    getHeatmapDates(period) {
+        let start, end;
+        if (period === 'last12') {
+            end = new Date();
+            end.setHours(0, 0, 0, 0);
+            start = new Date(end.getFullYear() - 1, end.getMonth(), end.getDate() + 1);
+        } else {
+            const year = parseInt(period);
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+        }
+        
+        const dates = [];
+        for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+            dates.push(new Date(date));
+        }
+        return dates;
+    }
+
+    async renderHeatmap() {
+        const habitId = document.getElementById('heatmap-habit').value || null;
+        const dates = this.getHeatmapDates(document.getElementById('heatmap-period').value);
+        const habit = habitId ? this.dataManager.data.habits.find(h => h.id === habitId) : null;
+        const grid = document.getElementById('heatmap-grid');
+        const summary = document.getElementById('heatmap-summary');
+        
+        document.getElementById('heatmap-title').textContent = habit ? habit.name : 'All Habits';
+        summary.textContent = 'Loading…';
+        
+        // A newer render (another habit or year picked meanwhile) wins
+        const renderToken = (this.heatmapRenderToken || 0) + 1;
+        this.heatmapRenderToken = renderToken;
+        const cells = await this.dataManager.getHeatmapData(habitId, dates, () => this.heatmapRenderToken !== renderToken);
+        if (!cells || this.heatmapRenderToken !== renderToken) return;
+        
+        summary.textContent = this.describeHeatmap(habit, cells);
+        
+        // Columns are weeks: a month label above seven day cells, labelling every other day
+        const weekdays = this.getWeekdayNames().map((day, index) => (index % 2 === 1 ? day : ''));
+        const padding = (dates[0].getDay() - this.dataManager.weekStartDay + 7) % 7;
+        const padded = [...Array(padding).fill(null), ...cells];
+        const today = new Date().toDateString();
+        let html = '<span class="heatmap-month"></span>' + weekdays.map(day => `<span class="heatmap-weekday">${day}</span>`).join('');
+        
+        for (let week = 0; week < padded.length; week += 7) {
+            const column = padded.slice(week, week + 7);
+            const monthStart = column.find(cell => cell && cell.date.getDate() === 1);
+            html += `<span class="heatmap-month">${monthStart ? monthStart.date.toLocaleDateString('en-US', { month: 'short' }) : ''}</span>`;
+            html += column.map((cell, offset) => {
+                if (!cell) return '<span class="heatmap-cell blank"></span>';
+                const classes = ['heatmap-cell', cell.status];
+                if (cell.level !== null && cell.status !== 'slip') classes.push(`level-${cell.level}`);
+                if (cell.date.toDateString() === today) classes.push('current');
+                const label = `${cell.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}: ${this.describeHeatmapCell(habit, cell)}`;
+                if (cell.status === 'future') return `<span class="${classes.join(' ')}"></span>`;
+                return `<button type="button" class="${classes.join(' ')}" data-index="${week + offset - padding}" title="${label}" aria-label="${label}"></button>`;
+            }).join('');
+        }
+        
+        grid.innerHTML = `<div class="heatmap">${html}</div>`;
+        grid.querySelectorAll('button.heatmap-cell').forEach(cellEl => {
+            cellEl.addEventListener('click', () => {
+                this.showDayModal(cells[parseInt(cellEl.dataset.index)].date);
             });
-            html += '</div>';
+        });
+        
+        // Most recent weeks first in view
+        grid.scrollLeft = grid.scrollWidth;
+    }
+
+    describeHeatmapCell(habit, cell) {
+        switch (cell.status) {
+            case 'done': return 'Done';
+            case 'partial': return `${Math.round(cell.progress * 100)}% of target`;
+            case 'missed': return 'Missed';
+            case 'clean': return 'Clean';
+            case 'slip': return 'Slipped';
+            case 'share': return `${cell.done} of ${cell.total} habits done`;
+            default: return habit ? 'Not scheduled' : 'Nothing scheduled';
         }
+    }
 
-        modalBody.innerHTML = html;
-        modal.classList.add('active');
+    describeHeatmap(habit, cells) {
+        const count = (status) => cells.filter(cell => cell.status === status).length;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        
+        if (!habit) {
+            const tracked = cells.filter(cell => cell.status === 'share');
+            if (tracked.length === 0) return 'Nothing scheduled in this period';
+            const perfect = tracked.filter(cell => cell.level === 4).length;
+            const average = tracked.reduce((sum, cell) => sum + cell.done / cell.total, 0) / tracked.length;
+            return `${plural(perfect, 'perfect day')} of ${tracked.length} · ${Math.round(average * 100)}% of habits done on an average day`;
+        }
+        if (this.dataManager.isNegativeHabit(habit)) {
+            return `${plural(count('slip'), 'slip')} · ${plural(count('clean'), 'clean day')}`;
+        }
+        const done = count('done');
+        const scheduled = done + count('partial') + count('missed');
+        if (scheduled === 0) return 'Nothing scheduled in this period';
+        const partial = count('partial') > 0 ? ` · ${count('partial')} partly done` : '';
+        return `Done on ${done} of ${plural(scheduled, 'scheduled day')} (${Math.round((done / scheduled) * 100)}%)${partial}`;
     }
 
     // Planner View
     renderPlannerView() {
+        const dates = this.getPlannerDates();
+        const isDay = dates.length === 1;
+
         // Update date display
         const dateOptions = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-        document.getElementById('planner-date').textContent = 
-            this.plannerManager.currentDate.toLocaleDateString('en-US', dateOptions);
+        document.getElementById('planner-date').textContent = isDay
+            ? dates[0].toLocaleDateString('en-US', dateOptions)
+            : this.formatDateRange(dates[0], dates[dates.length - 1]);
+
+        const unit = isDay ? 'day' : dates.length === 7 ? 'week' : `${dates.length} days`;
+        document.getElementById('planner-prev-day').setAttribute('aria-label', `Previous ${unit}`);
+        document.getElementById('planner-next-day').setAttribute('aria-label', `Next ${unit}`);
+
+        document.querySelectorAll('.planner-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.days) === this.plannerDays);
+            btn.onclick = () => {
+                this.plannerDays = parseInt(btn.dataset.days);
+                localStorage.setItem('trackDeezPlannerDays', String(this.plannerDays));
+                this.renderPlannerView();
+            };
+        });
 
         // Render time column
         this.renderTimeColumn();
 
+        // Planned vs actual time for the visible days
+        this.renderPlannerSummary(dates);
+
+        // Day headers, shown when more than one day is visible
+        this.renderPlannerDayHeaders(dates);
+
         // Render grid
-        this.renderPlannerGrid();
+        this.renderPlannerGrid(dates);
 
         // Render events
         this.renderPlannerEvents();
 
+        // Drag to move, resize and add blocks (only once)
+        this.setupPlannerDrag();
+
         // Setup current time indicator
         this.setupCurrentTimeIndicator();
 
         // Setup navigation buttons (only once)
         if (!this._plannerNavSetup) {
-            document.getElementById('planner-prev-day').onclick = () => {
-                this.plannerManager.currentDate.setDate(this.plannerManager.currentDate.getDate() - 1);
+            // Previous/next move by as many days as are shown
+            const step = (direction) => {
+                const date = this.plannerManager.currentDate;
+                this.plannerManager.currentDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + direction * this.plannerDays);
                 this.renderPlannerView();
             };
 
-            document.getElementById('planner-next-day').onclick = () => {
-                this.plannerManager.currentDate.setDate(this.plannerManager.currentDate.getDate() + 1);
-                this.renderPlannerView();
-            };
+            document.getElementById('planner-prev-day').onclick = () => step(-1);
+
+            document.getElementById('planner-next-day').onclick = () => step(1);
 
             document.getElementById('planner-today').onclick = () => {
                 this.plannerManager.currentDate = new Date();
                 this.renderPlannerView();
             };
+
+            document.getElementById('planner-templates-btn').onclick = () => this.showDayTemplateModal();
+
+            document.getElementById('planner-copy-day-btn').onclick = () => {
+                this.showPlannerApplyModal({ date: this.plannerManager.formatDate(this.plannerManager.currentDate) });
+            };
+
+            document.getElementById('planner-clear-day-btn').onclick = () => this.clearPlannerDay();
+
+            document.getElementById('planner-report-btn').onclick = () => this.showPlannerReport();
             
             this._plannerNavSetup = true;
         }
     }
 
+    // Dates shown in the planner: one day, three days from the current date, or its week
+    getPlannerDates() {
+        const current = this.plannerManager.currentDate;
+        const start = this.plannerDays === 7
+            ? this.getWeekStart(current)
+            : new Date(current.getFullYear(), current.getMonth(), current.getDate());
+        return Array.from({ length: this.plannerDays }, (_, i) =>
+            new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    }
+
+    // e.g. "Oct 18 – Oct 24, 2026", with both years when the range crosses one
+    formatDateRange(start, end) {
+        const sameYear = start.getFullYear() === end.getFullYear();
+        return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...(sameYear ? {} : { year: 'numeric' }) })} – ${end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+
     renderTimeColumn() {
         const timeColumn = document.getElementById('time-column');
         let html = '';
@@ -1391,9 +4771,137 @@ class HabitTrackerApp {
         timeColumn.innerHTML = html;
     }
 
-    renderPlannerGrid() {
-        const grid = document.getElementById('planner-grid');
-        let html = '';
+    renderPlannerSummary(dates) {
+        const container = document.getElementById('planner-summary');
+        const summary = this.plannerManager.getPlanVsActual(dates[0], dates[dates.length - 1]);
+        const { done, skipped, shifted, unlogged } = summary.counts;
+        if (done + skipped + shifted + unlogged === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const wasOpen = !!container.querySelector('details[open]');
+        const counts = [
+            done > 0 ? `✓ ${done} done` : '',
+            skipped > 0 ? `✕ ${skipped} skipped` : '',
+            shifted > 0 ? `↔ ${shifted} shifted` : '',
+            unlogged > 0 ? `${unlogged} not logged` : ''
+        ].filter(Boolean).join(' · ');
+
+        container.innerHTML = `
+            <details class="planner-summary" ${wasOpen ? 'open' : ''}>
+                <summary>Planned <strong>${this.formatDuration(summary.planned)}</strong> · Actual <strong>${this.formatDuration(summary.actual)}</strong></summary>
+                <div class="plan-actual-counts">${counts}</div>
+                ${this.renderPlanVsActualCategories(summary)}
+            </details>
+        `;
+    }
+
+    // Bars comparing planned and actual time for each category that has any
+    renderPlanVsActualCategories(summary) {
+        const rows = PLANNER_CATEGORIES
+            .map(category => ({ ...category, ...summary.categories[category.id] }))
+            .filter(row => row.planned > 0 || row.actual > 0);
+        const scale = Math.max(...rows.map(row => Math.max(row.planned, row.actual)), 1);
+
+        return `
+            <div class="plan-actual-rows">
+                ${rows.map(row => `
+                    <div class="plan-actual-row">
+                        <span class="plan-actual-label">
+                            <span class="calendar-event-dot category-${row.id}"></span>${row.label}
+                        </span>
+                        <div class="plan-actual-bars">
+                            <div class="plan-actual-bar planned" style="width: ${(row.planned / scale) * 100}%"></div>
+                            <div class="plan-actual-bar actual category-${row.id}" style="width: ${(row.actual / scale) * 100}%"></div>
+                        </div>
+                        <span class="plan-actual-value">${this.formatDuration(row.actual)} / ${this.formatDuration(row.planned)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    showPlannerReport() {
+        this.plannerReportWeek = this.getWeekStart(this.plannerManager.currentDate);
+        this.renderPlannerReport();
+        document.getElementById('planner-report-modal').classList.add('active');
+    }
+
+    renderPlannerReport() {
+        const weekStart = this.plannerReportWeek;
+        const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+        const summary = this.plannerManager.getPlanVsActual(weekStart, weekEnd);
+        const body = document.getElementById('planner-report-body');
+        document.getElementById('planner-report-range').textContent = this.formatDateRange(weekStart, weekEnd);
+
+        if (summary.planned === 0 && summary.actual === 0) {
+            body.innerHTML = '<div class="empty-state"><p>Nothing was planned this week.</p></div>';
+            return;
+        }
+
+        const { unlogged } = summary.counts;
+        const dayScale = Math.max(...summary.days.map(day => Math.max(day.planned, day.actual)), 1);
+        body.innerHTML = `
+            <p class="plan-actual-totals">
+                Planned <strong>${this.formatDuration(summary.planned)}</strong> · Actual <strong>${this.formatDuration(summary.actual)}</strong>
+                ${unlogged > 0 ? `<br><span>${unlogged} block${unlogged === 1 ? '' : 's'} not logged yet</span>` : ''}
+            </p>
+            <h3 class="plan-actual-heading">Time per category</h3>
+            ${this.renderPlanVsActualCategories(summary)}
+            <h3 class="plan-actual-heading">Time per day</h3>
+            <div class="plan-actual-rows">
+                ${summary.days.map(day => `
+                    <div class="plan-actual-row">
+                        <span class="plan-actual-label">${this.dataManager.parseLocalDate(day.date).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}</span>
+                        <div class="plan-actual-bars">
+                            <div class="plan-actual-bar planned" style="width: ${(day.planned / dayScale) * 100}%"></div>
+                            <div class="plan-actual-bar actual" style="width: ${(day.actual / dayScale) * 100}%"></div>
+                        </div>
+                        <span class="plan-actual-value">${this.formatDuration(day.actual)} / ${this.formatDuration(day.planned)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="plan-actual-legend">Actual / planned time. Only logged blocks count toward actual time.</p>
+        `;
+    }
+
+    renderPlannerDayHeaders(dates) {
+        const headers = document.getElementById('planner-day-headers');
+        if (dates.length === 1) {
+            headers.style.display = 'none';
+            headers.innerHTML = '';
+            return;
+        }
+
+        const today = this.plannerManager.formatDate(new Date());
+        headers.style.display = '';
+        headers.innerHTML = dates.map(date => {
+            const dateStr = this.plannerManager.formatDate(date);
+            return `
+                <button type="button" class="planner-day-header ${dateStr === today ? 'today' : ''}" data-date="${dateStr}" aria-label="Show ${date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}">
+                    <span class="planner-day-name">${date.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+                    <span class="planner-day-number">${date.getDate()}</span>
+                </button>
+            `;
+        }).join('');
+
+        // Tapping a day opens it on its own
+        headers.querySelectorAll('.planner-day-header').forEach(header => {
+            header.onclick = () => {
+                this.plannerManager.currentDate = this.dataManager.parseLocalDate(header.dataset.date);
+                this.plannerDays = 1;
+                localStorage.setItem('trackDeezPlannerDays', '1');
+                this.renderPlannerView();
+            };
+        });
+    }
+
+    renderPlannerGrid(dates) {
+        const days = document.getElementById('planner-days');
+        // The time indicator lives in today's column, so keep hold of it while columns are rebuilt
+        const indicator = document.getElementById('current-time-indicator');
+        let slotsHtml = '';
         
         const totalSlots = (this.plannerManager.endHour - this.plannerManager.startHour + 1) * 2;
         
@@ -1403,77 +4911,70 @@ class HabitTrackerApp {
             const timeStr = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
             const isHalfHour = i % 2 === 1;
             
-            html += `<div class="grid-slot ${isHalfHour ? 'half-hour' : ''}" data-time="${timeStr}"></div>`;
+            slotsHtml += `<div class="grid-slot ${isHalfHour ? 'half-hour' : ''}" data-time="${timeStr}"></div>`;
         }
-        
-        grid.innerHTML = html;
+
+        const today = this.plannerManager.formatDate(new Date());
+        days.classList.toggle('multi-day', dates.length > 1);
+        days.innerHTML = dates.map(date => {
+            const dateStr = this.plannerManager.formatDate(date);
+            return `
+                <div class="planner-grid-container ${dateStr === today ? 'today' : ''}" data-date="${dateStr}">
+                    <div class="planner-grid">${slotsHtml}</div>
+                    <div class="planner-events"></div>
+                </div>
+            `;
+        }).join('');
+
+        const todayColumn = days.querySelector(`.planner-grid-container[data-date="${today}"]`);
+        (todayColumn || days.parentElement).appendChild(indicator);
 
         // Use event delegation for click handlers
         if (!this._plannerGridClickDelegated) {
-            grid.addEventListener('click', (evt) => {
+            days.addEventListener('click', (evt) => {
                 const slot = evt.target.closest('.grid-slot');
-                if (!slot || !grid.contains(slot)) {
+                if (!slot || !days.contains(slot) || this._suppressPlannerClick) {
                     return;
                 }
                 const startTime = slot.dataset.time;
-                this.showPlannerEventModal(null, startTime);
+                const date = slot.closest('.planner-grid-container').dataset.date;
+                this.showPlannerEventModal(null, startTime, null, date);
             });
             this._plannerGridClickDelegated = true;
         }
     }
 
     renderPlannerEvents() {
-        const eventsContainer = document.getElementById('planner-events');
-        const events = this.plannerManager.getEventsForDate(this.plannerManager.currentDate);
-        
-        // Clear existing events
-        eventsContainer.innerHTML = '';
-        
-        if (events.length === 0) {
+        const days = document.getElementById('planner-days');
+        const columns = [...days.querySelectorAll('.planner-grid-container')];
+        if (columns.length === 0) {
             return;
         }
+        const eventsByDate = this.plannerManager.getEventsByDate(
+            this.dataManager.parseLocalDate(columns[0].dataset.date),
+            this.dataManager.parseLocalDate(columns[columns.length - 1].dataset.date)
+        );
         
-        // Safely render events without injecting unescaped HTML
-        events.forEach(event => {
-            const position = this.plannerManager.getEventPosition(event);
-            const isCurrent = this.plannerManager.isEventCurrent(event);
-            const isPast = this.plannerManager.isEventPast(event);
-            
-            let statusClass = '';
-            if (isCurrent) statusClass = 'current';
-            else if (isPast) statusClass = 'past';
-            
-            const eventEl = document.createElement('div');
-            eventEl.className = `planner-event category-${event.category} ${statusClass}`;
-            eventEl.dataset.eventId = event.id;
-            eventEl.style.top = `${position.top}%`;
-            eventEl.style.height = `${position.height}%`;
-            
-            const titleEl = document.createElement('div');
-            titleEl.className = 'event-title';
-            titleEl.textContent = event.title;
-            eventEl.appendChild(titleEl);
-            
-            const timeEl = document.createElement('div');
-            timeEl.className = 'event-time';
-            timeEl.textContent = this.formatTimeRange(event.startTime, event.endTime);
-            eventEl.appendChild(timeEl);
-            
-            if (event.notes) {
-                const notesEl = document.createElement('div');
-                notesEl.className = 'event-notes';
-                notesEl.textContent = event.notes;
-                eventEl.appendChild(notesEl);
-            }
-            
-            eventsContainer.appendChild(eventEl);
+        columns.forEach(column => {
+            const eventsContainer = column.querySelector('.planner-events');
+            const events = eventsByDate.get(column.dataset.date) || [];
+
+            // Clear existing events
+            eventsContainer.innerHTML = '';
+
+            const layout = this.plannerManager.layoutEvents(events);
+
+            // Safely render events without injecting unescaped HTML
+            events.forEach(event => {
+                eventsContainer.appendChild(this.createPlannerEventElement(event, layout.get(event.id)));
+            });
         });
 
         // Use event delegation: attach a single click handler to the container
         if (!this._plannerEventsClickDelegated) {
-            eventsContainer.addEventListener('click', (evt) => {
+            days.addEventListener('click', (evt) => {
                 const eventEl = evt.target.closest('.planner-event');
-                if (!eventEl || !eventsContainer.contains(eventEl)) {
+                if (!eventEl || !days.contains(eventEl) || !eventEl.dataset.eventId || this._suppressPlannerClick) {
                     return;
                 }
                 const eventId = eventEl.dataset.eventId;
@@ -1483,6 +4984,295 @@ class HabitTrackerApp {
         }
     }
 
+    createPlannerEventElement(event, { column, span, columns }) {
+        const position = this.plannerManager.getEventPosition(event);
+        const isCurrent = this.plannerManager.isEventCurrent(event);
+        const isPast = this.plannerManager.isEventPast(event);
+        
+        let statusClass = '';
+        if (isCurrent) statusClass = 'current';
+        else if (isPast) statusClass = 'past';
+        
+        const eventEl = document.createElement('div');
+        eventEl.className = `planner-event category-${event.category} ${statusClass}`;
+        if (event.status) eventEl.classList.add(`status-${event.status}`);
+        eventEl.dataset.eventId = event.id;
+        eventEl.style.top = `${position.top}%`;
+        eventEl.style.height = `${position.height}%`;
+
+        // Overlapping blocks share the row width in columns
+        if (columns > 1) {
+            eventEl.classList.add('overlapping');
+            eventEl.style.left = `calc(var(--planner-event-inset) + (100% - 2 * var(--planner-event-inset)) * ${column / columns})`;
+            eventEl.style.width = `calc((100% - 2 * var(--planner-event-inset)) * ${span / columns} - 2px)`;
+        }
+        
+        const titleEl = document.createElement('div');
+        titleEl.className = 'event-title';
+        titleEl.textContent = `${PLANNER_OUTCOME_MARKS[event.status] || ''}${event.title}`;
+        eventEl.appendChild(titleEl);
+        
+        const timeEl = document.createElement('div');
+        timeEl.className = 'event-time';
+        timeEl.textContent = this.formatTimeRange(event.startTime, event.endTime);
+        eventEl.appendChild(timeEl);
+
+        // Logged times that differ from the plan
+        if (event.actualStart && event.actualEnd &&
+            (event.actualStart !== event.startTime || event.actualEnd !== event.endTime)) {
+            const actualEl = document.createElement('div');
+            actualEl.className = 'event-time event-actual';
+            actualEl.textContent = `Actual ${this.formatTimeRange(event.actualStart, event.actualEnd)}`;
+            eventEl.appendChild(actualEl);
+        }
+        
+        if (event.notes) {
+            const notesEl = document.createElement('div');
+            notesEl.className = 'event-notes';
+            notesEl.textContent = event.notes;
+            eventEl.appendChild(notesEl);
+        }
+
+        // Edges to drag when resizing
+        ['top', 'bottom'].forEach(edge => {
+            const handleEl = document.createElement('div');
+            handleEl.className = `planner-event-handle ${edge}`;
+            eventEl.appendChild(handleEl);
+        });
+
+        return eventEl;
+    }
+
+    /**
+     * Drag planner blocks to move them (to another day too, when several are shown),
+     * drag their top or bottom edge to resize them, and drag across empty grid space
+     * to add a block covering that range
+     * Mouse drags start after a few pixels of movement; touch drags start after a
+     * short hold so a quick swipe still scrolls the planner
+     */
+    setupPlannerDrag() {
+        if (this._plannerDragSetup) return;
+        this._plannerDragSetup = true;
+
+        const container = document.getElementById('planner-days');
+        const HOLD_DELAY = 350;
+        let drag = null;
+
+        // Every day column shares the same time scale
+        const minutesAt = (clientY) => {
+            const rect = container.getBoundingClientRect();
+            const viewStart = this.plannerManager.startHour * 60;
+            const viewRange = (this.plannerManager.endHour - this.plannerManager.startHour) * 60;
+            return viewStart + ((clientY - rect.top) / rect.height) * viewRange;
+        };
+
+        // New start and end minutes for the pointer position
+        const rangeAt = (clientY) => {
+            const step = this.plannerSnapMinutes;
+            const viewStart = this.plannerManager.startHour * 60;
+            const viewEnd = this.plannerManager.endHour * 60;
+            const pointer = minutesAt(clientY);
+            const snap = (minutes) => Math.round(minutes / step) * step;
+
+            if (drag.mode === 'move') {
+                const length = drag.end - drag.start;
+                const start = Math.min(Math.max(snap(drag.start + pointer - drag.pointerStart), viewStart), viewEnd - length);
+                return { start, end: start + length };
+            }
+            if (drag.mode === 'resize-start') {
+                return { start: Math.min(Math.max(snap(pointer), viewStart), drag.end - step), end: drag.end };
+            }
+            if (drag.mode === 'resize-end') {
+                return { start: drag.start, end: Math.max(Math.min(snap(pointer), viewEnd), drag.start + step) };
+            }
+            // New block: every snap interval between where the drag began and the pointer
+            const anchor = Math.floor(drag.pointerStart / step) * step;
+            const current = Math.floor(pointer / step) * step;
+            return {
+                start: Math.max(Math.min(anchor, current), viewStart),
+                end: Math.min(Math.max(anchor, current) + step, viewEnd)
+            };
+        };
+
+        // Day column under the pointer, if any
+        const columnAt = (clientX) => [...container.querySelectorAll('.planner-grid-container')].find(column => {
+            const rect = column.getBoundingClientRect();
+            return clientX >= rect.left && clientX < rect.right;
+        });
+
+        const update = (clientX, clientY) => {
+            if (drag.mode === 'move') {
+                const column = columnAt(clientX);
+                if (column && column.dataset.date !== drag.date) {
+                    drag.date = column.dataset.date;
+                    drag.element.classList.remove('overlapping');
+                    drag.element.style.left = '';
+                    drag.element.style.width = '';
+                    column.querySelector('.planner-events').appendChild(drag.element);
+                }
+            }
+
+            drag.range = rangeAt(clientY);
+            const startTime = this.plannerManager.minutesToTime(drag.range.start);
+            const endTime = this.plannerManager.minutesToTime(drag.range.end);
+            const position = this.plannerManager.getEventPosition({ startTime, endTime });
+            drag.element.style.top = `${position.top}%`;
+            drag.element.style.height = `${position.height}%`;
+            drag.element.querySelector('.event-time').textContent = this.formatTimeRange(startTime, endTime);
+        };
+
+        const begin = () => {
+            clearTimeout(drag.holdTimer);
+            drag.started = true;
+            // The click that follows a drag shouldn't open the modal
+            this._suppressPlannerClick = true;
+
+            if (drag.mode === 'create') {
+                drag.element = document.createElement('div');
+                drag.element.className = 'planner-event planner-event-preview';
+                const timeEl = document.createElement('div');
+                timeEl.className = 'event-time';
+                drag.element.appendChild(timeEl);
+                drag.eventsContainer.appendChild(drag.element);
+            }
+            drag.element.classList.add('dragging');
+            update(drag.lastX, drag.lastY);
+        };
+
+        const cancel = () => {
+            if (!drag) return;
+            clearTimeout(drag.holdTimer);
+            if (drag.started) {
+                if (drag.mode === 'create') drag.element.remove();
+                else this.renderPlannerEvents();
+            }
+            drag = null;
+        };
+
+        const finish = async () => {
+            const finished = drag;
+            drag = null;
+            clearTimeout(finished.holdTimer);
+            if (!finished.started) return;
+
+            const startTime = this.plannerManager.minutesToTime(finished.range.start);
+            const endTime = this.plannerManager.minutesToTime(finished.range.end);
+
+            if (finished.mode === 'create') {
+                finished.element.remove();
+                this.showPlannerEventModal(null, startTime, endTime, finished.date);
+                return;
+            }
+
+            const event = finished.event;
+            if (startTime === event.startTime && endTime === event.endTime && finished.date === event.date) {
+                this.renderPlannerEvents();
+                return;
+            }
+            try {
+                await this.plannerManager.updateEvent(
+                    event.id, startTime, endTime, event.title, event.category, event.notes,
+                    this.dataManager.parseLocalDate(finished.date)
+                );
+            } catch (error) {
+                // Put the block back where it was saved
+                console.error('Error moving planner block:', error);
+                this.renderPlannerEvents();
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage('Error moving planner block: ' + error.message, 'error');
+                } else {
+                    alert('Error moving planner block: ' + error.message);
+                }
+                return;
+            }
+            this.renderPlannerView();
+            this.renderCalendarView();
+            this.refreshDayModal();
+        };
+
+        container.addEventListener('pointerdown', (evt) => {
+            if (drag || (evt.pointerType === 'mouse' && evt.button !== 0)) return;
+            this._suppressPlannerClick = false;
+
+            const column = evt.target.closest('.planner-grid-container');
+            const eventEl = evt.target.closest('.planner-event');
+            if (!column) return;
+            let mode = 'create';
+            let event = null;
+            if (eventEl) {
+                event = this.dataManager.data.plannerEvents.find(e => e.id === eventEl.dataset.eventId);
+                if (!event) return;
+                const handle = evt.target.closest('.planner-event-handle');
+                mode = handle ? (handle.classList.contains('top') ? 'resize-start' : 'resize-end') : 'move';
+            } else if (!evt.target.closest('.grid-slot')) {
+                return;
+            }
+
+            drag = {
+                mode,
+                event,
+                element: eventEl,
+                date: column.dataset.date,
+                eventsContainer: column.querySelector('.planner-events'),
+                pointerId: evt.pointerId,
+                isMouse: evt.pointerType === 'mouse',
+                startX: evt.clientX,
+                startY: evt.clientY,
+                lastX: evt.clientX,
+                lastY: evt.clientY,
+                pointerStart: minutesAt(evt.clientY),
+                start: event ? this.plannerManager.timeToMinutes(event.startTime) : null,
+                end: event ? this.plannerManager.timeToMinutes(event.endTime) : null,
+                started: false,
+                holdTimer: null,
+                range: null
+            };
+            if (!drag.isMouse) {
+                drag.holdTimer = setTimeout(begin, HOLD_DELAY);
+            }
+        });
+
+        window.addEventListener('pointermove', (evt) => {
+            if (!drag || evt.pointerId !== drag.pointerId) return;
+            drag.lastX = evt.clientX;
+            drag.lastY = evt.clientY;
+
+            if (!drag.started) {
+                const distance = Math.hypot(evt.clientX - drag.startX, evt.clientY - drag.startY);
+                if (drag.isMouse && distance > 4) {
+                    begin();
+                } else if (!drag.isMouse && distance > 10) {
+                    // Moved before the hold finished: let the planner scroll
+                    cancel();
+                }
+                return;
+            }
+            evt.preventDefault();
+            update(evt.clientX, evt.clientY);
+        });
+
+        window.addEventListener('pointerup', (evt) => {
+            if (drag && evt.pointerId === drag.pointerId) finish();
+        });
+
+        window.addEventListener('pointercancel', (evt) => {
+            if (drag && evt.pointerId === drag.pointerId) cancel();
+        });
+
+        document.addEventListener('keydown', (evt) => {
+            if (evt.key === 'Escape' && drag) cancel();
+        });
+
+        // Keep a touch drag from scrolling the page or opening the long-press menu
+        container.addEventListener('touchmove', (evt) => {
+            if (drag && drag.started) evt.preventDefault();
+        }, { passive: false });
+
+        container.addEventListener('contextmenu', (evt) => {
+            if (drag && !drag.isMouse) evt.preventDefault();
+        });
+    }
+
     formatTimeRange(startTime, endTime) {
         const [startHours, startMinutes] = startTime.split(':').map(Number);
         const [endHours, endMinutes] = endTime.split(':').map(Number);
@@ -1500,11 +5290,11 @@ class HabitTrackerApp {
             const indicator = document.getElementById('current-time-indicator');
             const label = document.getElementById('current-time-label');
             
-            // Only show for today
+            // Only show in today's column
             const today = this.plannerManager.formatDate(new Date());
-            const viewingDate = this.plannerManager.formatDate(this.plannerManager.currentDate);
+            const column = indicator.parentElement;
             
-            if (today !== viewingDate) {
+            if (!column || column.dataset.date !== today) {
                 indicator.classList.remove('visible');
                 return;
             }
@@ -1527,7 +5317,7 @@ class HabitTrackerApp {
         this.plannerManager.timeUpdateInterval = setInterval(updateIndicator, 60000);
     }
 
-    showPlannerEventModal(eventId = null, defaultStartTime = null) {
+    showPlannerEventModal(eventId = null, defaultStartTime = null, defaultEndTime = null, date = null) {
         const modal = document.getElementById('planner-event-modal');
         const form = document.getElementById('planner-event-form');
         const title = document.getElementById('planner-event-modal-title');
@@ -1544,20 +5334,29 @@ class HabitTrackerApp {
                 document.getElementById('event-category').value = event.category;
                 document.getElementById('event-notes').value = event.notes || '';
                 form.dataset.editingId = eventId;
+                form.dataset.date = event.date;
                 deleteBtn.style.display = 'block';
                 
                 // Calculate and display duration based on existing start and end times
                 this.updatePlannerEventTimes('start');
+                this.setPlannerOutcomeFields(event);
             }
         } else {
             // Add mode
             title.textContent = 'Add Event';
             form.reset();
             delete form.dataset.editingId;
+            form.dataset.date = date || this.plannerManager.formatDate(this.plannerManager.currentDate);
             deleteBtn.style.display = 'none';
+            this.setPlannerOutcomeFields(null);
             
             // Set default times if provided
-            if (defaultStartTime) {
+            if (defaultStartTime && defaultEndTime) {
+                // A range dragged out on the grid
+                document.getElementById('event-start-time').value = defaultStartTime;
+                document.getElementById('event-end-time').value = defaultEndTime;
+                this.updatePlannerEventTimes('end');
+            } else if (defaultStartTime) {
                 document.getElementById('event-start-time').value = defaultStartTime;
                 
                 // Calculate end time (1 hour later, but not beyond 23:00, and strictly after start)
@@ -1594,10 +5393,58 @@ class HabitTrackerApp {
             }
         }
         
+        this.updatePlannerConflictWarning();
         modal.classList.add('active');
         document.getElementById('event-title').focus();
     }
 
+    // Logging what happened is offered once a block has started
+    setPlannerOutcomeFields(event) {
+        const started = !!event && (this.plannerManager.isEventPast(event) || this.plannerManager.isEventCurrent(event));
+        const status = started && event.status ? event.status : '';
+        document.getElementById('planner-outcome-group').style.display = started ? 'block' : 'none';
+        document.querySelectorAll('input[name="planner-outcome"]').forEach(input => {
+            input.checked = input.value === status;
+        });
+        document.getElementById('planner-actual-start').value = event ? event.actualStart || event.startTime : '';
+        document.getElementById('planner-actual-end').value = event ? event.actualEnd || event.endTime : '';
+        this.updatePlannerOutcomeFields();
+    }
+
+    updatePlannerOutcomeFields() {
+        const status = document.querySelector('input[name="planner-outcome"]:checked').value;
+        document.getElementById('planner-actual-times').style.display = status === 'done' || status === 'shifted' ? 'flex' : 'none';
+    }
+
+    // Warn when the times in the planner event form overlap another block that day
+    updatePlannerConflictWarning() {
+        const form = document.getElementById('planner-event-form');
+        const warning = document.getElementById('planner-conflict-warning');
+        const startTime = document.getElementById('event-start-time').value;
+        const endTime = document.getElementById('event-end-time').value;
+        const editingId = form.dataset.editingId || null;
+
+        const conflicts = startTime && endTime
+            ? this.plannerManager.getConflicts(form.dataset.date, startTime, endTime, editingId)
+            : [];
+
+        if (conflicts.length === 0) {
+            warning.style.display = 'none';
+            warning.innerHTML = '';
+            return;
+        }
+
+        warning.innerHTML = `
+            <strong>⚠️ Overlaps with ${conflicts.length === 1 ? 'another event' : `${conflicts.length} events`}</strong>
+            <ul>
+                ${conflicts.map(event => `
+                    <li>${this.escapeHtml(event.title)} · ${this.formatTimeRange(event.startTime, event.endTime)}</li>
+                `).join('')}
+            </ul>
+        `;
+        warning.style.display = 'block';
+    }
+
     updatePlannerEventTimes(changedField) {
         const startTimeInput = document.getElementById('event-start-time');
         const endTimeInput = document.getElementById('event-end-time');
@@ -1685,13 +5532,257 @@ class HabitTrackerApp {
             } else if (!duration || duration <= 0) {
                 display.textContent = '';
             }
-        } finally {
-            this._isUpdating = false;
+        } finally {
+            this._isUpdating = false;
+        }
+
+        this.updatePlannerConflictWarning();
+    }
+
+    // e.g. "Sunday, October 18"
+    formatPlannerDay(dateStr) {
+        return this.dataManager.parseLocalDate(dateStr).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+
+    async clearPlannerDay() {
+        const dateStr = this.plannerManager.formatDate(this.plannerManager.currentDate);
+        const count = this.plannerManager.getEventsForDate(this.plannerManager.currentDate).length;
+        const label = this.formatPlannerDay(dateStr);
+
+        if (count === 0) {
+            if (window.appEnhancements) {
+                window.appEnhancements.showMessage(`Nothing is planned on ${label}`, 'warning');
+            } else {
+                alert(`Nothing is planned on ${label}`);
+            }
+            return;
+        }
+        if (!confirm(`Remove all ${count} block${count === 1 ? '' : 's'} planned on ${label}?`)) return;
+
+        await this.plannerManager.clearDay(this.plannerManager.currentDate);
+        this.renderPlannerView();
+        this.renderCalendarView();
+        this.refreshDayModal();
+        if (window.appEnhancements) {
+            window.appEnhancements.showMessage(`Cleared ${label}`, 'success');
+        }
+    }
+
+    showDayTemplateModal() {
+        const form = document.getElementById('day-template-form');
+        form.reset();
+        document.getElementById('day-template-date').value = this.plannerManager.formatDate(this.plannerManager.currentDate);
+        this.updateDayTemplateDateSummary();
+        this.renderDayTemplateList();
+        document.getElementById('day-template-modal').classList.add('active');
+        document.getElementById('day-template-name').focus();
+    }
+
+    updateDayTemplateDateSummary() {
+        const dateStr = document.getElementById('day-template-date').value;
+        const summary = document.getElementById('day-template-date-summary');
+        if (!dateStr) {
+            summary.textContent = '';
+            return;
+        }
+        const count = this.plannerManager.getEventsForDate(this.dataManager.parseLocalDate(dateStr)).length;
+        summary.textContent = count === 0
+            ? `Nothing is planned on ${this.formatPlannerDay(dateStr)}`
+            : `${count} block${count === 1 ? '' : 's'} on ${this.formatPlannerDay(dateStr)}`;
+    }
+
+    renderDayTemplateList() {
+        const list = document.getElementById('day-template-list');
+        const templates = [...this.dataManager.data.dayTemplates].sort((a, b) => a.name.localeCompare(b.name));
+
+        if (templates.length === 0) {
+            list.innerHTML = '<div class="empty-state"><p>No day templates yet. Plan a typical day, then save it here.</p></div>';
+            return;
+        }
+
+        list.innerHTML = templates.map(template => {
+            const blocks = [...template.blocks].sort((a, b) => a.startTime.localeCompare(b.startTime));
+            const span = blocks.length > 0
+                ? ` · ${this.formatTimeRange(blocks[0].startTime, blocks.reduce((end, b) => b.endTime > end ? b.endTime : end, blocks[0].endTime))}`
+                : '';
+            return `
+                <div class="setting-item">
+                    <div class="setting-info">
+                        <div class="setting-name">${this.escapeHtml(template.name)}</div>
+                        <div class="setting-detail">${blocks.length} block${blocks.length === 1 ? '' : 's'}${span}</div>
+                    </div>
+                    <div class="setting-actions">
+                        <button type="button" class="btn-secondary-compact apply" data-template-id="${template.id}">Apply</button>
+                        <button type="button" class="btn-icon delete" data-template-id="${template.id}" aria-label="Delete ${this.escapeHtml(template.name)}">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"/>
+                                <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.apply').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.getElementById('day-template-modal').classList.remove('active');
+                this.showPlannerApplyModal({ templateId: btn.dataset.templateId });
+            });
+        });
+
+        list.querySelectorAll('.btn-icon.delete').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const template = this.dataManager.data.dayTemplates.find(t => t.id === btn.dataset.templateId);
+                if (!template || !confirm(`Delete the "${template.name}" template? Days it was applied to keep their blocks.`)) return;
+                await this.plannerManager.deleteDayTemplate(template.id);
+                this.renderDayTemplateList();
+            });
+        });
+    }
+
+    async saveDayTemplate() {
+        const name = document.getElementById('day-template-name').value.trim();
+        const dateStr = document.getElementById('day-template-date').value;
+        if (!name || !dateStr) return;
+
+        const date = this.dataManager.parseLocalDate(dateStr);
+        if (this.plannerManager.getEventsForDate(date).length === 0) {
+            if (window.appEnhancements) {
+                window.appEnhancements.showMessage(`Nothing is planned on ${this.formatPlannerDay(dateStr)} to save`, 'warning');
+            } else {
+                alert(`Nothing is planned on ${this.formatPlannerDay(dateStr)} to save`);
+            }
+            return;
+        }
+        const existing = this.plannerManager.getDayTemplateByName(name);
+        if (existing && !confirm(`Replace the blocks in the "${existing.name}" template?`)) return;
+
+        const template = await this.plannerManager.saveDayTemplate(existing ? existing.name : name, date);
+        document.getElementById('day-template-name').value = '';
+        this.renderDayTemplateList();
+        if (window.appEnhancements) {
+            window.appEnhancements.showMessage(`Saved "${template.name}"`, 'success');
+        }
+    }
+
+    /**
+     * Open the apply modal for a day template or for copying a day
+     * @param {Object} source - { templateId } or { date: 'YYYY-MM-DD' }
+     */
+    showPlannerApplyModal(source) {
+        const form = document.getElementById('planner-apply-form');
+        const title = document.getElementById('planner-apply-title');
+        const sourceText = document.getElementById('planner-apply-source');
+        const submit = document.getElementById('planner-apply-submit');
+        form.reset();
+        delete form.dataset.templateId;
+        delete form.dataset.sourceDate;
+
+        let start = this.plannerManager.formatDate(this.plannerManager.currentDate);
+        if (source.templateId) {
+            const template = this.dataManager.data.dayTemplates.find(t => t.id === source.templateId);
+            if (!template) return;
+            form.dataset.templateId = template.id;
+            title.textContent = `Apply "${template.name}"`;
+            sourceText.textContent = `Adds the template's ${template.blocks.length} block${template.blocks.length === 1 ? '' : 's'} to each day you pick.`;
+            submit.textContent = 'Apply';
+        } else {
+            const count = this.plannerManager.getEventsForDate(this.dataManager.parseLocalDate(source.date)).length;
+            form.dataset.sourceDate = source.date;
+            title.textContent = 'Copy Day';
+            sourceText.textContent = `Copies the ${count} block${count === 1 ? '' : 's'} planned on ${this.formatPlannerDay(source.date)} to each day you pick.`;
+            submit.textContent = 'Copy';
+            start = this.dataManager.shiftLocalDate(source.date, 1);
+        }
+
+        document.getElementById('planner-apply-start').value = start;
+        this.updatePlannerApplySummary();
+        document.getElementById('planner-apply-modal').classList.add('active');
+    }
+
+    getPlannerApplyBlocks() {
+        const form = document.getElementById('planner-apply-form');
+        if (form.dataset.templateId) {
+            const template = this.dataManager.data.dayTemplates.find(t => t.id === form.dataset.templateId);
+            return template ? template.blocks : [];
+        }
+        return this.plannerManager.getDayBlocks(this.dataManager.parseLocalDate(form.dataset.sourceDate));
+    }
+
+    // Dates picked in the apply modal; a copied day is never copied onto itself
+    getPlannerApplyDates() {
+        const form = document.getElementById('planner-apply-form');
+        const start = document.getElementById('planner-apply-start').value;
+        const end = document.getElementById('planner-apply-end').value || start;
+        if (!start || end < start) return [];
+
+        const weekdays = [...document.querySelectorAll('#planner-apply-days input:checked')].map(input => parseInt(input.value));
+        const dates = [];
+        for (let dateStr = start; dateStr <= end && dates.length < 366; dateStr = this.dataManager.shiftLocalDate(dateStr, 1)) {
+            const onPickedDay = end === start || weekdays.includes(this.dataManager.parseLocalDate(dateStr).getDay());
+            if (onPickedDay && dateStr !== form.dataset.sourceDate) dates.push(dateStr);
+        }
+        return dates;
+    }
+
+    updatePlannerApplySummary() {
+        const start = document.getElementById('planner-apply-start').value;
+        const end = document.getElementById('planner-apply-end').value;
+        const summary = document.getElementById('planner-apply-summary');
+        document.getElementById('planner-apply-days-group').style.display = end && end > start ? 'block' : 'none';
+
+        const { conflicts, duplicates, days } = this.plannerManager.getApplyConflicts(this.getPlannerApplyBlocks(), this.getPlannerApplyDates());
+        if (conflicts === 0 && duplicates === 0) {
+            summary.style.display = 'none';
+            summary.innerHTML = '';
+            return;
+        }
+
+        const notes = [];
+        if (conflicts > 0) notes.push(`${conflicts} block${conflicts === 1 ? '' : 's'} overlap${conflicts === 1 ? 's' : ''} what's already planned`);
+        if (duplicates > 0) notes.push(`${duplicates} block${duplicates === 1 ? ' is' : 's are'} already there and will be skipped`);
+        summary.innerHTML = `<strong>⚠️ ${days === 1 ? 'On 1 day' : `Across ${days} days`}:</strong> ${notes.join('; ')}.`;
+        summary.style.display = 'block';
+    }
+
+    async applyPlannerBlocks() {
+        const start = document.getElementById('planner-apply-start').value;
+        const end = document.getElementById('planner-apply-end').value;
+        const dates = this.getPlannerApplyDates();
+        const blocks = this.getPlannerApplyBlocks();
+
+        let problem = null;
+        if (end && end < start) problem = 'The end date must be on or after the start date';
+        else if (dates.length === 0) problem = 'Pick at least one day';
+        else if (blocks.length === 0) problem = 'There are no blocks to add';
+        if (problem) {
+            if (window.appEnhancements) {
+                window.appEnhancements.showMessage(problem, 'warning');
+            } else {
+                alert(problem);
+            }
+            return;
+        }
+
+        const onConflict = document.querySelector('input[name="planner-apply-conflict"]:checked').value;
+        const result = await this.plannerManager.applyBlocks(blocks, dates, onConflict);
+
+        document.getElementById('planner-apply-modal').classList.remove('active');
+        this.renderPlannerView();
+        this.renderCalendarView();
+        this.refreshDayModal();
+
+        let message = `Added ${result.added} block${result.added === 1 ? '' : 's'} to ${dates.length} day${dates.length === 1 ? '' : 's'}`;
+        if (result.replaced > 0) message += `, replacing ${result.replaced}`;
+        if (result.skipped > 0) message += `, skipped ${result.skipped}`;
+        if (window.appEnhancements) {
+            window.appEnhancements.showMessage(message, result.added > 0 ? 'success' : 'warning');
         }
     }
 
     updateEventEndTime() {
-        const startTime = document.getElementById('event-start-time').value;
+        const startTime = document.getElementById('event-time').value;
         const duration = parseInt(document.getElementById('event-duration').value);
         const display = document.getElementById('event-end-time-display');
         
@@ -1709,12 +5800,122 @@ class HabitTrackerApp {
         }
     }
 
+    // Open the calendar event form, for an existing event or a new one on the given date.
+    // Pass the occurrence's original date to edit one occurrence of a recurring event.
+    showEventModal(eventId = null, date = null, occurrenceDate = null) {
+        const modal = document.getElementById('event-modal');
+        const form = document.getElementById('event-form');
+        const event = eventId ? this.dataManager.data.events.find(e => e.id === eventId) : null;
+        const recurrence = event && event.recurrence;
+        const isOccurrence = !!(recurrence && occurrenceDate);
+        // A changed occurrence starts from its own details
+        const details = isOccurrence
+            ? { ...event, date: occurrenceDate, ...(recurrence.overrides || {})[occurrenceDate] }
+            : event;
+
+        form.reset();
+        document.querySelectorAll('#event-form .preset-btn').forEach(btn => btn.classList.remove('active'));
+        document.getElementById('event-modal-title').textContent = event ? 'Edit Event' : 'Add Event';
+
+        if (event) {
+            form.dataset.editingId = event.id;
+            document.getElementById('event-name').value = details.name;
+            document.getElementById('event-description').value = details.description || '';
+            document.getElementById('event-date').value = details.date;
+            document.getElementById('event-time').value = details.startTime;
+            document.getElementById('event-duration').value = details.duration === -1 ? '' : details.duration;
+            document.querySelectorAll('#event-form .preset-btn').forEach(btn => {
+                btn.classList.toggle('active', parseInt(btn.dataset.duration) === details.duration);
+            });
+        } else {
+            delete form.dataset.editingId;
+            document.getElementById('event-date').value = this.dataManager.formatLocalDate(date || new Date());
+        }
+
+        if (isOccurrence) {
+            form.dataset.occurrenceDate = occurrenceDate;
+        } else {
+            delete form.dataset.occurrenceDate;
+        }
+        document.getElementById('event-scope-group').style.display = isOccurrence ? 'block' : 'none';
+        document.getElementById('delete-event').style.display = event ? 'block' : 'none';
+
+        document.getElementById('event-is-recurring').checked = !!recurrence;
+        if (recurrence) {
+            document.getElementById('recurrence-type').value = recurrence.type;
+            document.getElementById('recurrence-interval').value = recurrence.interval || 1;
+            document.querySelectorAll('#recurrence-days-group input[type="checkbox"]').forEach(cb => {
+                cb.checked = (recurrence.daysOfWeek || []).includes(parseInt(cb.value));
+            });
+            document.getElementById('recurrence-monthly-type').value = recurrence.monthlyPattern ? 'pattern' : 'date';
+            if (recurrence.dayOfMonth) {
+                document.getElementById('recurrence-day-of-month').value = recurrence.dayOfMonth;
+            }
+            if (recurrence.monthlyPattern) {
+                document.getElementById('recurrence-pattern-week').value = recurrence.monthlyPattern.week;
+                document.getElementById('recurrence-pattern-day').value = recurrence.monthlyPattern.dayOfWeek;
+            }
+            document.getElementById('recurrence-end-type').value = recurrence.endDate ? 'on' : recurrence.occurrences ? 'after' : 'never';
+            document.getElementById('recurrence-end-date').value = recurrence.endDate || '';
+            document.getElementById('recurrence-occurrences').value = recurrence.occurrences || 10;
+        }
+
+        // Let the existing handlers show the fields that match the values
+        ['event-is-recurring', 'recurrence-type', 'recurrence-monthly-type', 'recurrence-end-type'].forEach(id => {
+            document.getElementById(id).dispatchEvent(new Event('change'));
+        });
+        this.updateEventScopeFields();
+        this.updateEventEndTime();
+
+        modal.classList.add('active');
+        document.getElementById('event-name').focus();
+    }
+
+    // The selected "this / following / all" choice, or 'all' when it doesn't apply
+    getEventScope() {
+        if (!document.getElementById('event-form').dataset.occurrenceDate) return 'all';
+        const checked = document.querySelector('#event-scope-group input[name="event-scope"]:checked');
+        return checked ? checked.value : 'this';
+    }
+
+    // A single occurrence keeps the series' rule, so the repeat options are hidden for it
+    updateEventScopeFields() {
+        const single = this.getEventScope() === 'this';
+        const recurring = document.getElementById('event-is-recurring').checked;
+        document.getElementById('event-recurring-group').style.display = single ? 'none' : 'block';
+        document.getElementById('recurrence-fields').style.display = !single && recurring ? 'block' : 'none';
+    }
+
+    async deleteEventFromModal() {
+        const form = document.getElementById('event-form');
+        const eventId = form.dataset.editingId;
+        if (!eventId) return;
+
+        const scope = this.getEventScope();
+        const messages = {
+            this: 'Delete this occurrence?',
+            following: 'Delete this and all following occurrences?',
+            all: 'Delete this event?'
+        };
+        const event = this.dataManager.data.events.find(e => e.id === eventId);
+        const message = scope === 'all' && event && event.recurrence
+            ? 'Delete this event? Every occurrence of the series will be removed.'
+            : messages[scope];
+        if (!confirm(message)) return;
+
+        await this.dataManager.deleteEvent(eventId, scope, form.dataset.occurrenceDate || null);
+        document.getElementById('event-modal').classList.remove('active');
+        this.renderTodayView();
+        this.renderCalendarView();
+        this.refreshDayModal();
+    }
+
     async saveEvent() {
         const form = document.getElementById('event-form');
         const name = document.getElementById('event-name').value.trim();
         const description = document.getElementById('event-description').value.trim();
         const date = document.getElementById('event-date').value;
-        const startTime = document.getElementById('event-start-time').value;
+        const startTime = document.getElementById('event-time').value;
         const durationInput = document.getElementById('event-duration').value;
         const duration = durationInput === '' ? -1 : parseInt(durationInput);
         const isRecurring = document.getElementById('event-is-recurring').checked;
@@ -1764,7 +5965,10 @@ class HabitTrackerApp {
         
         const editingId = form.dataset.editingId;
         if (editingId) {
-            await this.dataManager.updateEvent(editingId, name, description, date, startTime, duration, recurrence);
+            await this.dataManager.updateEvent(
+                editingId, name, description, date, startTime, duration, recurrence,
+                this.getEventScope(), form.dataset.occurrenceDate || null
+            );
         } else {
             await this.dataManager.addEvent(name, description, date, startTime, duration, recurrence);
         }
@@ -1774,6 +5978,7 @@ class HabitTrackerApp {
         document.getElementById('recurrence-fields').style.display = 'none';
         this.renderTodayView();
         this.renderCalendarView();
+        this.refreshDayModal();
     }
 
     async saveEventAsTemplate() {
@@ -1867,109 +6072,674 @@ class HabitTrackerApp {
                     `${template.duration} min`;
                 
                 return `
-                    <div class="template-item" data-template-id="${template.id}">
-                        <div class="template-name">${template.name}</div>
-                        ${template.description ? `<div class="template-description">${template.description}</div>` : ''}
-                        <div class="template-duration">Duration: ${durationDisplay}</div>
+                    <div class="template-item" data-template-id="${template.id}">
+                        <div class="template-name">${template.name}</div>
+                        ${template.description ? `<div class="template-description">${template.description}</div>` : ''}
+                        <div class="template-duration">Duration: ${durationDisplay}</div>
+                    </div>
+                `;
+            }).join('');
+            
+            // Add click handlers
+            list.querySelectorAll('.template-item').forEach(item => {
+                item.addEventListener('click', () => {
+                    const templateId = item.dataset.templateId;
+                    this.applyTemplate(templateId);
+                });
+            });
+        }
+        
+        modal.classList.add('active');
+    }
+
+    applyTemplate(templateId) {
+        const template = this.dataManager.data.templates.find(t => t.id === templateId);
+        if (template) {
+            document.getElementById('event-name').value = template.name;
+            document.getElementById('event-description').value = template.description || '';
+            document.getElementById('event-duration').value = template.duration === -1 ? '' : template.duration;
+            
+            // Highlight the active preset button
+            const duration = template.duration;
+            document.querySelectorAll('#event-form .preset-btn').forEach(btn => {
+                btn.classList.toggle('active', parseInt(btn.dataset.duration) === duration);
+            });
+            
+            this.updateEventEndTime();
+        }
+        
+        document.getElementById('template-picker-modal').classList.remove('active');
+    }
+
+    // Stats View
+    renderStatsView() {
+        const range = this.statsRange;
+        const days = this.getDateRange(range);
+        const filterIds = this.getHabitFilter();
+        this.renderHabitFilter(document.getElementById('stats-habit-filter'));
+        
+        let greenCount = 0, yellowCount = 0, redCount = 0;
+        
+        days.forEach(date => {
+            const status = this.dataManager.getDayStatus(date, filterIds);
+            if (status === 'green') greenCount++;
+            else if (status === 'yellow') yellowCount++;
+            else if (status === 'red') redCount++;
+        });
+
+        document.getElementById('green-days').textContent = greenCount;
+        document.getElementById('yellow-days').textContent = yellowCount;
+        document.getElementById('red-days').textContent = redCount;
+
+        // Range selector
+        document.querySelectorAll('.range-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.statsRange = btn.dataset.range === 'all' ? ALL_DAYS_RANGE : parseInt(btn.dataset.range);
+                this.renderStatsView();
+            });
+        });
+
+        // Render chart
+        this.renderCompletionChart(days);
+
+        // Group stats
+        this.renderGroupStats(days);
+
+        // Habit stats - only show non-archived habits
+        const habitStats = document.getElementById('habit-stats');
+        const activeHabits = this.filterHabits(this.dataManager.data.habits.filter(h => !h.archived));
+        if (activeHabits.length === 0) {
+            habitStats.innerHTML = '<div class="empty-state"><p>No habits to show stats for.</p></div>';
+        } else {
+            habitStats.innerHTML = activeHabits.map(habit => {
+                let completed = 0;
+                let total = 0;
+                
+                const isMeasurable = this.dataManager.isMeasurableHabit(habit);
+                const isNegative = this.dataManager.isNegativeHabit(habit);
+                
+                days.forEach(date => {
+                    const dayData = this.dataManager.getDayData(date);
+                    // Every tracked day counts for a negative habit, since a clean day has nothing logged
+                    const recorded = isNegative
+                        ? this.dataManager.isHabitTrackedOn(habit, date)
+                        : dayData.habits[habit.id] !== undefined
+                            || (isMeasurable && this.dataManager.getHabitValue(habit, date) > 0);
+                    // Only scheduled days count toward the completion rate, minus paused and frozen ones
+                    if (recorded && this.dataManager.isHabitCountedOn(habit, date)) {
+                        total++;
+                        if (this.dataManager.isHabitSuccessful(habit, date)) completed++;
+                    }
+                });
+
+                const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+                // Slip count and longest clean run for negative habits
+                let cleanHtml = '';
+                if (isNegative) {
+                    const slips = days.filter(date => this.dataManager.isHabitComplete(habit, date)).length;
+                    const longest = window.appEnhancements ? window.appEnhancements.getHabitStreak(habit.id).longest : 0;
+                    cleanHtml = `
+                        <div class="habit-stat-detail">
+                            ${slips} slip${slips === 1 ? '' : 's'}${longest ? ` · Longest clean run ${longest} day${longest === 1 ? '' : 's'}` : ''}
+                        </div>
+                    `;
+                }
+
+                // Amount summary for measurable habits
+                let amountHtml = '';
+                if (isMeasurable) {
+                    const amounts = days.map(date => this.dataManager.getHabitValue(habit, date));
+                    const loggedDays = amounts.filter(value => value > 0).length;
+                    const totalAmount = amounts.reduce((sum, value) => sum + value, 0);
+                    const average = loggedDays > 0 ? Math.round((totalAmount / loggedDays) * 10) / 10 : 0;
+                    const unit = this.dataManager.getHabitUnit(habit);
+                    
+                    amountHtml = `
+                        <div class="habit-stat-detail">
+                            Avg ${average}${unit ? ' ' + unit : ''}/day · Total ${Math.round(totalAmount * 10) / 10}${unit ? ' ' + unit : ''}
+                        </div>
+                        <canvas class="habit-amount-chart" data-habit-id="${habit.id}"></canvas>
+                    `;
+                }
+
+                return `
+                    <div class="habit-stat-item">
+                        <div class="habit-stat-header">
+                            <button type="button" class="habit-stat-name heatmap-link" data-habit-id="${habit.id}" title="Year heatmap">${habit.name}</button>
+                            <span class="habit-stat-rate">${rate}%${isNegative ? ' clean' : ''}</span>
+                        </div>
+                        <div class="habit-stat-bar">
+                            <div class="habit-stat-fill" style="width: ${rate}%"></div>
+                        </div>
+                        ${cleanHtml}
+                        ${amountHtml}
+                    </div>
+                `;
+            }).join('');
+
+            habitStats.querySelectorAll('.heatmap-link').forEach(link => {
+                link.addEventListener('click', () => this.showHeatmapModal(link.dataset.habitId));
+            });
+
+            habitStats.querySelectorAll('.habit-amount-chart').forEach(canvas => {
+                const habit = activeHabits.find(h => h.id === canvas.dataset.habitId);
+                this.renderAmountChart(canvas, habit, days);
+            });
+        }
+
+        this.renderTrackingStats(days);
+        this.renderInsights(days);
+    }
+
+    // Top relationships between habits and tracking fields for the selected range
+    renderInsights(days) {
+        const section = document.getElementById('insights-section');
+        const list = document.getElementById('insights-list');
+        const { habits, trackingFields } = this.dataManager.data;
+        const numericFields = trackingFields.filter(f => this.dataManager.isNumericTrackingType(f.type) || f.type === 'time');
+        
+        if (numericFields.length === 0 || (habits.length === 0 && numericFields.length < 2)) {
+            section.style.display = 'none';
+            return;
+        }
+        
+        section.style.display = 'block';
+        const insights = this.dataManager.getCorrelationInsights(days).slice(0, INSIGHT_MAX_SHOWN);
+        
+        if (insights.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>No clear patterns yet. Insights need at least ${INSIGHT_MIN_SAMPLES} days on each side of a comparison — try a longer range.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+        list.innerHTML = insights.map(insight => {
+            const field = trackingFields.find(f => f.id === insight.fieldId);
+            const fieldName = `<strong>${this.escapeHtml(field.name)}</strong>`;
+            const strength = `r = ${insight.correlation.toFixed(2).replace('-', '−')}`;
+            let text, detail;
+            
+            if (insight.kind === 'habit') {
+                const habit = habits.find(h => h.id === insight.habitId);
+                const negative = this.dataManager.isNegativeHabit(habit);
+                const habitName = `<strong>${this.escapeHtml(habit.name)}</strong>`;
+                const withAverage = this.formatInsightValue(field, insight.meanWith);
+                const withoutAverage = this.formatInsightValue(field, insight.meanWithout);
+                const samples = `${plural(insight.samplesWith)} vs ${plural(insight.samplesWithout)}`;
+                
+                if (insight.lag === 0) {
+                    text = `On days you ${negative ? 'slipped on' : 'completed'} ${habitName}, average ${fieldName} was ${withAverage} vs ${withoutAverage}`;
+                    detail = `${samples} · ${strength}`;
+                } else {
+                    text = `${habitName}${negative ? ' slip' : ''} yesterday → ${fieldName} <span class="insight-effect">${this.formatInsightDifference(field, insight.difference)}</span>`;
+                    detail = `${withAverage} the day after vs ${withoutAverage} otherwise · ${samples} · ${strength}`;
+                }
+            } else {
+                const source = trackingFields.find(f => f.id === insight.sourceFieldId);
+                const sourceName = `<strong>${this.escapeHtml(source.name)}</strong>`;
+                const direction = this.describeInsightDirection(field, insight.correlation > 0);
+                text = insight.lag === 0
+                    ? `${this.describeInsightDirection(source, true, true)} ${sourceName} goes with ${direction} ${fieldName}`
+                    : `${this.describeInsightDirection(source, true, true)} ${sourceName} yesterday → ${direction} ${fieldName} today`;
+                detail = `${plural(insight.samples)} · ${strength}`;
+            }
+            
+            return `
+                <div class="habit-stat-item">
+                    <div class="insight-text">${text}</div>
+                    <div class="habit-stat-detail">${detail}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    formatInsightValue(field, value) {
+        const rounded = Math.round(value * 10) / 10;
+        if (this.dataManager.isDurationField(field)) return this.formatDuration(value);
+        switch (field.type) {
+            case 'time': {
+                const minutes = Math.round(value);
+                return this.plannerManager.formatTime12h(Math.floor(minutes / 60), minutes % 60);
+            }
+            case 'rating':
+                return `${rounded}/${field.scale || 5}`;
+            default:
+                return `${rounded}${field.unit ? ' ' + field.unit : ''}`;
+        }
+    }
+
+    // Signed change such as "+0.9", "−0.8 h", "−45m" or "30m later"
+    formatInsightDifference(field, difference) {
+        const sign = difference < 0 ? '−' : '+';
+        const size = Math.abs(difference);
+        if (this.dataManager.isDurationField(field)) return `${sign}${this.formatDuration(size)}`;
+        switch (field.type) {
+            case 'time':
+                return `${this.formatDuration(size)} ${difference < 0 ? 'earlier' : 'later'}`;
+            default:
+                return `${sign}${Math.round(size * 10) / 10}${field.unit ? ' ' + field.unit : ''}`;
+        }
+    }
+
+    describeInsightDirection(field, increase, capitalize = false) {
+        const word = field.type === 'time'
+            ? (increase ? 'later' : 'earlier')
+            : (increase ? 'higher' : 'lower');
+        return capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+    }
+
+    // Per-field panel for the selected range: a summary aggregated according to the
+    // field type, plus a trend chart, distribution, time-of-day scatter or recent entries
+    renderTrackingStats(days) {
+        const section = document.getElementById('tracking-stats-section');
+        const trackingStats = document.getElementById('tracking-stats');
+        const fields = this.dataManager.data.trackingFields;
+        
+        if (fields.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        
+        section.style.display = 'block';
+        const round = (n) => Math.round(n * 10) / 10;
+        const formatMinutes = (minutes) => {
+            const rounded = Math.round(minutes);
+            return this.plannerManager.formatTime12h(Math.floor(rounded / 60), rounded % 60);
+        };
+        
+        trackingStats.innerHTML = fields.map(field => {
+            const summary = this.dataManager.getTrackingSummary(field, days);
+            const unit = field.unit ? ' ' + field.unit : '';
+            const formatValue = (value) => (this.dataManager.isDurationField(field) ? this.formatDuration(value) : `${round(value)}${unit}`);
+            let headline = '';
+            let detail = '';
+            let barPercent = null;
+            
+            if (summary.count === 0) {
+                headline = '—';
+                detail = 'Nothing recorded in this range';
+            } else {
+                const spread = `Min ${formatValue(summary.min)} · Max ${formatValue(summary.max)} · Mean ${formatValue(summary.average)} · Median ${formatValue(summary.median)}`;
+                switch (field.type) {
+                    case 'number':
+                        headline = `Avg ${round(summary.average)}${unit}`;
+                        detail = `${spread} · ${summary.count} day${summary.count === 1 ? '' : 's'} logged`;
+                        break;
+                    case 'formula':
+                        headline = `Avg ${formatValue(summary.average)}`;
+                        detail = `${spread} · ${summary.count} day${summary.count === 1 ? '' : 's'} calculated`;
+                        break;
+                    case 'counter':
+                        headline = `${round(summary.total)}${unit} total`;
+                        detail = `${spread} · ${summary.count} day${summary.count === 1 ? '' : 's'} logged`;
+                        break;
+                    case 'rating': {
+                        const scale = field.scale || 5;
+                        headline = `Avg ${round(summary.average)}/${scale}`;
+                        detail = `${spread} · ${summary.count} rating${summary.count === 1 ? '' : 's'}`;
+                        barPercent = Math.round((summary.average / scale) * 100);
+                        break;
+                    }
+                    case 'duration':
+                        headline = `${this.formatDuration(summary.total)} total`;
+                        detail = spread;
+                        break;
+                    case 'boolean':
+                        headline = `${Math.round((summary.yes / summary.count) * 100)}% Yes`;
+                        break;
+                    case 'select':
+                    case 'multiselect':
+                        headline = this.escapeHtml(summary.counts[0][0]);
+                        break;
+                    case 'time':
+                        headline = `Avg ${formatMinutes(summary.average)}`;
+                        detail = `Earliest ${formatMinutes(summary.min)} · Latest ${formatMinutes(summary.max)} · Median ${formatMinutes(summary.median)} · ${summary.count} day${summary.count === 1 ? '' : 's'} logged`;
+                        break;
+                    default:
+                        headline = `${summary.count} entr${summary.count === 1 ? 'y' : 'ies'}`;
+                        break;
+                }
+            }
+            
+            // Fields with a good range show how often they hit it
+            let headlineClass = '';
+            if (summary.inRange !== undefined && summary.count > 0) {
+                barPercent = Math.round((summary.inRange / summary.count) * 100);
+                detail += ` · ${summary.inRange}/${summary.count} in good range (${this.describeGoodRange(field)})`;
+                const averageStatus = this.dataManager.getTrackingRangeStatus(field, summary.average);
+                headlineClass = averageStatus ? `range-${averageStatus}` : '';
+            }
+            
+            return `
+                <div class="habit-stat-item">
+                    <div class="habit-stat-header">
+                        <span class="habit-stat-name">${field.name}</span>
+                        <span class="habit-stat-rate ${headlineClass}">${headline}</span>
+                    </div>
+                    ${barPercent !== null ? `
+                        <div class="habit-stat-bar">
+                            <div class="habit-stat-fill" style="width: ${barPercent}%"></div>
+                        </div>
+                    ` : ''}
+                    ${detail ? `<div class="habit-stat-detail">${detail}</div>` : ''}
+                    ${summary.count > 0 ? this.renderTrackingFieldChart(field, summary, days) : ''}
+                </div>
+            `;
+        }).join('');
+        
+        // Moving averages look back before the range so they start out meaningful
+        const lookbackDays = this.getDateRange(days.length + 29);
+        trackingStats.querySelectorAll('.tracking-chart').forEach(canvas => {
+            const field = fields.find(f => f.id === canvas.dataset.fieldId);
+            if (field.type === 'time') {
+                this.renderTimeScatterChart(canvas, this.dataManager.getTrackingSeries(field, days));
+                return;
+            }
+            const extended = this.dataManager.getTrackingSeries(field, lookbackDays);
+            const skip = extended.length - days.length;
+            this.renderTrackingLineChart(canvas, field, {
+                values: extended.slice(skip),
+                average7: this.dataManager.calculateMovingAverage(extended, 7).slice(skip),
+                average30: this.dataManager.calculateMovingAverage(extended, 30).slice(skip)
+            });
+        });
+    }
+
+    renderTrackingFieldChart(field, summary, days) {
+        switch (field.type) {
+            case 'number':
+            case 'rating':
+            case 'counter':
+            case 'duration':
+            case 'formula':
+                return `
+                    <canvas class="tracking-chart" data-field-id="${field.id}"></canvas>
+                    <div class="chart-legend">
+                        <span><i class="legend-line daily"></i>Daily</span>
+                        <span><i class="legend-line average-7"></i>7-day avg</span>
+                        <span><i class="legend-line average-30"></i>30-day avg</span>
                     </div>
                 `;
-            }).join('');
-            
-            // Add click handlers
-            list.querySelectorAll('.template-item').forEach(item => {
-                item.addEventListener('click', () => {
-                    const templateId = item.dataset.templateId;
-                    this.applyTemplate(templateId);
+            case 'time':
+                return `<canvas class="tracking-chart" data-field-id="${field.id}"></canvas>`;
+            case 'boolean':
+                return this.renderDistribution([['Yes', summary.yes], ['No', summary.count - summary.yes]], summary.count);
+            case 'select':
+            case 'multiselect': {
+                // Defined options in order, including unpicked ones, then any retired options
+                const counts = new Map(summary.counts);
+                const rows = (field.options || []).map(option => [option, counts.get(option) || 0]);
+                summary.counts.forEach(([option, count]) => {
+                    if (!(field.options || []).includes(option)) rows.push([option, count]);
                 });
-            });
+                return this.renderDistribution(rows, summary.count);
+            }
+            case 'text': {
+                // Most recent entries first
+                const entries = days.slice().reverse()
+                    .map(date => ({ date, value: this.dataManager.data.days[this.dataManager.formatDate(date)]?.tracking?.[field.id] }))
+                    .filter(entry => !this.dataManager.isTrackingValueEmpty(entry.value))
+                    .slice(0, 3);
+                return `
+                    <div class="tracking-history">
+                        ${entries.map(entry => `
+                            <div class="tracking-history-entry">
+                                <span class="tracking-history-date">${entry.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                                <span>${this.escapeHtml(entry.value)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }
+            default:
+                return '';
         }
-        
-        modal.classList.add('active');
     }
 
-    applyTemplate(templateId) {
-        const template = this.dataManager.data.templates.find(t => t.id === templateId);
-        if (template) {
-            document.getElementById('event-name').value = template.name;
-            document.getElementById('event-description').value = template.description || '';
-            document.getElementById('event-duration').value = template.duration === -1 ? '' : template.duration;
-            
-            // Highlight the active preset button
-            const duration = template.duration;
-            document.querySelectorAll('#event-form .preset-btn').forEach(btn => {
-                btn.classList.toggle('active', parseInt(btn.dataset.duration) === duration);
-            });
-            
-            this.updateEventEndTime();
+    // Share of logged days per option; multi-select rows can add up to more than 100%
+    renderDistribution(rows, total) {
+        return `
+            <div class="tracking-distribution">
+                ${rows.map(([label, count]) => {
+                    const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+                    return `
+                        <div class="distribution-row">
+                            <span class="distribution-label">${this.escapeHtml(label)}</span>
+                            <div class="habit-stat-bar">
+                                <div class="habit-stat-fill" style="width: ${percent}%"></div>
+                            </div>
+                            <span class="distribution-count">${count}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Completion across each group's habits for the selected range
+    renderGroupStats(days) {
+        const section = document.getElementById('group-stats-section');
+        const groupStats = document.getElementById('group-stats');
+        
+        if (this.dataManager.data.habitGroups.length === 0) {
+            section.style.display = 'none';
+            return;
         }
         
-        document.getElementById('template-picker-modal').classList.remove('active');
+        section.style.display = 'block';
+        const activeHabits = this.filterHabits(this.dataManager.data.habits.filter(h => !h.archived));
+        const sections = this.dataManager.groupHabits(activeHabits);
+        
+        if (sections.length === 0) {
+            groupStats.innerHTML = '<div class="empty-state"><p>No habits to show stats for.</p></div>';
+            return;
+        }
+        
+        groupStats.innerHTML = sections.map(({ group, habits }) => {
+            let done = 0;
+            let total = 0;
+            days.forEach(date => {
+                const completion = this.dataManager.getGroupCompletion(habits, date);
+                done += completion.done;
+                total += completion.total;
+            });
+            
+            const rate = total > 0 ? Math.round((done / total) * 100) : 0;
+            const color = group ? group.color : 'var(--text-secondary)';
+            
+            return `
+                <div class="habit-stat-item">
+                    <div class="habit-stat-header">
+                        <span class="habit-stat-name">${group ? `${group.icon ? this.escapeHtml(group.icon) + ' ' : ''}${this.escapeHtml(group.name)}` : 'Other'}</span>
+                        <span class="habit-stat-rate">${rate}%</span>
+                    </div>
+                    <div class="habit-stat-bar">
+                        <div class="habit-stat-fill" style="width: ${rate}%; background: ${color}"></div>
+                    </div>
+                    <div class="habit-stat-detail">
+                        ${done} of ${total} check-ins · ${habits.length} habit${habits.length === 1 ? '' : 's'}
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    // Stats View
-    renderStatsView() {
-        const range = this.statsRange;
-        const days = this.getDateRange(range);
-        
-        let greenCount = 0, yellowCount = 0, redCount = 0;
+    // Daily amounts for a measurable habit with the current target as a dashed line
+    renderAmountChart(canvas, habit, days) {
+        const ctx = canvas.getContext('2d');
         
-        days.forEach(date => {
-            const status = this.dataManager.getDayStatus(date);
-            if (status === 'green') greenCount++;
-            else if (status === 'yellow') yellowCount++;
-            else if (status === 'red') redCount++;
+        canvas.width = canvas.offsetWidth;
+        canvas.height = AMOUNT_CHART_HEIGHT;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 8;
+
+        ctx.clearRect(0, 0, width, height);
+
+        if (days.length === 0) return;
+
+        const values = days.map(date => this.dataManager.getHabitValue(habit, date));
+        const target = this.dataManager.getHabitTarget(habit);
+        const maxValue = Math.max(...values, target, 1);
+
+        const barWidth = (width - padding * 2) / values.length;
+        const maxHeight = height - padding * 2;
+
+        values.forEach((value, index) => {
+            const barHeight = (value / maxValue) * maxHeight;
+            const x = padding + index * barWidth;
+            const y = height - padding - barHeight;
+            
+            ctx.fillStyle = value >= target ? '#22c55e' : '#a5b4fc';
+            ctx.fillRect(x, y, Math.max(barWidth - 2, 1), barHeight);
         });
 
-        document.getElementById('green-days').textContent = greenCount;
-        document.getElementById('yellow-days').textContent = yellowCount;
-        document.getElementById('red-days').textContent = redCount;
+        // Target line
+        const targetY = height - padding - (target / maxValue) * maxHeight;
+        ctx.strokeStyle = '#6366f1';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding, targetY);
+        ctx.lineTo(width - padding, targetY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
 
-        // Range selector
-        document.querySelectorAll('.range-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                document.querySelectorAll('.range-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.statsRange = btn.dataset.range === 'all' ? ALL_DAYS_RANGE : parseInt(btn.dataset.range);
-                this.renderStatsView();
+    // Daily values with 7- and 30-day moving averages, over the good range band if the field has one
+    renderTrackingLineChart(canvas, field, series) {
+        const ctx = canvas.getContext('2d');
+        
+        canvas.width = canvas.offsetWidth;
+        canvas.height = TRACKING_CHART_HEIGHT;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 8;
+        const labelWidth = 36;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const { values, average7, average30 } = series;
+        const known = [...values, ...average7, ...average30].filter(v => v !== null);
+        if (known.length === 0) return;
+        
+        let min = field.type === 'rating' ? 1 : Math.min(...known);
+        let max = field.type === 'rating' ? (field.scale || 5) : Math.max(...known);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        
+        const plotLeft = padding + labelWidth;
+        const plotWidth = width - plotLeft - padding;
+        const plotHeight = height - padding * 2;
+        const xFor = (index) => plotLeft + (values.length === 1 ? plotWidth / 2 : (index / (values.length - 1)) * plotWidth);
+        const yFor = (value) => height - padding - ((value - min) / (max - min)) * plotHeight;
+        
+        // Good range band, clipped to the plot
+        if (field.goodRange) {
+            const top = yFor(Math.min(field.goodRange.max ?? max, max));
+            const bottom = yFor(Math.max(field.goodRange.min ?? min, min));
+            if (bottom > top) {
+                ctx.fillStyle = 'rgba(34, 197, 94, 0.12)';
+                ctx.fillRect(plotLeft, top, plotWidth, bottom - top);
+            }
+        }
+        
+        // Axis labels for the top and bottom of the scale
+        const formatLabel = (value) => (this.dataManager.isDurationField(field) ? this.formatDuration(value) : `${Math.round(value * 10) / 10}`);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatLabel(max), padding, padding);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(formatLabel(min), padding, height - padding);
+        
+        // Lines break where there's no data
+        const drawLine = (points, color, lineWidth, dash = []) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            let drawing = false;
+            points.forEach((value, index) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                if (drawing) {
+                    ctx.lineTo(xFor(index), yFor(value));
+                } else {
+                    ctx.moveTo(xFor(index), yFor(value));
+                    drawing = true;
+                }
             });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        
+        drawLine(values, '#a5b4fc', 1);
+        ctx.fillStyle = '#a5b4fc';
+        values.forEach((value, index) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(xFor(index), yFor(value), 2, 0, Math.PI * 2);
+            ctx.fill();
         });
+        drawLine(average30, '#f59e0b', 2, [4, 3]);
+        drawLine(average7, '#6366f1', 2);
+    }
 
-        // Render chart
-        this.renderCompletionChart(days);
+    // One dot per logged day, positioned by the time of day recorded
+    renderTimeScatterChart(canvas, minutes) {
+        const ctx = canvas.getContext('2d');
+        
+        canvas.width = canvas.offsetWidth;
+        canvas.height = TRACKING_CHART_HEIGHT;
 
-        // Habit stats - only show non-archived habits
-        const habitStats = document.getElementById('habit-stats');
-        const activeHabits = this.dataManager.data.habits.filter(h => !h.archived);
-        if (activeHabits.length === 0) {
-            habitStats.innerHTML = '<div class="empty-state"><p>No habits to show stats for.</p></div>';
-        } else {
-            habitStats.innerHTML = activeHabits.map(habit => {
-                let completed = 0;
-                let total = 0;
-                
-                days.forEach(date => {
-                    const dayData = this.dataManager.getDayData(date);
-                    if (dayData.habits[habit.id] !== undefined) {
-                        total++;
-                        if (dayData.habits[habit.id]) completed++;
-                    }
-                });
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 8;
+        const labelWidth = 52;
 
-                const rate = total > 0 ? Math.round((completed / total) * 100) : 0;
+        ctx.clearRect(0, 0, width, height);
 
-                return `
-                    <div class="habit-stat-item">
-                        <div class="habit-stat-header">
-                            <span class="habit-stat-name">${habit.name}</span>
-                            <span class="habit-stat-rate">${rate}%</span>
-                        </div>
-                        <div class="habit-stat-bar">
-                            <div class="habit-stat-fill" style="width: ${rate}%"></div>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        }
+        const known = minutes.filter(m => m !== null);
+        if (known.length === 0) return;
+        
+        // Pad the visible span by half an hour on each side
+        const min = Math.max(Math.min(...known) - 30, 0);
+        const max = Math.min(Math.max(...known) + 30, 24 * 60 - 1);
+        
+        const plotLeft = padding + labelWidth;
+        const plotWidth = width - plotLeft - padding;
+        const plotHeight = height - padding * 2;
+        const xFor = (index) => plotLeft + (minutes.length === 1 ? plotWidth / 2 : (index / (minutes.length - 1)) * plotWidth);
+        const yFor = (value) => padding + ((value - min) / (max - min)) * plotHeight;
+        
+        const formatLabel = (value) => this.plannerManager.formatTime12h(Math.floor(value / 60), value % 60);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(formatLabel(min), padding, padding);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(formatLabel(max), padding, height - padding);
+        
+        ctx.fillStyle = '#6366f1';
+        minutes.forEach((value, index) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(xFor(index), yFor(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     renderCompletionChart(days) {
@@ -1990,12 +6760,13 @@ class HabitTrackerApp {
         if (days.length === 0) return;
 
         // Calculate data - only count non-archived habits
+        const habits = this.filterHabits(this.dataManager.data.habits);
         const data = days.map(date => {
-            const dayData = this.dataManager.getDayData(date);
-            const activeHabits = this.dataManager.data.habits.filter(h => !h.archived);
-            const total = activeHabits.length;
+            const dueHabits = habits.filter(h => this.dataManager.isHabitCountedOn(h, date));
+            const total = dueHabits.length;
             if (total === 0) return 0;
-            const completed = activeHabits.filter(h => dayData.habits[h.id]).length;
+            // Measurable habits contribute their partial progress, negative habits count clean days
+            const completed = dueHabits.reduce((sum, h) => sum + this.dataManager.getHabitProgress(h, date), 0);
             return (completed / total) * 100;
         });
 
@@ -2049,7 +6820,8 @@ class HabitTrackerApp {
             // Active habits
             if (activeHabits.length > 0) {
                 habitsHtml += '<div class="subsection-label">Active Habits</div>';
-                habitsHtml += activeHabits.map(habit => {
+                habitsHtml += '<div class="sortable-list" data-sort-list="habits">';
+                habitsHtml += activeHabits.map((habit, index) => {
                     let progressInfo = '';
                     if (habit.isBuildUpHabit && habit.buildUpConfig) {
                         const config = habit.buildUpConfig;
@@ -2075,13 +6847,28 @@ class HabitTrackerApp {
                     }
                     
                     return `
-                        <div class="setting-item ${habit.isBuildUpHabit ? 'build-up-habit' : ''}">
+                        <div class="setting-item sortable-item ${habit.isBuildUpHabit ? 'build-up-habit' : ''}" data-sort-id="${habit.id}">
+                            ${this.renderDragHandle(habit.name)}
                             <div class="setting-info">
                                 <div class="setting-name">${habit.name}</div>
+                                ${this.renderGroupTag(habit)}
+                                <div class="setting-detail">Schedule: ${this.describeSchedule(habit.schedule)}</div>
+                                ${this.dataManager.getHabitTimeOfDay(habit) !== 'anytime' ? `<div class="setting-detail">Time of day: ${this.dataManager.getTimeOfDaySection(this.dataManager.getHabitTimeOfDay(habit)).label}</div>` : ''}
+                                ${this.dataManager.isNegativeHabit(habit) ? '<div class="setting-detail">Breaking a bad habit · slips are logged</div>' : ''}
+                                ${this.dataManager.isMeasurableHabit(habit) ? `<div class="setting-detail">Target: ${this.dataManager.getHabitTarget(habit)}${this.dataManager.getHabitUnit(habit) ? ' ' + this.dataManager.getHabitUnit(habit) : ''}/day</div>` : ''}
                                 ${descriptionHtml}
                                 ${progressInfo}
                             </div>
                             <div class="setting-actions">
+                                ${this.renderMoveButtons(index, activeHabits.length)}
+                                <button class="btn-icon heatmap" data-habit-id="${habit.id}" title="Year heatmap" aria-label="Year heatmap">
+                                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <rect x="3" y="3" width="7" height="7"/>
+                                        <rect x="14" y="3" width="7" height="7"/>
+                                        <rect x="3" y="14" width="7" height="7"/>
+                                        <rect x="14" y="14" width="7" height="7"/>
+                                    </svg>
+                                </button>
                                 <button class="btn-icon edit" data-habit-id="${habit.id}">
                                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
@@ -2099,6 +6886,7 @@ class HabitTrackerApp {
                         </div>
                     `;
                 }).join('');
+                habitsHtml += '</div>';
             }
             
             // Archived habits
@@ -2164,6 +6952,10 @@ class HabitTrackerApp {
         });
 
         // Add event handlers for habit actions
+        habitsList.querySelectorAll('.btn-icon.heatmap').forEach(btn => {
+            btn.addEventListener('click', () => this.showHeatmapModal(btn.dataset.habitId));
+        });
+
         habitsList.querySelectorAll('.btn-icon.edit').forEach(btn => {
             btn.addEventListener('click', () => {
                 const habitId = btn.dataset.habitId;
@@ -2171,6 +6963,15 @@ class HabitTrackerApp {
             });
         });
 
+        const sortableHabits = habitsList.querySelector('.sortable-list');
+        if (sortableHabits) {
+            this.setupSortableList(sortableHabits, async (orderedIds) => {
+                await this.dataManager.reorderHabits(orderedIds);
+                this.renderSettingsView();
+                this.renderTodayView();
+            });
+        }
+
         habitsList.querySelectorAll('.btn-icon.archive').forEach(btn => {
             btn.addEventListener('click', async () => {
                 if (confirm('Archive this habit? It will be hidden but data will be preserved.')) {
@@ -2193,18 +6994,40 @@ class HabitTrackerApp {
             btn.addEventListener('click', async () => {
                 if (confirm('Permanently delete this habit? Historical data will be preserved but the habit cannot be recovered.')) {
                     await this.dataManager.deleteHabit(btn.dataset.habitId);
+                    if (window.appEnhancements) {
+                        window.appEnhancements.removeHabitReminder(btn.dataset.habitId);
+                    }
                     this.renderSettingsView();
                     this.renderTodayView();
                 }
             });
         });
 
+        const weekStartSelect = document.getElementById('week-start-day');
+        weekStartSelect.value = String(this.dataManager.weekStartDay);
+        weekStartSelect.onchange = () => {
+            this.dataManager.weekStartDay = parseInt(weekStartSelect.value);
+            localStorage.setItem('trackDeezWeekStart', weekStartSelect.value);
+            // Times-per-week habits become due on different days
+            this.refreshStreaks();
+            this.renderCalendarView();
+            this.renderTodayView();
+        };
+
+        const plannerSnapSelect = document.getElementById('planner-snap-minutes');
+        plannerSnapSelect.value = String(this.plannerSnapMinutes);
+        plannerSnapSelect.onchange = () => {
+            this.plannerSnapMinutes = parseInt(plannerSnapSelect.value);
+            localStorage.setItem('trackDeezPlannerSnap', plannerSnapSelect.value);
+        };
+
         // Tracking fields
         const trackingList = document.getElementById('tracking-settings-list');
         if (this.dataManager.data.trackingFields.length === 0) {
             trackingList.innerHTML = '<div class="empty-state"><p>No tracking fields configured yet.</p></div>';
         } else {
-            trackingList.innerHTML = this.dataManager.data.trackingFields.map(field => {
+            const trackingFields = this.dataManager.data.trackingFields;
+            trackingList.innerHTML = '<div class="sortable-list" data-sort-list="tracking">' + trackingFields.map((field, index) => {
                 // Truncate long descriptions
                 let descriptionHtml = '';
                 if (field.description) {
@@ -2220,13 +7043,15 @@ class HabitTrackerApp {
                 }
                 
                 return `
-                <div class="setting-item">
+                <div class="setting-item sortable-item" data-sort-id="${field.id}">
+                    ${this.renderDragHandle(field.name)}
                     <div class="setting-info">
                         <div class="setting-name">${field.name}</div>
-                        <div class="setting-detail">Type: ${field.type}${field.unit ? `, Unit: ${field.unit}` : ''}</div>
+                        <div class="setting-detail">Type: ${this.escapeHtml(this.describeTrackingType(field))}${field.unit ? `, Unit: ${field.unit}` : ''}</div>
                         ${descriptionHtml}
                     </div>
                     <div class="setting-actions">
+                        ${this.renderMoveButtons(index, trackingFields.length)}
                         <button class="btn-icon edit" data-field-id="${field.id}">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
@@ -2241,7 +7066,13 @@ class HabitTrackerApp {
                         </button>
                     </div>
                 </div>
-            `}).join('');
+            `}).join('') + '</div>';
+
+            this.setupSortableList(trackingList.querySelector('.sortable-list'), async (orderedIds) => {
+                await this.dataManager.reorderTrackingFields(orderedIds);
+                this.renderSettingsView();
+                this.renderTodayView();
+            });
 
             // Add expand/collapse functionality for descriptions
             trackingList.querySelectorAll('.btn-expand').forEach(btn => {
@@ -2278,6 +7109,93 @@ class HabitTrackerApp {
             });
         }
 
+        // Habit groups
+        const groupsListEl = document.getElementById('groups-settings-list');
+        if (this.dataManager.data.habitGroups.length === 0) {
+            groupsListEl.innerHTML = '<div class="empty-state"><p>No groups yet. Groups organise habits into sections like Health or Work.</p></div>';
+        } else {
+            groupsListEl.innerHTML = this.dataManager.data.habitGroups.map(group => {
+                const habitCount = this.dataManager.data.habits.filter(h => h.groupId === group.id && !h.archived).length;
+                return `
+                    <div class="setting-item habit-group-setting" style="--group-color: ${group.color}">
+                        <div class="setting-info">
+                            <div class="setting-name">${group.icon ? this.escapeHtml(group.icon) + ' ' : ''}${this.escapeHtml(group.name)}</div>
+                            <div class="setting-detail">${habitCount} habit${habitCount === 1 ? '' : 's'}</div>
+                        </div>
+                        <div class="setting-actions">
+                            <button class="btn-icon edit" data-group-id="${group.id}">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+                                    <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+                                </svg>
+                            </button>
+                            <button class="btn-icon delete" data-group-id="${group.id}">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="3 6 5 6 21 6"/>
+                                    <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            groupsListEl.querySelectorAll('.btn-icon.edit').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.showGroupModal(btn.dataset.groupId);
+                });
+            });
+
+            groupsListEl.querySelectorAll('.btn-icon.delete').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (confirm('Delete this group? Its habits will be kept but ungrouped.')) {
+                        await this.dataManager.deleteHabitGroup(btn.dataset.groupId);
+                        this.renderSettingsView();
+                        this.renderTodayView();
+                    }
+                });
+            });
+        }
+
+        // Streak pauses
+        const pausesListEl = document.getElementById('pauses-settings-list');
+        if (this.dataManager.data.pauses.length === 0) {
+            pausesListEl.innerHTML = '<div class="empty-state"><p>No pauses scheduled.</p></div>';
+        } else {
+            const pauses = [...this.dataManager.data.pauses].sort((a, b) => a.startDate.localeCompare(b.startDate));
+            pausesListEl.innerHTML = pauses.map(pause => {
+                const habit = pause.habitId ? this.dataManager.data.habits.find(h => h.id === pause.habitId) : null;
+                const scope = pause.habitId ? (habit ? habit.name : 'Deleted habit') : 'All habits';
+                return `
+                    <div class="setting-item">
+                        <div class="setting-info">
+                            <div class="setting-name">${scope}</div>
+                            <div class="setting-detail">${pause.startDate === pause.endDate ? pause.startDate : `${pause.startDate} → ${pause.endDate}`}</div>
+                            ${pause.note ? `<div class="setting-detail">${this.escapeHtml(pause.note)}</div>` : ''}
+                        </div>
+                        <div class="setting-actions">
+                            <button class="btn-icon delete" data-pause-id="${pause.id}">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="3 6 5 6 21 6"/>
+                                    <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            pausesListEl.querySelectorAll('.btn-icon.delete').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    if (confirm('Delete this pause?')) {
+                        await this.dataManager.deletePause(btn.dataset.pauseId);
+                        this.refreshStreaks();
+                        this.renderSettingsView();
+                    }
+                });
+            });
+        }
+
         // Event Templates
         const templatesListEl = document.getElementById('templates-settings-list');
         if (this.dataManager.data.templates.length === 0) {
@@ -2327,12 +7245,16 @@ class HabitTrackerApp {
         // Buttons
         document.getElementById('add-habit-btn').onclick = () => this.showHabitModal();
         document.getElementById('add-tracking-btn').onclick = () => this.showTrackingModal();
+        document.getElementById('add-pause-btn').onclick = () => this.showPauseModal();
+        document.getElementById('add-group-btn').onclick = () => this.showGroupModal();
         const addTemplateBtn = document.getElementById('add-template-btn');
         if (addTemplateBtn) {
             addTemplateBtn.onclick = () => this.showTemplateModal();
         }
         document.getElementById('import-data-btn').onclick = () => this.showImportModal();
         document.getElementById('export-data-btn').onclick = () => this.exportData();
+        document.getElementById('import-ics-btn').onclick = () => this.showCalendarImportModal();
+        document.getElementById('export-ics-btn').onclick = () => this.exportCalendar();
         document.getElementById('clear-data-btn').onclick = () => this.clearData();
 
         // Cloud storage UI setup
@@ -2446,6 +7368,13 @@ class HabitTrackerApp {
                 const action = switchResult.action === 'uploaded' ? 'uploaded to' : 'downloaded from';
                 this.showCloudStatus(`Successfully ${action} cloud storage!`, 'success');
                 this.updateSyncStatus();
+                if (switchResult.action === 'downloaded') {
+                    this.refreshStreaks();
+                    this.renderTodayView();
+                    this.renderCalendarView();
+                    this.renderStatsView();
+                    this.renderSettingsView();
+                }
             } else {
                 this.showCloudStatus(`Failed to switch: ${switchResult.error}`, 'error');
             }
@@ -2461,6 +7390,7 @@ class HabitTrackerApp {
                 this.updateSyncStatus(`${action} - Last sync: just now`);
                 // Refresh views if data was downloaded
                 if (result.action === 'downloaded') {
+                    this.refreshStreaks();
                     this.renderTodayView();
                     this.renderCalendarView();
                     this.renderStatsView();
@@ -2527,15 +7457,30 @@ class HabitTrackerApp {
     setupModals() {
         // Day modal
         document.getElementById('close-modal').onclick = () => {
-            document.getElementById('day-modal').classList.remove('active');
+            this.closeDayModal();
         };
 
         document.getElementById('day-modal').onclick = (e) => {
             if (e.target.id === 'day-modal') {
-                document.getElementById('day-modal').classList.remove('active');
+                this.closeDayModal();
+            }
+        };
+
+        // Heatmap modal
+        document.getElementById('close-heatmap-modal').onclick = () => {
+            document.getElementById('heatmap-modal').classList.remove('active');
+        };
+
+        document.getElementById('heatmap-modal').onclick = (e) => {
+            if (e.target.id === 'heatmap-modal') {
+                document.getElementById('heatmap-modal').classList.remove('active');
             }
         };
 
+        document.getElementById('all-habits-heatmap-btn').onclick = () => {
+            this.showHeatmapModal();
+        };
+
         // Habit modal
         document.getElementById('close-habit-modal').onclick = () => {
             document.getElementById('habit-modal').classList.remove('active');
@@ -2551,11 +7496,42 @@ class HabitTrackerApp {
             buildUpFields.style.display = e.target.checked ? 'block' : 'none';
         };
 
+        // Habit schedule type toggle
+        document.getElementById('habit-schedule-type').onchange = () => {
+            this.updateHabitScheduleFields();
+        };
+
+        // Habit type toggle (checkbox vs measurable)
+        document.getElementById('habit-type').onchange = (e) => {
+            document.getElementById('measurable-fields').style.display = e.target.value === 'measurable' ? 'block' : 'none';
+        };
+
+        // Habit kind toggle (build vs break)
+        document.getElementById('habit-kind').onchange = () => {
+            this.updateHabitKindFields();
+        };
+
+        document.getElementById('habit-reminder-enabled').onchange = (e) => {
+            document.getElementById('habit-reminder-time').disabled = !e.target.checked;
+        };
+
         document.getElementById('habit-form').onsubmit = async (e) => {
             e.preventDefault();
             const name = document.getElementById('habit-name').value.trim();
             const description = document.getElementById('habit-description').value.trim();
-            const isBuildUpHabit = document.getElementById('is-build-up-habit').checked;
+            const kind = document.getElementById('habit-kind').value;
+            const isNegative = kind === 'negative';
+            const isBuildUpHabit = !isNegative && document.getElementById('is-build-up-habit').checked;
+            
+            const schedule = this.readHabitScheduleFields();
+            if (schedule.type === 'weekdays' && schedule.daysOfWeek.length === 0) {
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage('Please pick at least one day for this habit', 'warning');
+                } else {
+                    alert('Please pick at least one day for this habit');
+                }
+                return;
+            }
             
             let buildUpConfig = null;
             if (isBuildUpHabit) {
@@ -2602,17 +7578,50 @@ class HabitTrackerApp {
                 };
             }
             
+            const freezesPerMonth = isNegative ? 0 : Math.max(parseInt(document.getElementById('habit-freezes').value) || 0, 0);
+            const groupId = document.getElementById('habit-group').value || null;
+            const timeOfDay = document.getElementById('habit-time-of-day').value;
+            const type = isNegative ? 'checkbox' : document.getElementById('habit-type').value;
+            let targetConfig = null;
+            if (type === 'measurable') {
+                const useBuildUpValue = isBuildUpHabit && document.getElementById('habit-target-use-build-up').checked;
+                const targetValue = parseFloat(document.getElementById('habit-target-value').value);
+                
+                if (!useBuildUpValue && (isNaN(targetValue) || targetValue <= 0)) {
+                    if (window.appEnhancements) {
+                        window.appEnhancements.showMessage('Please enter a daily target greater than zero', 'warning');
+                    } else {
+                        alert('Please enter a daily target greater than zero');
+                    }
+                    return;
+                }
+                
+                targetConfig = {
+                    targetValue: isNaN(targetValue) ? 0 : targetValue,
+                    unit: document.getElementById('habit-target-unit').value.trim(),
+                    step: parseFloat(document.getElementById('habit-target-step').value),
+                    useBuildUpValue
+                };
+            }
+            
             if (name) {
                 const editingId = document.getElementById('habit-form').dataset.editingId;
+                let habit;
                 if (editingId) {
-                    await this.dataManager.updateHabit(editingId, name, description, isBuildUpHabit, buildUpConfig);
+                    habit = await this.dataManager.updateHabit(editingId, name, description, isBuildUpHabit, buildUpConfig, { schedule, kind, type, targetConfig, freezesPerMonth, groupId, timeOfDay });
                     delete document.getElementById('habit-form').dataset.editingId;
                 } else {
-                    await this.dataManager.addHabit(name, description, isBuildUpHabit, buildUpConfig);
+                    habit = await this.dataManager.addHabit(name, description, isBuildUpHabit, buildUpConfig, { schedule, kind, type, targetConfig, freezesPerMonth, groupId, timeOfDay });
+                }
+                if (habit) {
+                    await this.saveHabitReminder(habit);
                 }
                 document.getElementById('habit-modal').classList.remove('active');
                 document.getElementById('habit-form').reset();
                 document.getElementById('build-up-fields').style.display = 'none';
+                this.updateHabitKindFields();
+                this.updateHabitScheduleFields();
+                this.refreshStreaks();
                 this.renderSettingsView();
                 this.renderTodayView();
             }
@@ -2633,9 +7642,22 @@ class HabitTrackerApp {
             document.getElementById('tracking-modal').classList.remove('active');
         };
 
-        document.getElementById('tracking-type').onchange = (e) => {
-            const unitGroup = document.getElementById('unit-group');
-            unitGroup.style.display = (e.target.value === 'number') ? 'block' : 'none';
+        document.getElementById('tracking-type').onchange = () => {
+            this.updateTrackingTypeFields();
+        };
+
+        document.getElementById('tracking-formula-format').onchange = () => {
+            this.updateTrackingTypeFields();
+        };
+
+        // Tapping a name adds it to the formula
+        document.getElementById('tracking-formula-variables').onclick = (e) => {
+            const chip = e.target.closest('.formula-variable');
+            if (!chip) return;
+            const input = document.getElementById('tracking-formula');
+            const current = input.value.trimEnd();
+            input.value = current ? `${current} ${chip.dataset.name}` : chip.dataset.name;
+            input.focus();
         };
 
         document.getElementById('tracking-form').onsubmit = async (e) => {
@@ -2644,18 +7666,71 @@ class HabitTrackerApp {
             const type = document.getElementById('tracking-type').value;
             const unit = document.getElementById('tracking-unit').value.trim();
             const description = document.getElementById('tracking-description').value.trim();
+            const resultFormat = document.getElementById('tracking-formula-format').value;
+            // Duration good ranges are entered in hours but stored in minutes
+            const rangeScale = this.dataManager.isDurationField({ type, resultFormat }) ? 60 : 1;
+            const readRangeBound = (id) => {
+                const value = document.getElementById(id).value;
+                return value === '' ? '' : parseFloat(value) * rangeScale;
+            };
+            const config = {
+                scale: document.getElementById('tracking-scale').value,
+                options: document.getElementById('tracking-options').value.split('\n'),
+                validation: {
+                    min: document.getElementById('tracking-min').value,
+                    max: document.getElementById('tracking-max').value,
+                    step: document.getElementById('tracking-step').value,
+                    required: document.getElementById('tracking-required').checked
+                },
+                goodRange: {
+                    min: readRangeBound('tracking-good-min'),
+                    max: readRangeBound('tracking-good-max')
+                },
+                formula: document.getElementById('tracking-formula').value,
+                resultFormat
+            };
+            
+            const normalized = this.dataManager.normalizeTrackingConfig(type, config);
+            const limits = normalized.validation || {};
+            const goodRange = normalized.goodRange || {};
+            let configError = null;
+            if (limits.min !== undefined && limits.max !== undefined && limits.min > limits.max) {
+                configError = 'Minimum must not be greater than maximum';
+            } else if (goodRange.min != null && goodRange.max != null && goodRange.min > goodRange.max) {
+                configError = 'The good range must start below where it ends';
+            } else if (type === 'formula') {
+                const formulaError = this.dataManager.validateFormula(normalized.formula, document.getElementById('tracking-form').dataset.editingId);
+                if (formulaError) configError = `Formula: ${formulaError}`;
+            }
+            if (configError) {
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage(configError, 'warning');
+                } else {
+                    alert(configError);
+                }
+                return;
+            }
+            
+            if ((type === 'select' || type === 'multiselect') && this.dataManager.normalizeTrackingConfig(type, config).options.length < 2) {
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage('Please enter at least two options, one per line', 'warning');
+                } else {
+                    alert('Please enter at least two options, one per line');
+                }
+                return;
+            }
             
             if (name && type) {
                 const editingId = document.getElementById('tracking-form').dataset.editingId;
                 if (editingId) {
-                    await this.dataManager.updateTrackingField(editingId, name, type, unit, description);
+                    await this.dataManager.updateTrackingField(editingId, name, type, unit, description, config);
                     delete document.getElementById('tracking-form').dataset.editingId;
                 } else {
-                    await this.dataManager.addTrackingField(name, type, unit, description);
+                    await this.dataManager.addTrackingField(name, type, unit, description, config);
                 }
                 document.getElementById('tracking-modal').classList.remove('active');
                 document.getElementById('tracking-form').reset();
-                document.getElementById('unit-group').style.display = 'none';
+                this.updateTrackingTypeFields();
                 this.renderSettingsView();
                 this.renderTodayView();
             }
@@ -2689,6 +7764,7 @@ class HabitTrackerApp {
                         const result = await this.dataManager.importData(importedData);
                         
                         if (result.success) {
+                            this.refreshStreaks();
                             if (window.appEnhancements) {
                                 window.appEnhancements.showMessage('Data imported successfully!', 'success');
                             } else {
@@ -2725,6 +7801,29 @@ class HabitTrackerApp {
             }
         };
 
+        // Calendar (.ics) import modal
+        document.getElementById('close-ics-import-modal').onclick = () => {
+            document.getElementById('ics-import-modal').classList.remove('active');
+        };
+
+        document.getElementById('cancel-ics-import').onclick = () => {
+            document.getElementById('ics-import-modal').classList.remove('active');
+        };
+
+        document.getElementById('ics-import-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const file = document.getElementById('ics-import-file').files[0];
+            if (file) {
+                await this.importCalendarFile(file);
+            }
+        };
+
+        document.getElementById('ics-import-modal').onclick = (e) => {
+            if (e.target.id === 'ics-import-modal') {
+                document.getElementById('ics-import-modal').classList.remove('active');
+            }
+        };
+
         // Planner event modal
         document.getElementById('close-planner-event-modal').onclick = () => {
             document.getElementById('planner-event-modal').classList.remove('active');
@@ -2742,6 +7841,8 @@ class HabitTrackerApp {
                 await this.plannerManager.deleteEvent(eventId);
                 document.getElementById('planner-event-modal').classList.remove('active');
                 this.renderPlannerView();
+                this.renderCalendarView();
+                this.refreshDayModal();
             }
         };
 
@@ -2765,6 +7866,20 @@ class HabitTrackerApp {
                 }
                 return;
             }
+
+            const logOutcome = document.getElementById('planner-outcome-group').style.display !== 'none';
+            const outcome = document.querySelector('input[name="planner-outcome"]:checked').value;
+            const actualStart = document.getElementById('planner-actual-start').value;
+            const actualEnd = document.getElementById('planner-actual-end').value;
+            if (logOutcome && (outcome === 'done' || outcome === 'shifted') &&
+                (!actualStart || !actualEnd || this.plannerManager.timeToMinutes(actualStart) >= this.plannerManager.timeToMinutes(actualEnd))) {
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage('Actual end time must be after actual start time', 'warning');
+                } else {
+                    alert('Actual end time must be after actual start time');
+                }
+                return;
+            }
             
             if (title && startTime && endTime) {
                 const form = document.getElementById('planner-event-form');
@@ -2772,10 +7887,13 @@ class HabitTrackerApp {
                 
                 if (editingId) {
                     await this.plannerManager.updateEvent(editingId, startTime, endTime, title, category, notes);
+                    if (logOutcome) {
+                        await this.plannerManager.setEventOutcome(editingId, outcome || null, actualStart, actualEnd);
+                    }
                     delete form.dataset.editingId;
                 } else {
                     await this.plannerManager.addEvent(
-                        this.plannerManager.currentDate,
+                        this.dataManager.parseLocalDate(form.dataset.date),
                         startTime,
                         endTime,
                         title,
@@ -2787,6 +7905,8 @@ class HabitTrackerApp {
                 document.getElementById('planner-event-modal').classList.remove('active');
                 form.reset();
                 this.renderPlannerView();
+                this.renderCalendarView();
+                this.refreshDayModal();
             }
         };
 
@@ -2816,12 +7936,87 @@ class HabitTrackerApp {
             this.updatePlannerEventTimes('end');
         });
         
+        document.querySelectorAll('input[name="planner-outcome"]').forEach(input => {
+            input.addEventListener('change', () => this.updatePlannerOutcomeFields());
+        });
+
         document.getElementById('planner-event-duration').addEventListener('input', () => {
             // Clear preset button selection on custom input
             document.querySelectorAll('#planner-event-form .preset-btn').forEach(b => b.classList.remove('active'));
             this.updatePlannerEventTimes('duration');
         });
 
+        // Day template modal
+        document.getElementById('close-day-template-modal').onclick = () => {
+            document.getElementById('day-template-modal').classList.remove('active');
+        };
+
+        document.getElementById('cancel-day-template').onclick = () => {
+            document.getElementById('day-template-modal').classList.remove('active');
+        };
+
+        document.getElementById('day-template-date').addEventListener('input', () => {
+            this.updateDayTemplateDateSummary();
+        });
+
+        document.getElementById('day-template-form').onsubmit = async (e) => {
+            e.preventDefault();
+            await this.saveDayTemplate();
+        };
+
+        document.getElementById('day-template-modal').onclick = (e) => {
+            if (e.target.id === 'day-template-modal') {
+                document.getElementById('day-template-modal').classList.remove('active');
+            }
+        };
+
+        // Weekly planner report modal
+        document.getElementById('close-planner-report-modal').onclick = () => {
+            document.getElementById('planner-report-modal').classList.remove('active');
+        };
+
+        document.getElementById('planner-report-prev').onclick = () => {
+            const week = this.plannerReportWeek;
+            this.plannerReportWeek = new Date(week.getFullYear(), week.getMonth(), week.getDate() - 7);
+            this.renderPlannerReport();
+        };
+
+        document.getElementById('planner-report-next').onclick = () => {
+            const week = this.plannerReportWeek;
+            this.plannerReportWeek = new Date(week.getFullYear(), week.getMonth(), week.getDate() + 7);
+            this.renderPlannerReport();
+        };
+
+        document.getElementById('planner-report-modal').onclick = (e) => {
+            if (e.target.id === 'planner-report-modal') {
+                document.getElementById('planner-report-modal').classList.remove('active');
+            }
+        };
+
+        // Apply template / copy day modal
+        document.getElementById('close-planner-apply-modal').onclick = () => {
+            document.getElementById('planner-apply-modal').classList.remove('active');
+        };
+
+        document.getElementById('cancel-planner-apply').onclick = () => {
+            document.getElementById('planner-apply-modal').classList.remove('active');
+        };
+
+        document.getElementById('planner-apply-form').addEventListener('input', () => {
+            this.updatePlannerApplySummary();
+        });
+
+        document.getElementById('planner-apply-form').onsubmit = async (e) => {
+            e.preventDefault();
+            await this.applyPlannerBlocks();
+        };
+
+        document.getElementById('planner-apply-modal').onclick = (e) => {
+            if (e.target.id === 'planner-apply-modal') {
+                document.getElementById('planner-apply-modal').classList.remove('active');
+            }
+        };
+
         // Event modal
         document.getElementById('close-event-modal').onclick = () => {
             document.getElementById('event-modal').classList.remove('active');
@@ -2841,6 +8036,12 @@ class HabitTrackerApp {
             recurrenceFields.style.display = e.target.checked ? 'block' : 'none';
         };
 
+        document.querySelectorAll('#event-scope-group input[name="event-scope"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateEventScopeFields());
+        });
+
+        document.getElementById('delete-event').onclick = () => this.deleteEventFromModal();
+
         // Recurrence type change handler
         document.getElementById('recurrence-type').onchange = (e) => {
             const type = e.target.value;
@@ -2902,7 +8103,7 @@ class HabitTrackerApp {
         });
 
         // Update end time display when start time or duration changes
-        document.getElementById('event-start-time').oninput = () => this.updateEventEndTime();
+        document.getElementById('event-time').oninput = () => this.updateEventEndTime();
         document.getElementById('event-duration').oninput = () => this.updateEventEndTime();
 
         // Save as template button
@@ -2921,6 +8122,82 @@ class HabitTrackerApp {
             }
         };
 
+        // Group modal
+        document.getElementById('close-group-modal').onclick = () => {
+            document.getElementById('group-modal').classList.remove('active');
+        };
+
+        document.getElementById('cancel-group').onclick = () => {
+            document.getElementById('group-modal').classList.remove('active');
+        };
+
+        document.getElementById('group-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const form = document.getElementById('group-form');
+            const name = document.getElementById('group-name').value.trim();
+            const icon = document.getElementById('group-icon').value.trim();
+            const color = document.getElementById('group-color').value;
+            
+            if (name) {
+                const editingId = form.dataset.editingId;
+                if (editingId) {
+                    await this.dataManager.updateHabitGroup(editingId, name, color, icon);
+                    delete form.dataset.editingId;
+                } else {
+                    await this.dataManager.addHabitGroup(name, color, icon);
+                }
+                document.getElementById('group-modal').classList.remove('active');
+                form.reset();
+                this.renderSettingsView();
+                this.renderTodayView();
+            }
+        };
+
+        document.getElementById('group-modal').onclick = (e) => {
+            if (e.target.id === 'group-modal') {
+                document.getElementById('group-modal').classList.remove('active');
+            }
+        };
+
+        // Pause modal
+        document.getElementById('close-pause-modal').onclick = () => {
+            document.getElementById('pause-modal').classList.remove('active');
+        };
+
+        document.getElementById('cancel-pause').onclick = () => {
+            document.getElementById('pause-modal').classList.remove('active');
+        };
+
+        document.getElementById('pause-form').onsubmit = async (e) => {
+            e.preventDefault();
+            const habitId = document.getElementById('pause-habit').value;
+            const startDate = document.getElementById('pause-start-date').value;
+            const endDate = document.getElementById('pause-end-date').value;
+            const note = document.getElementById('pause-note').value.trim();
+            
+            if (!startDate || !endDate || endDate < startDate) {
+                if (window.appEnhancements) {
+                    window.appEnhancements.showMessage('End date must be on or after the start date', 'warning');
+                } else {
+                    alert('End date must be on or after the start date');
+                }
+                return;
+            }
+            
+            await this.dataManager.addPause(startDate, endDate, habitId || null, note);
+            document.getElementById('pause-modal').classList.remove('active');
+            document.getElementById('pause-form').reset();
+            this.refreshStreaks();
+            this.renderSettingsView();
+            this.renderTodayView();
+        };
+
+        document.getElementById('pause-modal').onclick = (e) => {
+            if (e.target.id === 'pause-modal') {
+                document.getElementById('pause-modal').classList.remove('active');
+            }
+        };
+
         // Template modal
         document.getElementById('close-template-modal').onclick = () => {
             document.getElementById('template-modal').classList.remove('active');
@@ -2963,6 +8240,208 @@ class HabitTrackerApp {
         };
     }
 
+    showGroupModal(groupId = null) {
+        const form = document.getElementById('group-form');
+        const title = document.getElementById('group-modal-title');
+        const group = groupId ? this.dataManager.data.habitGroups.find(g => g.id === groupId) : null;
+        
+        if (group) {
+            // Edit mode
+            title.textContent = 'Edit Group';
+            document.getElementById('group-name').value = group.name;
+            document.getElementById('group-icon').value = group.icon || '';
+            document.getElementById('group-color').value = group.color || '#6366f1';
+            form.dataset.editingId = groupId;
+        } else {
+            // Add mode
+            title.textContent = 'Add Group';
+            form.reset();
+            delete form.dataset.editingId;
+        }
+        
+        document.getElementById('group-modal').classList.add('active');
+        document.getElementById('group-name').focus();
+    }
+
+    // Small coloured label showing which group a habit belongs to
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Optional note on a completed habit (or a slip); the input stays hidden until requested
+    renderHabitNote(habit, date, completed) {
+        const note = this.dataManager.getHabitNote(date, habit.id);
+        if (!completed && !note) return '';
+        return `
+            <div class="habit-note" data-habit-id="${habit.id}">
+                ${note ? `<span class="habit-note-text">📝 ${this.escapeHtml(note)}</span>` : ''}
+                <button type="button" class="habit-note-btn">${note ? 'Edit note' : '+ Add note'}</button>
+                <input type="text" class="habit-note-input" value="${this.escapeHtml(note)}" placeholder="Add a note" style="display: none;">
+            </div>
+        `;
+    }
+
+    setupHabitNoteInputs(container, date, onSave) {
+        container.querySelectorAll('.habit-note').forEach(noteEl => {
+            const button = noteEl.querySelector('.habit-note-btn');
+            const input = noteEl.querySelector('.habit-note-input');
+            // Don't let taps on the note toggle the habit underneath
+            noteEl.addEventListener('click', (e) => e.stopPropagation());
+            
+            button.addEventListener('click', () => {
+                button.style.display = 'none';
+                input.style.display = 'block';
+                input.focus();
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') input.blur();
+            });
+            input.addEventListener('blur', async () => {
+                if (input.value.trim() !== input.defaultValue) {
+                    await this.dataManager.setHabitNote(date, noteEl.dataset.habitId, input.value);
+                    onSave();
+                } else {
+                    input.style.display = 'none';
+                    button.style.display = '';
+                }
+            });
+        });
+    }
+
+    renderDragHandle(name) {
+        return `<button type="button" class="drag-handle" aria-label="Reorder ${this.escapeHtml(name)} (use arrow keys)" title="Drag to reorder">⠿</button>`;
+    }
+
+    renderMoveButtons(index, count) {
+        return `
+            <button type="button" class="btn-icon move-up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="18 15 12 9 6 15"/>
+                </svg>
+            </button>
+            <button type="button" class="btn-icon move-down" aria-label="Move down" ${index === count - 1 ? 'disabled' : ''}>
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="6 9 12 15 18 9"/>
+                </svg>
+            </button>
+        `;
+    }
+
+    // Reorder a settings list by dragging its handles (pointer events, so touch
+    // works too), pressing the arrow keys on a handle, or the move up/down buttons.
+    // onReorder receives the item IDs in their new order and re-renders the list.
+    setupSortableList(container, onReorder) {
+        const listName = container.dataset.sortList;
+        const getItems = () => [...container.querySelectorAll(':scope > .sortable-item')];
+        const getOrder = () => getItems().map(item => item.dataset.sortId);
+        
+        const commit = async (sortId, focusSelector) => {
+            await onReorder(getOrder());
+            // Keep keyboard focus on the moved item after the re-render
+            const item = document.querySelector(`[data-sort-list="${listName}"] [data-sort-id="${sortId}"]`);
+            if (!item) return;
+            const target = item.querySelector(focusSelector);
+            (target && !target.disabled ? target : item.querySelector('.drag-handle')).focus();
+        };
+        
+        const move = (item, delta, focusSelector) => {
+            const items = getItems();
+            const neighbour = items[items.indexOf(item) + delta];
+            if (!neighbour) return;
+            container.insertBefore(item, delta < 0 ? neighbour : neighbour.nextElementSibling);
+            commit(item.dataset.sortId, focusSelector);
+        };
+        
+        getItems().forEach(item => {
+            const handle = item.querySelector('.drag-handle');
+            
+            handle.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    move(item, e.key === 'ArrowUp' ? -1 : 1, '.drag-handle');
+                }
+            });
+            
+            handle.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                handle.setPointerCapture(e.pointerId);
+                const startOrder = getOrder().join(',');
+                item.classList.add('dragging');
+                
+                // Move the item before the first sibling whose midpoint is below the pointer
+                const onMove = (moveEvent) => {
+                    const next = getItems().find(other => {
+                        if (other === item) return false;
+                        const rect = other.getBoundingClientRect();
+                        return moveEvent.clientY < rect.top + rect.height / 2;
+                    });
+                    if (next) {
+                        if (next !== item.nextElementSibling) container.insertBefore(item, next);
+                    } else if (item !== container.lastElementChild) {
+                        container.appendChild(item);
+                    }
+                };
+                
+                const onEnd = () => {
+                    handle.removeEventListener('pointermove', onMove);
+                    handle.removeEventListener('pointerup', onEnd);
+                    handle.removeEventListener('pointercancel', onEnd);
+                    item.classList.remove('dragging');
+                    if (getOrder().join(',') !== startOrder) {
+                        commit(item.dataset.sortId, '.drag-handle');
+                    }
+                };
+                
+                handle.addEventListener('pointermove', onMove);
+                handle.addEventListener('pointerup', onEnd);
+                handle.addEventListener('pointercancel', onEnd);
+            });
+            
+            item.querySelector('.move-up').addEventListener('click', () => move(item, -1, '.move-up'));
+            item.querySelector('.move-down').addEventListener('click', () => move(item, 1, '.move-down'));
+        });
+    }
+
+    renderGroupTag(habit) {
+        const group = this.dataManager.getHabitGroup(habit);
+        if (!group) return '';
+        return `<span class="habit-group-tag" style="--group-color: ${group.color}">${group.icon ? this.escapeHtml(group.icon) + ' ' : ''}${this.escapeHtml(group.name)}</span>`;
+    }
+
+    populateHabitGroupSelect(selectedId = '') {
+        const select = document.getElementById('habit-group');
+        select.innerHTML = '<option value="">No group</option>' +
+            this.dataManager.data.habitGroups.map(group => 
+                `<option value="${group.id}">${group.icon ? this.escapeHtml(group.icon) + ' ' : ''}${this.escapeHtml(group.name)}</option>`
+            ).join('');
+        select.value = selectedId;
+    }
+
+    showPauseModal() {
+        const habitSelect = document.getElementById('pause-habit');
+        const activeHabits = this.dataManager.data.habits.filter(h => !h.archived);
+        habitSelect.innerHTML = '<option value="">All habits (vacation mode)</option>' +
+            activeHabits.map(habit => `<option value="${habit.id}">${habit.name}</option>`).join('');
+        
+        document.getElementById('pause-form').reset();
+        const today = this.dataManager.formatLocalDate(new Date());
+        document.getElementById('pause-start-date').value = today;
+        document.getElementById('pause-end-date').value = today;
+        
+        document.getElementById('pause-modal').classList.add('active');
+    }
+
+    // Pauses, schedule edits and imports change which days count, so cached streaks need recalculating
+    refreshStreaks() {
+        if (window.appEnhancements) {
+            window.appEnhancements.updateStreakCache();
+        }
+    }
+
     showHabitModal(habitId = null) {
         const modal = document.getElementById('habit-modal');
         const form = document.getElementById('habit-form');
@@ -2993,6 +8472,15 @@ class HabitTrackerApp {
                 } else {
                     buildUpFields.style.display = 'none';
                 }
+                
+                this.populateHabitScheduleFields(habit.schedule);
+                this.populateHabitTargetFields(habit);
+                document.getElementById('habit-kind').value = this.dataManager.isNegativeHabit(habit) ? 'negative' : 'positive';
+                document.getElementById('habit-freezes').value = habit.freezesPerMonth || 0;
+                this.populateHabitGroupSelect(habit.groupId || '');
+                document.getElementById('habit-time-of-day').value = this.dataManager.getHabitTimeOfDay(habit);
+                this.populateHabitReminderFields(habit.id);
+                this.updateHabitKindFields();
             }
         } else {
             // Add mode
@@ -3000,12 +8488,107 @@ class HabitTrackerApp {
             form.reset();
             delete form.dataset.editingId;
             buildUpFields.style.display = 'none';
+            this.populateHabitGroupSelect();
+            this.populateHabitReminderFields();
+            this.updateHabitKindFields();
+            this.updateHabitScheduleFields();
         }
         
         modal.classList.add('active');
         nameInput.focus();
     }
 
+    populateHabitReminderFields(habitId = null) {
+        const reminder = habitId && window.appEnhancements ? window.appEnhancements.getHabitReminder(habitId) : null;
+        document.getElementById('habit-reminder-enabled').checked = !!reminder;
+        document.getElementById('habit-reminder-time').value = reminder && reminder.time ? reminder.time : '';
+        document.getElementById('habit-reminder-time').disabled = !reminder;
+    }
+
+    // Reminders live in the notification settings rather than on the habit itself
+    async saveHabitReminder(habit) {
+        if (!window.appEnhancements) return;
+        
+        if (!document.getElementById('habit-reminder-enabled').checked) {
+            window.appEnhancements.removeHabitReminder(habit.id);
+            return;
+        }
+        
+        const time = document.getElementById('habit-reminder-time').value || null;
+        window.appEnhancements.setHabitReminder(habit.id, habit.name, time, this.dataManager.getHabitTimeOfDay(habit));
+        if (!window.appEnhancements.getNotificationSettings().enabled) {
+            try {
+                await window.appEnhancements.enableNotifications();
+            } catch (error) {
+                console.error('Error enabling notifications:', error);
+                window.appEnhancements.showMessage('Reminder saved, but notifications could not be turned on', 'error');
+            }
+        }
+    }
+
+    // Negative habits only log slips, so hide the measurable, build-up and freeze options
+    updateHabitKindFields() {
+        const isNegative = document.getElementById('habit-kind').value === 'negative';
+        const isMeasurable = document.getElementById('habit-type').value === 'measurable';
+        const isBuildUp = document.getElementById('is-build-up-habit').checked;
+        document.getElementById('habit-kind-hint').style.display = isNegative ? 'block' : 'none';
+        document.getElementById('habit-type-group').style.display = isNegative ? 'none' : 'block';
+        document.getElementById('measurable-fields').style.display = !isNegative && isMeasurable ? 'block' : 'none';
+        document.getElementById('build-up-habit-group').style.display = isNegative ? 'none' : 'block';
+        document.getElementById('habit-freezes-group').style.display = isNegative ? 'none' : 'block';
+        document.getElementById('build-up-fields').style.display = !isNegative && isBuildUp ? 'block' : 'none';
+    }
+
+    populateHabitTargetFields(habit) {
+        const isMeasurable = this.dataManager.isMeasurableHabit(habit);
+        const config = isMeasurable ? habit.targetConfig : {};
+        document.getElementById('habit-type').value = isMeasurable ? 'measurable' : 'checkbox';
+        document.getElementById('measurable-fields').style.display = isMeasurable ? 'block' : 'none';
+        document.getElementById('habit-target-value').value = config.targetValue || '';
+        document.getElementById('habit-target-unit').value = config.unit || '';
+        document.getElementById('habit-target-step').value = config.step || 1;
+        document.getElementById('habit-target-use-build-up').checked = config.useBuildUpValue || false;
+    }
+
+    updateHabitScheduleFields() {
+        const type = document.getElementById('habit-schedule-type').value;
+        document.getElementById('habit-schedule-fields').style.display = type === 'daily' ? 'none' : 'block';
+        document.getElementById('habit-schedule-days-group').style.display = type === 'weekdays' ? 'block' : 'none';
+        document.getElementById('habit-schedule-times-group').style.display = type === 'timesPerWeek' ? 'block' : 'none';
+        document.getElementById('habit-schedule-interval-group').style.display = type === 'interval' ? 'block' : 'none';
+    }
+
+    populateHabitScheduleFields(schedule) {
+        const type = schedule ? schedule.type : 'daily';
+        document.getElementById('habit-schedule-type').value = type;
+        document.querySelectorAll('#habit-schedule-days-group input[type="checkbox"]').forEach(cb => {
+            cb.checked = type === 'weekdays' && schedule.daysOfWeek.includes(parseInt(cb.value));
+        });
+        document.getElementById('habit-schedule-times').value = type === 'timesPerWeek' ? schedule.timesPerWeek : 3;
+        document.getElementById('habit-schedule-interval').value = type === 'interval' ? schedule.interval : 2;
+        this.updateHabitScheduleFields();
+    }
+
+    readHabitScheduleFields() {
+        const type = document.getElementById('habit-schedule-type').value;
+        
+        switch (type) {
+            case 'weekdays':
+                return {
+                    type,
+                    daysOfWeek: Array.from(
+                        document.querySelectorAll('#habit-schedule-days-group input[type="checkbox"]:checked')
+                    ).map(cb => parseInt(cb.value))
+                };
+            case 'timesPerWeek':
+                return { type, timesPerWeek: parseInt(document.getElementById('habit-schedule-times').value) };
+            case 'interval':
+                return { type, interval: parseInt(document.getElementById('habit-schedule-interval').value) };
+            default:
+                return { type: 'daily' };
+        }
+    }
+
     showTrackingModal(fieldId = null) {
         const modal = document.getElementById('tracking-modal');
         const form = document.getElementById('tracking-form');
@@ -3014,7 +8597,6 @@ class HabitTrackerApp {
         const typeInput = document.getElementById('tracking-type');
         const unitInput = document.getElementById('tracking-unit');
         const descriptionInput = document.getElementById('tracking-description');
-        const unitGroup = document.getElementById('unit-group');
         
         if (fieldId) {
             // Edit mode
@@ -3025,21 +8607,62 @@ class HabitTrackerApp {
                 typeInput.value = field.type;
                 unitInput.value = field.unit || '';
                 descriptionInput.value = field.description || '';
-                unitGroup.style.display = (field.type === 'number') ? 'block' : 'none';
+                document.getElementById('tracking-scale').value = String(field.scale || 5);
+                document.getElementById('tracking-options').value = (field.options || []).join('\n');
+                const validation = field.validation || {};
+                const rangeScale = this.dataManager.isDurationField(field) ? 60 : 1;
+                const formatBound = (value) => (value === null || value === undefined ? '' : value / rangeScale);
+                document.getElementById('tracking-min').value = validation.min ?? '';
+                document.getElementById('tracking-max').value = validation.max ?? '';
+                document.getElementById('tracking-step').value = validation.step ?? '';
+                document.getElementById('tracking-required').checked = !!validation.required;
+                document.getElementById('tracking-good-min').value = formatBound(field.goodRange?.min);
+                document.getElementById('tracking-good-max').value = formatBound(field.goodRange?.max);
+                document.getElementById('tracking-formula').value = field.formula || '';
+                document.getElementById('tracking-formula-format').value = field.resultFormat || 'number';
                 form.dataset.editingId = fieldId;
             }
         } else {
             // Add mode
             title.textContent = 'Add Tracking Field';
             form.reset();
-            unitGroup.style.display = 'none';
             delete form.dataset.editingId;
         }
         
+        this.updateTrackingTypeFields();
         modal.classList.add('active');
         nameInput.focus();
     }
 
+    // Only show the settings that apply to the selected field type
+    updateTrackingTypeFields() {
+        const type = document.getElementById('tracking-type').value;
+        const isDuration = this.dataManager.isDurationField({ type, resultFormat: document.getElementById('tracking-formula-format').value });
+        const showUnit = type === 'number' || type === 'counter' || (type === 'formula' && !isDuration);
+        document.getElementById('unit-group').style.display = showUnit ? 'block' : 'none';
+        document.getElementById('tracking-scale-group').style.display = type === 'rating' ? 'block' : 'none';
+        document.getElementById('tracking-options-group').style.display = (type === 'select' || type === 'multiselect') ? 'block' : 'none';
+        document.getElementById('tracking-limits-group').style.display = type === 'number' ? 'block' : 'none';
+        document.getElementById('tracking-good-range-group').style.display = this.dataManager.isNumericTrackingType(type) ? 'block' : 'none';
+        document.getElementById('tracking-good-range-hint').textContent = isDuration
+            ? 'Enter hours; durations inside this range are shown in green, e.g. 7 to 9'
+            : 'Values inside this range are shown in green, e.g. sleep 7 to 9 hours';
+        document.getElementById('tracking-required-group').style.display = type === 'formula' ? 'none' : 'block';
+        
+        const formulaGroup = document.getElementById('tracking-formula-group');
+        formulaGroup.style.display = type === 'formula' ? 'block' : 'none';
+        if (type === 'formula') {
+            // Every name the formula can use, except the field being edited
+            const editingId = document.getElementById('tracking-form').dataset.editingId;
+            const names = [...this.dataManager.getFormulaVariables()]
+                .filter(([, variable]) => !variable.field || variable.field.id !== editingId)
+                .map(([name, variable]) => `<button type="button" class="formula-variable" data-name="${name}" title="${this.escapeHtml(variable.field ? variable.field.name : variable.habit.name)}">${name}</button>`);
+            document.getElementById('tracking-formula-variables').innerHTML = names.length > 0
+                ? names.join('')
+                : '<small>Add number, time or Yes/No fields, or habits, to use them here</small>';
+        }
+    }
+
     showImportModal() {
         document.getElementById('import-modal').classList.add('active');
         document.getElementById('import-file').focus();
@@ -3056,9 +8679,65 @@ class HabitTrackerApp {
         URL.revokeObjectURL(url);
     }
 
+    showCalendarImportModal() {
+        document.getElementById('ics-import-form').reset();
+        document.getElementById('ics-import-report').style.display = 'none';
+        document.getElementById('ics-import-modal').classList.add('active');
+        document.getElementById('ics-import-file').focus();
+    }
+
+    async importCalendarFile(file) {
+        let report;
+        try {
+            report = await this.dataManager.importCalendar(await file.text());
+        } catch (error) {
+            if (window.appEnhancements) {
+                window.appEnhancements.showMessage('Error importing calendar: ' + error.message, 'error');
+            } else {
+                alert('Error importing calendar: ' + error.message);
+            }
+            return;
+        }
+
+        const added = [];
+        if (report.events > 0) added.push(`${report.events} event${report.events === 1 ? '' : 's'}`);
+        if (report.plannerEvents > 0) added.push(`${report.plannerEvents} planner block${report.plannerEvents === 1 ? '' : 's'}`);
+        let html = `<p><strong>${added.length > 0 ? `Imported ${added.join(' and ')}.` : 'Nothing new to import.'}</strong>`;
+        if (report.duplicates > 0) {
+            html += ` Skipped ${report.duplicates} already in Track Deez.`;
+        }
+        html += '</p>';
+        if (report.warnings.length > 0) {
+            html += `
+                <p>Some items couldn't be imported exactly:</p>
+                <ul>
+                    ${report.warnings.map(w => `<li><strong>${this.escapeHtml(w.summary)}</strong>: ${this.escapeHtml(w.message)}</li>`).join('')}
+                </ul>
+            `;
+        }
+        const reportEl = document.getElementById('ics-import-report');
+        reportEl.innerHTML = html;
+        reportEl.style.display = 'block';
+        document.getElementById('ics-import-form').reset();
+
+        this.renderTodayView();
+        this.renderCalendarView();
+    }
+
+    exportCalendar() {
+        const blob = new Blob([this.dataManager.exportCalendar()], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `track-deez-calendar-${new Date().toISOString().split('T')[0]}.ics`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
     async clearData() {
         if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
             await this.dataManager.clearAllData();
+            this.refreshStreaks();
             this.renderTodayView();
             this.renderCalendarView();
             this.renderStatsView();
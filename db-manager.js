@@ -4,7 +4,7 @@
 class DBManager {
     constructor() {
         this.dbName = 'TrackDeezDB';
-        this.version = 4; // Incremented for plannerEvents, events, and templates stores
+        this.version = 7; // Incremented for dayTemplates store
         this.db = null;
         this.isIndexedDBAvailable = this.checkIndexedDBSupport();
     }
@@ -61,6 +61,18 @@ class DBManager {
                 if (!db.objectStoreNames.contains('templates')) {
                     db.createObjectStore('templates', { keyPath: 'id' });
                 }
+
+                if (!db.objectStoreNames.contains('pauses')) {
+                    db.createObjectStore('pauses', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('habitGroups')) {
+                    db.createObjectStore('habitGroups', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('dayTemplates')) {
+                    db.createObjectStore('dayTemplates', { keyPath: 'id' });
+                }
             };
         });
     }
@@ -177,5 +189,8 @@ class DBManager {
         await this.clear('plannerEvents');
         await this.clear('events');
         await this.clear('templates');
+        await this.clear('pauses');
+        await this.clear('habitGroups');
+        await this.clear('dayTemplates');
     }
 }
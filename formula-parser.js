@@ -0,0 +1,224 @@
+// Formula Parser for Track Deez
+// Parses arithmetic expressions for calculated tracking fields, e.g.
+// "sleep_end - sleep_start" or "calories_in - calories_out", without eval
+
+const FORMULA_FUNCTIONS = {
+    min: (...args) => Math.min(...args),
+    max: (...args) => Math.max(...args),
+    abs: (x) => Math.abs(x),
+    round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits
+};
+
+const MINUTES_PER_DAY = 1440;
+
+class FormulaParser {
+    /**
+     * Parse an expression into a syntax tree
+     * Supports numbers, variables, + - * / %, parentheses and min/max/abs/round
+     * @param {string} source - Expression text
+     * @returns {Object} Syntax tree
+     * @throws {Error} With a readable message when the expression is invalid
+     */
+    static parse(source) {
+        const parser = new FormulaParser(FormulaParser.tokenize(String(source || '')));
+        if (parser.tokens.length === 0) {
+            throw new Error('Enter a formula');
+        }
+        const tree = parser.parseExpression();
+        if (parser.peek()) {
+            throw new Error(`Unexpected "${parser.peek().text}"`);
+        }
+        return tree;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%(),]))/y;
+        let index = 0;
+
+        while (index < source.length) {
+            if (/^\s*$/.test(source.slice(index))) break;
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`Unexpected "${source.slice(index).trim()[0]}"`);
+            }
+            if (match[1] !== undefined) tokens.push({ type: 'number', text: match[1], value: parseFloat(match[1]) });
+            else if (match[2] !== undefined) tokens.push({ type: 'name', text: match[2] });
+            else tokens.push({ type: 'symbol', text: match[3] });
+            index = pattern.lastIndex;
+        }
+        return tokens;
+    }
+
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    // Consume the next token if it's one of the given symbols
+    accept(...symbols) {
+        const token = this.peek();
+        if (token && token.type === 'symbol' && symbols.includes(token.text)) {
+            this.position++;
+            return token.text;
+        }
+        return null;
+    }
+
+    expect(symbol) {
+        if (!this.accept(symbol)) {
+            const token = this.peek();
+            throw new Error(token ? `Expected "${symbol}" but found "${token.text}"` : `Missing "${symbol}"`);
+        }
+    }
+
+    // expression := term (("+" | "-") term)*
+    parseExpression() {
+        let node = this.parseTerm();
+        let op;
+        while ((op = this.accept('+', '-'))) {
+            node = { type: 'binary', op, left: node, right: this.parseTerm() };
+        }
+        return node;
+    }
+
+    // term := unary (("*" | "/" | "%") unary)*
+    parseTerm() {
+        let node = this.parseUnary();
+        let op;
+        while ((op = this.accept('*', '/', '%'))) {
+            node = { type: 'binary', op, left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    // unary := ("-" | "+") unary | primary
+    parseUnary() {
+        const op = this.accept('-', '+');
+        if (op) {
+            const operand = this.parseUnary();
+            return op === '-' ? { type: 'negate', operand } : operand;
+        }
+        return this.parsePrimary();
+    }
+
+    // primary := number | name | name "(" arguments ")" | "(" expression ")"
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) {
+            throw new Error('Formula ends unexpectedly');
+        }
+
+        if (token.type === 'number') {
+            this.position++;
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            this.position++;
+            if (!this.accept('(')) {
+                return { type: 'variable', name: token.text };
+            }
+            const name = token.text.toLowerCase();
+            // Own keys only, so names like "constructor" or "__proto__" aren't treated as functions
+            if (!Object.hasOwn(FORMULA_FUNCTIONS, name)) {
+                throw new Error(`Unknown function "${token.text}"`);
+            }
+            const args = [];
+            if (!this.accept(')')) {
+                do {
+                    args.push(this.parseExpression());
+                } while (this.accept(','));
+                this.expect(')');
+            }
+            if (args.length === 0) {
+                throw new Error(`${name}() needs at least one value`);
+            }
+            return { type: 'call', name, args };
+        }
+
+        if (this.accept('(')) {
+            const node = this.parseExpression();
+            this.expect(')');
+            return node;
+        }
+
+        throw new Error(`Unexpected "${token.text}"`);
+    }
+
+    /**
+     * Names of all variables used in a syntax tree
+     * @param {Object} tree - Tree from parse()
+     * @returns {string[]} Unique variable names
+     */
+    static getVariables(tree) {
+        const names = new Set();
+        const visit = (node) => {
+            if (node.type === 'variable') names.add(node.name);
+            else if (node.type === 'binary') { visit(node.left); visit(node.right); }
+            else if (node.type === 'negate') visit(node.operand);
+            else if (node.type === 'call') node.args.forEach(visit);
+        };
+        visit(tree);
+        return [...names];
+    }
+
+    /**
+     * Evaluate a syntax tree
+     * Subtracting one time of day from another gives the minutes between them,
+     * wrapping past midnight, so "wake - bedtime" works for overnight sleep.
+     * @param {Object} tree - Tree from parse()
+     * @param {Function} resolve - (name) => { value, isTime } or null when there is no value
+     * @returns {number|null} Result, or null when a value is missing or the maths is undefined
+     */
+    static evaluate(tree, resolve) {
+        const result = FormulaParser.evaluateNode(tree, resolve);
+        return result && Number.isFinite(result.value) ? result.value : null;
+    }
+
+    static evaluateNode(node, resolve) {
+        switch (node.type) {
+            case 'number':
+                return { value: node.value, isTime: false };
+            case 'variable':
+                return resolve(node.name);
+            case 'negate': {
+                const operand = FormulaParser.evaluateNode(node.operand, resolve);
+                return operand ? { value: -operand.value, isTime: false } : null;
+            }
+            case 'call': {
+                const args = node.args.map(arg => FormulaParser.evaluateNode(arg, resolve));
+                if (args.some(arg => !arg) || !Object.hasOwn(FORMULA_FUNCTIONS, node.name)) return null;
+                return { value: FORMULA_FUNCTIONS[node.name](...args.map(arg => arg.value)), isTime: false };
+            }
+            case 'binary': {
+                const left = FormulaParser.evaluateNode(node.left, resolve);
+                const right = FormulaParser.evaluateNode(node.right, resolve);
+                if (!left || !right) return null;
+
+                switch (node.op) {
+                    case '+':
+                        return { value: left.value + right.value, isTime: left.isTime !== right.isTime };
+                    case '-':
+                        if (left.isTime && right.isTime) {
+                            const minutes = (left.value - right.value) % MINUTES_PER_DAY;
+                            return { value: minutes < 0 ? minutes + MINUTES_PER_DAY : minutes, isTime: false };
+                        }
+                        return { value: left.value - right.value, isTime: left.isTime && !right.isTime };
+                    case '*':
+                        return { value: left.value * right.value, isTime: false };
+                    case '/':
+                        return right.value === 0 ? null : { value: left.value / right.value, isTime: false };
+                    case '%':
+                        return right.value === 0 ? null : { value: left.value % right.value, isTime: false };
+                }
+            }
+        }
+        return null;
+    }
+}
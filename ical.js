@@ -0,0 +1,231 @@
+// iCalendar (RFC 5545) reading and writing for Track Deez
+// Handles the text format only; mapping to events lives in DataManager
+
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICAL_LINE_OCTETS = 75; // longest content line before it must be folded
+
+class ICalendar {
+    /**
+     * Parse calendar text into nested components
+     * @param {string} text - Contents of an .ics file
+     * @returns {Object[]} Top-level VCALENDAR components as { type, properties, components },
+     *   where each property is { name, params, value }
+     * @throws {Error} When the text isn't an iCalendar file
+     */
+    static parse(text) {
+        // Unfold continuation lines, which start with a space or tab
+        const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const root = { type: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            const property = ICalendar.parseLine(line);
+            if (!property) return;
+            const current = stack[stack.length - 1];
+
+            if (property.name === 'BEGIN') {
+                const component = { type: property.value.toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                if (stack.length > 1) stack.pop();
+            } else {
+                current.properties.push(property);
+            }
+        });
+
+        const calendars = root.components.filter(c => c.type === 'VCALENDAR');
+        if (calendars.length === 0) {
+            throw new Error('This file is not an iCalendar (.ics) file');
+        }
+        return calendars;
+    }
+
+    // NAME;PARAM=value;PARAM="quoted:value":VALUE
+    static parseLine(line) {
+        let index = 0;
+        let inQuotes = false;
+        while (index < line.length) {
+            const char = line[index];
+            if (char === '"') inQuotes = !inQuotes;
+            else if (char === ':' && !inQuotes) break;
+            index++;
+        }
+        if (index >= line.length) return null;
+
+        const [name, ...paramParts] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) || [];
+        if (!name) return null;
+        const params = {};
+        paramParts.forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator === -1) return;
+            params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+    }
+
+    static getProperty(component, name) {
+        return component.properties.find(p => p.name === name) || null;
+    }
+
+    static getProperties(component, name) {
+        return component.properties.filter(p => p.name === name);
+    }
+
+    static unescapeText(value) {
+        return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+
+    static escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Read a DATE or DATE-TIME property as a local date and time
+     * UTC values and values with a known TZID are converted to the device's time zone;
+     * floating values are taken as written
+     * @param {Object} property - Property from parse()
+     * @returns {Object[]} One { date: 'YYYY-MM-DD', time: 'HH:MM'|null, unknownZone } per listed value
+     */
+    static parseDateTimes(property) {
+        const tzid = property.params.TZID;
+        return property.value.split(',').filter(Boolean).map(value => {
+            const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+            if (!match) {
+                throw new Error(`Unreadable date "${value}"`);
+            }
+            const [, year, month, day, hours, minutes, , utc] = match;
+            if (hours === undefined || property.params.VALUE === 'DATE') {
+                return { date: `${year}-${month}-${day}`, time: null, unknownZone: null };
+            }
+
+            const fields = [year, month, day, hours, minutes].map(Number);
+            let instant = null;
+            let unknownZone = null;
+            if (utc) {
+                instant = new Date(Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4]));
+            } else if (tzid) {
+                instant = ICalendar.zonedTimeToDate(fields, tzid);
+                if (!instant) unknownZone = tzid;
+            }
+            if (!instant) {
+                return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}`, unknownZone };
+            }
+            return { ...ICalendar.toLocalParts(instant), unknownZone: null };
+        });
+    }
+
+    static toLocalParts(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return {
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+        };
+    }
+
+    // Wall-clock time in an IANA time zone to an instant, or null when the zone is unknown
+    static zonedTimeToDate([year, month, day, hours, minutes], tzid) {
+        const wallTime = Date.UTC(year, month - 1, day, hours, minutes);
+        const firstOffset = ICalendar.getZoneOffset(wallTime, tzid);
+        if (firstOffset === null) return null;
+        // A second pass settles times near a daylight saving change
+        const offset = ICalendar.getZoneOffset(wallTime - firstOffset, tzid);
+        return new Date(wallTime - offset);
+    }
+
+    // Milliseconds the zone is ahead of UTC at an instant
+    static getZoneOffset(timestamp, tzid) {
+        let format;
+        try {
+            format = new Intl.DateTimeFormat('en-US', {
+                timeZone: tzid, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+            });
+        } catch (error) {
+            return null;
+        }
+        const parts = {};
+        format.formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = Number(part.value); });
+        const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        return zoned - Math.floor(timestamp / 60000) * 60000;
+    }
+
+    /**
+     * Length of a DURATION value such as PT1H30M or P1D
+     * @param {string} value - Duration text
+     * @returns {number|null} Minutes, or null when unreadable
+     */
+    static parseDuration(value) {
+        const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 1440
+            + Number(hours || 0) * 60 + Number(minutes || 0) + Math.floor(Number(seconds || 0) / 60);
+        return sign === '-' ? -total : total;
+    }
+
+    // FREQ=WEEKLY;BYDAY=MO,WE -> { FREQ: 'WEEKLY', BYDAY: 'MO,WE' }
+    static parseRecurrenceRule(value) {
+        const rule = {};
+        String(value || '').split(';').forEach(part => {
+            const [key, ...rest] = part.split('=');
+            if (key) rule[key.trim().toUpperCase()] = rest.join('=').trim().toUpperCase();
+        });
+        return rule;
+    }
+
+    static formatRecurrenceRule(rule) {
+        return Object.entries(rule).map(([key, value]) => `${key}=${value}`).join(';');
+    }
+
+    // 'YYYY-MM-DD' -> 'YYYYMMDD'
+    static formatDate(dateStr) {
+        return dateStr.replace(/-/g, '');
+    }
+
+    // Floating local time, e.g. 20261018T093000
+    static formatDateTime(dateStr, time) {
+        return `${ICalendar.formatDate(dateStr)}T${time.replace(':', '')}00`;
+    }
+
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    static formatLine(name, value, params = {}) {
+        const paramText = Object.entries(params).map(([key, param]) => `;${key}=${param}`).join('');
+        return `${name}${paramText}:${value}`;
+    }
+
+    /**
+     * Join content lines into file text, folding long lines as the spec requires
+     * @param {string[]} lines - Unfolded content lines
+     * @returns {string} Calendar text with CRLF line endings
+     */
+    static stringify(lines) {
+        const encoder = new TextEncoder();
+        return lines.map(line => {
+            const folded = [];
+            let current = '';
+            let octets = 0;
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                // Continuation lines lose one octet to their leading space
+                if (octets + size > ICAL_LINE_OCTETS - (folded.length > 0 ? 1 : 0)) {
+                    folded.push(current);
+                    current = '';
+                    octets = 0;
+                }
+                current += char;
+                octets += size;
+            }
+            folded.push(current);
+            return folded.join('\r\n ');
+        }).join('\r\n') + '\r\n';
+    }
+}
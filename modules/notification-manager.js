@@ -3,7 +3,7 @@
  * @module notification-manager
  */
 
-import { NOTIFICATION_DEFAULTS } from '../utils/constants.js';
+import { NOTIFICATION_DEFAULTS, TIME_OF_DAY_SECTIONS } from '../utils/constants.js';
 import { environment } from '../config.js';
 import { showToast } from './ui-helpers.js';
 
@@ -12,7 +12,7 @@ export class NotificationManager {
         this.enabled = false;
         this.permission = 'default';
         this.dailyReminderTime = NOTIFICATION_DEFAULTS.dailyReminderTime;
-        this.habitReminders = {}; // habitId -> time string
+        this.habitReminders = {}; // habitId -> { name, time, timeOfDay }
         this.activeTimers = {}; // Store timeout IDs for proper cleanup
         
         this.init();
@@ -32,9 +32,10 @@ export class NotificationManager {
         // Load settings from localStorage
         this.loadSettings();
         
-        // Set up daily reminder if enabled
+        // Set up daily and habit reminders if enabled
         if (this.enabled && this.permission === 'granted') {
             this.scheduleDailyReminder();
+            this.scheduleAllHabitReminders();
         }
     }
     
@@ -79,7 +80,11 @@ export class NotificationManager {
     async enable() {
         const granted = await this.requestPermission();
         if (granted) {
+            // Permission may have been granted earlier while notifications were off
+            this.enabled = true;
+            this.saveSettings();
             this.scheduleDailyReminder();
+            this.scheduleAllHabitReminders();
         }
         return granted;
     }
@@ -173,15 +178,39 @@ export class NotificationManager {
      * Set habit-specific reminder
      * @param {string} habitId - Habit ID
      * @param {string} habitName - Habit name
-     * @param {string} time - Time in HH:MM format
+     * @param {string|null} time - Time in HH:MM format, or null to use the time-of-day default
+     * @param {string|null} timeOfDay - Habit time-of-day section (morning, afternoon, evening, anytime)
      */
-    setHabitReminder(habitId, habitName, time) {
-        this.habitReminders[habitId] = { name: habitName, time };
+    setHabitReminder(habitId, habitName, time = null, timeOfDay = null) {
+        const reminder = { name: habitName, time: time || null, timeOfDay: timeOfDay || 'anytime' };
+        this.habitReminders[habitId] = reminder;
         this.saveSettings();
         
         if (this.enabled && this.permission === 'granted') {
-            this.scheduleHabitReminder(habitId, habitName, time);
+            this.scheduleHabitReminder(habitId, habitName, this.getHabitReminderTime(reminder));
+        }
+    }
+    
+    /**
+     * Get the time a habit reminder fires at
+     * @param {Object} reminder - Stored habit reminder
+     * @returns {string} Time in HH:MM format
+     */
+    getHabitReminderTime(reminder) {
+        if (reminder.time) {
+            return reminder.time;
         }
+        const section = TIME_OF_DAY_SECTIONS.find(s => s.id === reminder.timeOfDay);
+        return section ? section.reminderTime : this.dailyReminderTime;
+    }
+    
+    /**
+     * Schedule every stored habit reminder
+     */
+    scheduleAllHabitReminders() {
+        Object.entries(this.habitReminders).forEach(([habitId, reminder]) => {
+            this.scheduleHabitReminder(habitId, reminder.name, this.getHabitReminderTime(reminder));
+        });
     }
     
     /**
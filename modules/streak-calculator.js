@@ -6,13 +6,35 @@
 import { formatDate, parseDate, addDays, getTodayString, compareDates } from '../utils/date-utils.js';
 import { STREAK_MILESTONES } from '../utils/constants.js';
 
+/**
+ * Default schedule predicate: every day is due
+ * @returns {boolean} Always true
+ */
+const everyDay = () => true;
+
+/**
+ * Find the earliest date that has any data, so backward scans know where history ends
+ * @param {Object} daysData - Days data object from DataManager
+ * @returns {Date|null} Earliest date or null if there is no data
+ */
+function getEarliestDate(daysData) {
+    let earliest = null;
+    for (const dateStr of Object.keys(daysData)) {
+        if (earliest === null || dateStr < earliest) {
+            earliest = dateStr;
+        }
+    }
+    return earliest ? parseDate(earliest) : null;
+}
+
 /**
  * Calculate the current streak for a habit
  * @param {string} habitId - Habit ID
  * @param {Object} daysData - Days data object from DataManager
+ * @param {Function} [isDue] - Predicate (date) => boolean; missed days that aren't due (or are paused/frozen) don't break the streak
  * @returns {number} Current streak count
  */
-export function calculateCurrentStreak(habitId, daysData) {
+export function calculateCurrentStreak(habitId, daysData, isDue = everyDay) {
     // Early return if no days data exists
     if (!daysData || Object.keys(daysData).length === 0) {
         return 0;
@@ -22,12 +44,11 @@ export function calculateCurrentStreak(habitId, daysData) {
     let streak = 0;
     let currentDate = parseDate(today);
     
-    // Limit iterations to prevent infinite loops (max 365 days)
-    const maxIterations = 365;
-    let iterations = 0;
+    // Nothing can be completed before the first recorded day, so stop there
+    const earliestDate = getEarliestDate(daysData);
     
     // Start from today and count backwards
-    while (iterations < maxIterations) {
+    while (currentDate >= earliestDate) {
         const dateStr = formatDate(currentDate);
         const dayData = daysData[dateStr];
         
@@ -35,12 +56,13 @@ export function calculateCurrentStreak(habitId, daysData) {
         if (dayData && dayData.habits && dayData.habits[habitId] === true) {
             streak++;
             currentDate = addDays(currentDate, -1);
+        } else if (!isDue(currentDate) || dateStr === today) {
+            // Not scheduled, excused, or today still in progress - skip without breaking the streak
+            currentDate = addDays(currentDate, -1);
         } else {
             // Streak is broken
             break;
         }
-        
-        iterations++;
     }
     
     return streak;
@@ -51,9 +73,10 @@ export function calculateCurrentStreak(habitId, daysData) {
  * @param {string} habitId - Habit ID
  * @param {Object} daysData - Days data object from DataManager
  * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean; missed days that aren't due don't break a streak
  * @returns {Object} Longest streak info {count, startDate, endDate}
  */
-export function calculateLongestStreak(habitId, daysData, habitCreatedAt) {
+export function calculateLongestStreak(habitId, daysData, habitCreatedAt, isDue = everyDay) {
     const createdDate = new Date(habitCreatedAt);
     const today = new Date();
     
@@ -63,6 +86,7 @@ export function calculateLongestStreak(habitId, daysData, habitCreatedAt) {
     
     let currentStreakCount = 0;
     let currentStreakStart = null;
+    let lastCompletedDate = null;
     
     // Iterate through all days from creation to today
     let currentDate = new Date(createdDate.getFullYear(), createdDate.getMonth(), createdDate.getDate());
@@ -76,11 +100,12 @@ export function calculateLongestStreak(habitId, daysData, habitCreatedAt) {
                 currentStreakStart = new Date(currentDate);
             }
             currentStreakCount++;
-        } else {
+            lastCompletedDate = new Date(currentDate);
+        } else if (isDue(currentDate)) {
             if (currentStreakCount > longestStreak) {
                 longestStreak = currentStreakCount;
                 longestStart = currentStreakStart;
-                longestEnd = addDays(currentDate, -1);
+                longestEnd = lastCompletedDate;
             }
             currentStreakCount = 0;
             currentStreakStart = null;
@@ -93,7 +118,7 @@ export function calculateLongestStreak(habitId, daysData, habitCreatedAt) {
     if (currentStreakCount > longestStreak) {
         longestStreak = currentStreakCount;
         longestStart = currentStreakStart;
-        longestEnd = new Date(today);
+        longestEnd = lastCompletedDate;
     }
     
     return {
@@ -108,15 +133,17 @@ export function calculateLongestStreak(habitId, daysData, habitCreatedAt) {
  * @param {string} habitId - Habit ID
  * @param {Object} daysData - Days data object from DataManager
  * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean; missed days that aren't due don't break a streak
  * @returns {Array} Array of streak objects {count, startDate, endDate}
  */
-export function getAllStreaks(habitId, daysData, habitCreatedAt) {
+export function getAllStreaks(habitId, daysData, habitCreatedAt, isDue = everyDay) {
     const createdDate = new Date(habitCreatedAt);
     const today = new Date();
     
     const streaks = [];
     let currentStreakCount = 0;
     let currentStreakStart = null;
+    let lastCompletedDate = null;
     
     let currentDate = new Date(createdDate.getFullYear(), createdDate.getMonth(), createdDate.getDate());
     
@@ -129,12 +156,13 @@ export function getAllStreaks(habitId, daysData, habitCreatedAt) {
                 currentStreakStart = new Date(currentDate);
             }
             currentStreakCount++;
-        } else {
+            lastCompletedDate = new Date(currentDate);
+        } else if (isDue(currentDate)) {
             if (currentStreakCount > 0) {
                 streaks.push({
                     count: currentStreakCount,
                     startDate: formatDate(currentStreakStart),
-                    endDate: formatDate(addDays(currentDate, -1))
+                    endDate: formatDate(lastCompletedDate)
                 });
             }
             currentStreakCount = 0;
@@ -149,13 +177,105 @@ export function getAllStreaks(habitId, daysData, habitCreatedAt) {
         streaks.push({
             count: currentStreakCount,
             startDate: formatDate(currentStreakStart),
-            endDate: formatDate(today)
+            endDate: formatDate(lastCompletedDate)
         });
     }
     
     return streaks;
 }
 
+/**
+ * Count "days clean" for a negative habit: consecutive days without a slip,
+ * counting back from today to the last slip or the habit's creation
+ * @param {string} habitId - Habit ID
+ * @param {Object} daysData - Days data object from DataManager
+ * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean; days that aren't due are skipped without counting
+ * @returns {number} Days clean
+ */
+export function calculateCleanDays(habitId, daysData, habitCreatedAt, isDue = everyDay) {
+    const createdDate = new Date(habitCreatedAt);
+    const startDate = new Date(createdDate.getFullYear(), createdDate.getMonth(), createdDate.getDate());
+    
+    let cleanDays = 0;
+    let currentDate = parseDate(getTodayString());
+    
+    while (currentDate >= startDate) {
+        const dayData = daysData[formatDate(currentDate)];
+        
+        // A logged occurrence is a slip and ends the clean run
+        if (dayData && dayData.habits && dayData.habits[habitId] === true) {
+            break;
+        }
+        
+        if (isDue(currentDate)) {
+            cleanDays++;
+        }
+        
+        currentDate = addDays(currentDate, -1);
+    }
+    
+    return cleanDays;
+}
+
+/**
+ * Find the longest run of clean days for a negative habit
+ * @param {string} habitId - Habit ID
+ * @param {Object} daysData - Days data object from DataManager
+ * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean; days that aren't due are skipped without counting
+ * @returns {Object} Longest clean run info {count, startDate, endDate}
+ */
+export function calculateLongestCleanRun(habitId, daysData, habitCreatedAt, isDue = everyDay) {
+    const createdDate = new Date(habitCreatedAt);
+    const today = new Date();
+    
+    let longestRun = 0;
+    let longestStart = null;
+    let longestEnd = null;
+    
+    let runCount = 0;
+    let runStart = null;
+    let lastCleanDate = null;
+    
+    let currentDate = new Date(createdDate.getFullYear(), createdDate.getMonth(), createdDate.getDate());
+    
+    while (currentDate <= today) {
+        const dayData = daysData[formatDate(currentDate)];
+        
+        if (dayData && dayData.habits && dayData.habits[habitId] === true) {
+            if (runCount > longestRun) {
+                longestRun = runCount;
+                longestStart = runStart;
+                longestEnd = lastCleanDate;
+            }
+            runCount = 0;
+            runStart = null;
+        } else if (isDue(currentDate)) {
+            if (runCount === 0) {
+                runStart = new Date(currentDate);
+            }
+            runCount++;
+            lastCleanDate = new Date(currentDate);
+        }
+        
+        currentDate = addDays(currentDate, 1);
+    }
+    
+    // Check if the ongoing run is the longest
+    if (runCount > longestRun) {
+        longestRun = runCount;
+        longestStart = runStart;
+        longestEnd = lastCleanDate;
+    }
+    
+    return {
+        count: longestRun,
+        startDate: longestStart ? formatDate(longestStart) : null,
+        endDate: longestEnd ? formatDate(longestEnd) : null
+    };
+}
+
 /**
  * Check if a streak milestone was just reached
  * @param {number} previousStreak - Previous streak count
@@ -176,11 +296,12 @@ export function checkMilestone(previousStreak, currentStreak) {
  * @param {string} habitId - Habit ID
  * @param {Object} daysData - Days data object from DataManager
  * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean for the habit's schedule
  * @returns {Object} Streak status object
  */
-export function getStreakStatus(habitId, daysData, habitCreatedAt) {
-    const current = calculateCurrentStreak(habitId, daysData);
-    const longest = calculateLongestStreak(habitId, daysData, habitCreatedAt);
+export function getStreakStatus(habitId, daysData, habitCreatedAt, isDue = everyDay) {
+    const current = calculateCurrentStreak(habitId, daysData, isDue);
+    const longest = calculateLongestStreak(habitId, daysData, habitCreatedAt, isDue);
     
     const today = getTodayString();
     const yesterday = formatDate(addDays(new Date(), -1));
@@ -199,6 +320,31 @@ export function getStreakStatus(habitId, daysData, habitCreatedAt) {
     };
 }
 
+/**
+ * Get clean-day status for a negative habit, shaped like getStreakStatus
+ * @param {string} habitId - Habit ID
+ * @param {Object} daysData - Days data object from DataManager
+ * @param {string} habitCreatedAt - ISO date string when habit was created
+ * @param {Function} [isDue] - Predicate (date) => boolean for the habit's schedule
+ * @returns {Object} Streak status object with current = days clean
+ */
+export function getCleanStreakStatus(habitId, daysData, habitCreatedAt, isDue = everyDay) {
+    const current = calculateCleanDays(habitId, daysData, habitCreatedAt, isDue);
+    const longest = calculateLongestCleanRun(habitId, daysData, habitCreatedAt, isDue);
+    
+    const today = getTodayString();
+    
+    return {
+        current,
+        longest: longest.count,
+        longestPeriod: longest,
+        slippedToday: daysData[today]?.habits?.[habitId] === true,
+        isNegative: true,
+        isActive: current > 0,
+        nextMilestone: getNextMilestone(current)
+    };
+}
+
 /**
  * Get the next milestone for a streak
  * @param {number} currentStreak - Current streak count
@@ -217,14 +363,18 @@ export function getNextMilestone(currentStreak) {
  * Calculate streak statistics for all habits
  * @param {Array} habits - Array of habit objects
  * @param {Object} daysData - Days data object from DataManager
+ * @param {Function} [isHabitDue] - Predicate (habit, date) => boolean, e.g. DataManager.isHabitDue
  * @returns {Object} Map of habitId to streak status
  */
-export function calculateAllStreaks(habits, daysData) {
+export function calculateAllStreaks(habits, daysData, isHabitDue = null) {
     const streakStats = {};
     
     for (const habit of habits) {
         if (!habit.archived) {
-            streakStats[habit.id] = getStreakStatus(habit.id, daysData, habit.createdAt);
+            const isDue = isHabitDue ? (date) => isHabitDue(habit, date) : everyDay;
+            streakStats[habit.id] = habit.kind === 'negative'
+                ? getCleanStreakStatus(habit.id, daysData, habit.createdAt, isDue)
+                : getStreakStatus(habit.id, daysData, habit.createdAt, isDue);
         }
     }
     
@@ -253,9 +403,11 @@ export function getTopStreaks(streakStats, habits) {
  * Check if streak will break if habit not completed today
  * @param {string} habitId - Habit ID
  * @param {Object} daysData - Days data object from DataManager
+ * @param {Function} [isDue] - Predicate (date) => boolean for the habit's schedule
+ * @param {number} [freezesRemaining] - Freeze days left this month; a miss today would use one
  * @returns {boolean} True if streak at risk
  */
-export function isStreakAtRisk(habitId, daysData) {
+export function isStreakAtRisk(habitId, daysData, isDue = everyDay, freezesRemaining = 0) {
     const today = getTodayString();
     const completedToday = daysData[today]?.habits?.[habitId] === true;
     
@@ -263,6 +415,262 @@ export function isStreakAtRisk(habitId, daysData) {
         return false; // Already completed today
     }
     
-    const currentStreak = calculateCurrentStreak(habitId, daysData);
+    if (!isDue(parseDate(today))) {
+        return false; // Not scheduled or paused today
+    }
+    
+    if (freezesRemaining > 0) {
+        return false; // A miss would be covered by a freeze
+    }
+    
+    const currentStreak = calculateCurrentStreak(habitId, daysData, isDue);
     return currentStreak > 0; // Streak exists but not completed today
 }
+
+/**
+ * Classify one day for a habit's streak
+ * A day's result may only depend on that day and earlier ones, which is what
+ * lets the cache rescan from a changed date instead of from the beginning.
+ * @param {Object} habit - Habit object
+ * @param {Object} daysData - Days data object from DataManager
+ * @param {Date} date - Day to classify
+ * @param {string} today - Today's date string
+ * @param {Function} isDue - Predicate (date) => boolean for the habit's schedule
+ * @returns {string} 'hit' (counts), 'skip' (neither counts nor breaks) or 'break'
+ */
+function classifyStreakDay(habit, daysData, date, today, isDue) {
+    const dateStr = formatDate(date);
+    const logged = daysData[dateStr]?.habits?.[habit.id] === true;
+    
+    if (habit.kind === 'negative') {
+        // A logged occurrence is a slip; every other scheduled day is clean
+        if (logged) return 'break';
+        return isDue(date) ? 'hit' : 'skip';
+    }
+    
+    if (logged) return 'hit';
+    // Not scheduled, excused, or today still in progress
+    if (!isDue(date) || dateStr === today) return 'skip';
+    return 'break';
+}
+
+/**
+ * Scan a date range into streak runs
+ * @param {Object} habit - Habit object
+ * @param {Object} daysData - Days data object from DataManager
+ * @param {Date} fromDate - First day to scan
+ * @param {Function} isDue - Predicate (date) => boolean for the habit's schedule
+ * @returns {Object} {runs: Array of {count, startDate, endDate}, current: length of the run still going today}
+ */
+function scanStreakRuns(habit, daysData, fromDate, isDue) {
+    const today = getTodayString();
+    const endDate = parseDate(today);
+    
+    const runs = [];
+    let runCount = 0;
+    let runStart = null;
+    let lastHit = null;
+    
+    for (let date = new Date(fromDate); date <= endDate; date = addDays(date, 1)) {
+        const result = classifyStreakDay(habit, daysData, date, today, isDue);
+        
+        if (result === 'hit') {
+            if (runCount === 0) {
+                runStart = formatDate(date);
+            }
+            runCount++;
+            lastHit = formatDate(date);
+        } else if (result === 'break') {
+            if (runCount > 0) {
+                runs.push({ count: runCount, startDate: runStart, endDate: lastHit });
+            }
+            runCount = 0;
+        }
+    }
+    
+    if (runCount > 0) {
+        runs.push({ count: runCount, startDate: runStart, endDate: lastHit });
+    }
+    
+    return { runs, current: runCount };
+}
+
+/**
+ * Cached, incrementally updated streaks for every habit
+ *
+ * Each habit keeps its history as a list of streak runs. Changing a day only
+ * rescans from the start of the run that was in progress on that day, so a
+ * toggle costs roughly the length of one streak rather than the whole history,
+ * and there is no cap on how far back streaks go.
+ */
+export class StreakCache {
+    /**
+     * @param {Function} getHabits - () => array of habit objects
+     * @param {Function} getDaysData - () => days data object from DataManager
+     * @param {Function} [isHabitDue] - Predicate (habit, date) => boolean, e.g. DataManager.isHabitDueForStreak
+     */
+    constructor(getHabits, getDaysData, isHabitDue = null) {
+        this.getHabits = getHabits;
+        this.getDaysData = getDaysData;
+        this.isHabitDue = isHabitDue;
+        this.entries = {}; // habitId -> { runs, current, scanStart, computedOn, dirtyFrom }
+    }
+    
+    /**
+     * Mark a habit's streak as changed from a date onwards
+     * @param {string} habitId - Habit ID
+     * @param {Date|string} date - First day whose data changed
+     */
+    invalidate(habitId, date) {
+        const entry = this.entries[habitId];
+        if (!entry) return;
+        
+        const dateStr = typeof date === 'string' ? date : formatDate(date);
+        if (entry.dirtyFrom === null || dateStr < entry.dirtyFrom) {
+            entry.dirtyFrom = dateStr;
+        }
+    }
+    
+    /**
+     * Drop cached streaks for one habit, or for all habits when no ID is given
+     * (schedule edits, pauses, imports)
+     * @param {string} [habitId] - Habit ID
+     */
+    invalidateAll(habitId = null) {
+        if (habitId) {
+            delete this.entries[habitId];
+        } else {
+            this.entries = {};
+        }
+    }
+    
+    /**
+     * Get streak status for a habit, shaped like getStreakStatus / getCleanStreakStatus
+     * @param {string} habitId - Habit ID
+     * @returns {Object|null} Streak status or null if the habit doesn't exist
+     */
+    getStatus(habitId) {
+        const habit = this.getHabits().find(h => h.id === habitId);
+        if (!habit) return null;
+        
+        const entry = this.refresh(habit);
+        const daysData = this.getDaysData();
+        const today = getTodayString();
+        
+        let longest = { count: 0, startDate: null, endDate: null };
+        entry.runs.forEach(run => {
+            if (run.count > longest.count) {
+                longest = { ...run };
+            }
+        });
+        
+        const status = {
+            current: entry.current,
+            longest: longest.count,
+            longestPeriod: longest,
+            isActive: entry.current > 0,
+            nextMilestone: getNextMilestone(entry.current)
+        };
+        
+        if (habit.kind === 'negative') {
+            status.slippedToday = daysData[today]?.habits?.[habitId] === true;
+            status.isNegative = true;
+        } else {
+            const yesterday = formatDate(addDays(parseDate(today), -1));
+            status.completedToday = daysData[today]?.habits?.[habitId] === true;
+            status.completedYesterday = daysData[yesterday]?.habits?.[habitId] === true;
+        }
+        
+        return status;
+    }
+    
+    /**
+     * Get streak status for every active habit
+     * @returns {Object} Map of habitId to streak status
+     */
+    getAllStatuses() {
+        const statuses = {};
+        this.getHabits().forEach(habit => {
+            if (!habit.archived) {
+                statuses[habit.id] = this.getStatus(habit.id);
+            }
+        });
+        return statuses;
+    }
+    
+    /**
+     * Bring a habit's cached runs up to date, rescanning only what changed
+     * @param {Object} habit - Habit object
+     * @returns {Object} Cache entry
+     */
+    refresh(habit) {
+        const daysData = this.getDaysData();
+        const isDue = this.isHabitDue ? (date) => this.isHabitDue(habit, date) : everyDay;
+        const today = getTodayString();
+        let entry = this.entries[habit.id];
+        
+        // Yesterday was "in progress" when last scanned, so a new day rescans from it
+        if (entry && entry.computedOn !== today) {
+            this.invalidate(habit.id, entry.computedOn);
+        }
+        
+        if (entry && entry.dirtyFrom !== null && entry.dirtyFrom < entry.scanStart) {
+            // Data changed before the scanned history began (e.g. a backfilled day)
+            entry = null;
+        }
+        
+        if (!entry) {
+            const scanStart = this.getScanStart(habit, daysData);
+            const { runs, current } = scanStreakRuns(habit, daysData, parseDate(scanStart), isDue);
+            entry = { runs, current, scanStart, computedOn: today, dirtyFrom: null };
+            this.entries[habit.id] = entry;
+            return entry;
+        }
+        
+        if (entry.dirtyFrom === null) {
+            return entry;
+        }
+        
+        // Restart at the run that was in progress on the changed day; everything
+        // before it can't depend on the change
+        let keepCount = entry.runs.length;
+        while (keepCount > 0 && entry.runs[keepCount - 1].startDate >= entry.dirtyFrom) {
+            keepCount--;
+        }
+        let rescanFrom = entry.dirtyFrom;
+        if (keepCount > 0) {
+            rescanFrom = entry.runs[keepCount - 1].startDate;
+            keepCount--;
+        }
+        
+        const { runs, current } = scanStreakRuns(habit, daysData, parseDate(rescanFrom), isDue);
+        entry.runs = entry.runs.slice(0, keepCount).concat(runs);
+        entry.current = current;
+        entry.computedOn = today;
+        entry.dirtyFrom = null;
+        return entry;
+    }
+    
+    /**
+     * First day worth scanning: the habit's creation day, or an earlier
+     * backfilled completion for habits being built
+     * @param {Object} habit - Habit object
+     * @param {Object} daysData - Days data object from DataManager
+     * @returns {string} Date string
+     */
+    getScanStart(habit, daysData) {
+        const created = habit.createdAt ? new Date(habit.createdAt) : new Date();
+        let scanStart = formatDate(new Date(created.getFullYear(), created.getMonth(), created.getDate()));
+        
+        if (habit.kind !== 'negative') {
+            for (const dateStr of Object.keys(daysData)) {
+                if (dateStr < scanStart && daysData[dateStr]?.habits?.[habit.id] === true) {
+                    scanStart = dateStr;
+                }
+            }
+        }
+        
+        const today = getTodayString();
+        return scanStart > today ? today : scanStart;
+    }
+}
@@ -1,10 +1,13 @@
-const CACHE_NAME = 'track-deez-v3-ux-improvements';
+const CACHE_NAME = 'track-deez-v4-tracking-and-planner';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/formula-parser.js',
+  '/ical.js',
   '/app-main.js',
+  '/utils/constants.js',
   '/quick-tasks.js',
   '/manifest.json'
 ];
@@ -0,0 +1,71 @@
+/**
+ * Tests for correlation insights between habits and tracking fields
+ */
+
+import { createDataManager } from './load-app-scripts.js';
+
+const DAYS = 30;
+
+let dataManager;
+let dates;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+beforeEach(async () => {
+    dataManager = await createDataManager();
+    dataManager.data.habits = [{ id: 'walk', name: 'Walk', createdAt: new Date(2025, 11, 1).toISOString() }];
+    dataManager.data.trackingFields = [
+        { id: 'start', name: 'Sleep start', type: 'time' },
+        { id: 'end', name: 'Sleep end', type: 'time' },
+        { id: 'duration', name: 'Sleep duration', type: 'formula', formula: 'sleep_end - sleep_start' },
+        { id: 'score', name: 'Active score', type: 'formula', formula: 'walk * 10 + sleep_duration / 60' },
+        { id: 'energy', name: 'Energy', type: 'number' }
+    ];
+
+    dates = [];
+    for (let i = 0; i < DAYS; i++) {
+        const date = new Date(2026, 0, 1 + i, 12);
+        dates.push(date);
+        const startMinutes = 22 * 60 + (i * 13) % 60;
+        const endMinutes = 6 * 60 + (i * 37) % 120;
+        dataManager.data.days[dataManager.formatDate(date)] = {
+            habits: { walk: i % 3 === 0 },
+            tracking: {
+                start: `${pad(Math.floor(startMinutes / 60))}:${pad(startMinutes % 60)}`,
+                end: `${pad(Math.floor(endMinutes / 60))}:${pad(endMinutes % 60)}`,
+                // More sleep, more energy
+                energy: Math.round(endMinutes / 12)
+            }
+        };
+    }
+});
+
+function pairs(insights) {
+    return insights.map(insight => insight.kind === 'habit'
+        ? `${insight.habitId}->${insight.fieldId}`
+        : `${insight.sourceFieldId}->${insight.fieldId}`);
+}
+
+describe('getCorrelationInsights', () => {
+    test('skips formulas paired with the values they are calculated from', () => {
+        const found = pairs(dataManager.getCorrelationInsights(dates, { minCorrelation: 0.01 }));
+        const related = [
+            ['duration', 'start'], ['duration', 'end'],
+            ['score', 'duration'], ['score', 'start'], ['score', 'end'],
+            ['walk', 'score']
+        ];
+
+        related.forEach(([a, b]) => {
+            expect(found).not.toContain(`${a}->${b}`);
+            expect(found).not.toContain(`${b}->${a}`);
+        });
+    });
+
+    test('still relates formulas to independent fields', () => {
+        const found = pairs(dataManager.getCorrelationInsights(dates));
+        expect(found).toContain('duration->energy');
+        expect(found).toContain('end->energy');
+    });
+});
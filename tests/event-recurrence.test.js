@@ -0,0 +1,182 @@
+/**
+ * Tests for recurring calendar events: expanding rules into dates, and editing
+ * or deleting part of a series
+ */
+
+import { createDataManager } from './load-app-scripts.js';
+
+let dataManager;
+
+beforeEach(async () => {
+    dataManager = await createDataManager();
+});
+
+function addSeries(recurrence, date = '2026-10-05', id = 'series') {
+    const event = { id, name: 'Standup', description: '', date, startTime: '09:00', duration: 15, recurrence };
+    dataManager.data.events.push(event);
+    return event;
+}
+
+function recurrenceDates(event, from, to) {
+    return dataManager.getRecurrenceDates(event, dataManager.parseLocalDate(from), dataManager.parseLocalDate(to))
+        .map(date => dataManager.formatLocalDate(date));
+}
+
+// Every occurrence in a range as 'YYYY-MM-DD name'
+function occurrences(from, to) {
+    const result = [];
+    dataManager.getEventOccurrences(from, to).forEach((events, dateStr) => {
+        events.forEach(event => result.push(`${dateStr} ${event.name}`));
+    });
+    return result.sort();
+}
+
+describe('getRecurrenceDates', () => {
+    test('steps daily rules by their interval from the first date', () => {
+        const event = addSeries({ type: 'daily', interval: 3 });
+        expect(recurrenceDates(event, '2026-10-01', '2026-10-15')).toEqual([
+            '2026-10-05', '2026-10-08', '2026-10-11', '2026-10-14'
+        ]);
+        // A range starting mid-series keeps the same days
+        expect(recurrenceDates(event, '2026-10-12', '2026-10-20')).toEqual(['2026-10-14', '2026-10-17', '2026-10-20']);
+    });
+
+    test('repeats weekly rules on the chosen weekdays every N weeks', () => {
+        const event = addSeries({ type: 'weekly', interval: 2, daysOfWeek: [1, 4] });
+        expect(recurrenceDates(event, '2026-10-01', '2026-11-08')).toEqual([
+            '2026-10-05', '2026-10-08', '2026-10-19', '2026-10-22', '2026-11-02', '2026-11-05'
+        ]);
+    });
+
+    test('counts occurrences from the first date, not from the range', () => {
+        const event = addSeries({ type: 'weekly', daysOfWeek: [1, 3], occurrences: 5 });
+        expect(recurrenceDates(event, '2026-10-01', '2026-12-31')).toEqual([
+            '2026-10-05', '2026-10-07', '2026-10-12', '2026-10-14', '2026-10-19'
+        ]);
+        expect(recurrenceDates(event, '2026-10-13', '2026-12-31')).toEqual(['2026-10-14', '2026-10-19']);
+
+        const daily = addSeries({ type: 'daily', interval: 2, occurrences: 3 }, '2026-10-05', 'daily');
+        expect(recurrenceDates(daily, '2026-10-08', '2026-10-31')).toEqual(['2026-10-09']);
+    });
+
+    test('stops at the end date', () => {
+        const event = addSeries({ type: 'daily', endDate: '2026-10-07' });
+        expect(recurrenceDates(event, '2026-10-01', '2026-10-31')).toEqual(['2026-10-05', '2026-10-06', '2026-10-07']);
+    });
+
+    test('skips months without the chosen day of the month', () => {
+        const event = addSeries({ type: 'monthly', dayOfMonth: 31 }, '2026-01-31');
+        expect(recurrenceDates(event, '2026-01-01', '2026-07-31')).toEqual([
+            '2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31'
+        ]);
+    });
+
+    test('follows monthly weekday patterns', () => {
+        const secondTuesday = addSeries({ type: 'monthly', monthlyPattern: { week: 2, dayOfWeek: 2 } }, '2026-10-13');
+        expect(recurrenceDates(secondTuesday, '2026-10-01', '2027-01-31')).toEqual([
+            '2026-10-13', '2026-11-10', '2026-12-08', '2027-01-12'
+        ]);
+
+        const lastFriday = addSeries({ type: 'monthly', interval: 2, monthlyPattern: { week: -1, dayOfWeek: 5 } }, '2026-01-30', 'last');
+        expect(recurrenceDates(lastFriday, '2026-01-01', '2026-07-31')).toEqual([
+            '2026-01-30', '2026-03-27', '2026-05-29', '2026-07-31'
+        ]);
+    });
+
+    test('repeats February 29 only in leap years', () => {
+        const event = addSeries({ type: 'yearly' }, '2028-02-29');
+        expect(recurrenceDates(event, '2028-01-01', '2036-12-31')).toEqual(['2028-02-29', '2032-02-29', '2036-02-29']);
+    });
+});
+
+describe('splitEventSeries', () => {
+    test('keeps every occurrence when this and following are renamed', async () => {
+        addSeries({ type: 'weekly', daysOfWeek: [1], occurrences: 6 });
+        const before = occurrences('2026-10-01', '2026-12-31');
+
+        const newEvent = await dataManager.updateEvent(
+            'series', 'Retro', '', '2026-10-19', '09:00', 15,
+            { type: 'weekly', daysOfWeek: [1], occurrences: 6 }, 'following', '2026-10-19'
+        );
+
+        expect(newEvent.recurrence.occurrences).toBe(4);
+        expect(dataManager.data.events.find(e => e.id === 'series').recurrence.endDate).toBe('2026-10-18');
+        expect(occurrences('2026-10-01', '2026-12-31')).toEqual(before.map(entry =>
+            entry.slice(0, 10) >= '2026-10-19' ? `${entry.slice(0, 10)} Retro` : entry
+        ));
+    });
+
+    test('moves later exceptions and changed occurrences to the new series', () => {
+        const event = addSeries({
+            type: 'weekly',
+            daysOfWeek: [1],
+            exceptionDates: ['2026-10-12', '2026-11-02'],
+            overrides: {
+                '2026-10-26': { name: 'Moved', description: '', date: '2026-10-27', startTime: '10:00', duration: 15 }
+            }
+        });
+
+        const newEvent = dataManager.splitEventSeries(
+            event, '2026-10-19',
+            { name: 'Standup', description: '', date: '2026-10-19', startTime: '09:00', duration: 15 },
+            { type: 'weekly', daysOfWeek: [1] }
+        );
+
+        expect(event.recurrence.exceptionDates).toEqual(['2026-10-12']);
+        expect(event.recurrence.overrides).toEqual({});
+        expect(newEvent.recurrence.exceptionDates).toEqual(['2026-11-02']);
+        expect(Object.keys(newEvent.recurrence.overrides)).toEqual(['2026-10-26']);
+        expect(occurrences('2026-10-01', '2026-11-10')).toEqual([
+            '2026-10-05 Standup', '2026-10-19 Standup', '2026-10-27 Moved', '2026-11-09 Standup'
+        ]);
+    });
+
+    test('keeps the same weeks for every-other-week rules', () => {
+        const event = addSeries({ type: 'weekly', interval: 2, daysOfWeek: [1, 4] });
+        const before = occurrences('2026-10-01', '2026-11-30');
+
+        // Split on the Thursday of a repeating week
+        const newEvent = dataManager.splitEventSeries(
+            event, '2026-10-22',
+            { name: 'Standup', description: '', date: '2026-10-22', startTime: '09:00', duration: 15 },
+            { type: 'weekly', interval: 2, daysOfWeek: [1, 4] }
+        );
+
+        expect(newEvent.date).toBe('2026-10-19');
+        expect(occurrences('2026-10-01', '2026-11-30')).toEqual(before);
+    });
+
+    test('carries the remaining count over to the new series', () => {
+        const event = addSeries({ type: 'daily', interval: 2, occurrences: 5 });
+        const newEvent = dataManager.splitEventSeries(
+            event, '2026-10-09',
+            { name: 'Standup', description: '', date: '2026-10-09', startTime: '09:00', duration: 15 },
+            { type: 'daily', interval: 2, occurrences: 5 }
+        );
+
+        expect(newEvent.recurrence.occurrences).toBe(3);
+        expect(occurrences('2026-10-01', '2026-10-31')).toEqual([
+            '2026-10-05 Standup', '2026-10-07 Standup', '2026-10-09 Standup', '2026-10-11 Standup', '2026-10-13 Standup'
+        ]);
+    });
+});
+
+describe('deleteEvent', () => {
+    test('removes one occurrence, or this and following', async () => {
+        addSeries({ type: 'weekly', daysOfWeek: [1] });
+
+        await dataManager.deleteEvent('series', 'this', '2026-10-12');
+        expect(occurrences('2026-10-01', '2026-10-31')).toEqual([
+            '2026-10-05 Standup', '2026-10-19 Standup', '2026-10-26 Standup'
+        ]);
+
+        await dataManager.deleteEvent('series', 'following', '2026-10-19');
+        expect(occurrences('2026-10-01', '2026-12-31')).toEqual(['2026-10-05 Standup']);
+    });
+
+    test('removes the whole series when deleting from its first occurrence', async () => {
+        addSeries({ type: 'weekly', daysOfWeek: [1] });
+        await dataManager.deleteEvent('series', 'following', '2026-10-05');
+        expect(dataManager.data.events).toEqual([]);
+    });
+});
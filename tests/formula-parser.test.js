@@ -0,0 +1,83 @@
+/**
+ * Tests for FormulaParser (calculated tracking fields)
+ */
+
+import { loadAppScripts } from './load-app-scripts.js';
+
+const { FormulaParser } = loadAppScripts(['formula-parser.js'], ['FormulaParser']);
+
+// Times of day are minutes since midnight, as DataManager resolves them
+const VALUES = {
+    calories_in: { value: 2200, isTime: false },
+    calories_out: { value: 1800, isTime: false },
+    zero: { value: 0, isTime: false },
+    bedtime: { value: 23 * 60 + 30, isTime: true },
+    wake: { value: 7 * 60 + 15, isTime: true },
+    lunch: { value: 12 * 60, isTime: true }
+};
+
+function calculate(formula) {
+    return FormulaParser.evaluate(FormulaParser.parse(formula), (name) => VALUES[name] || null);
+}
+
+describe('FormulaParser.parse', () => {
+    test('follows arithmetic precedence and parentheses', () => {
+        expect(calculate('1 + 2 * 3')).toBe(7);
+        expect(calculate('(1 + 2) * 3')).toBe(9);
+        expect(calculate('-2 * -3')).toBe(6);
+        expect(calculate('10 % 4 + .5')).toBe(2.5);
+    });
+
+    test('calls the built-in functions', () => {
+        expect(calculate('max(calories_in, calories_out) - min(1, 2, 3)')).toBe(2199);
+        expect(calculate('abs(calories_out - calories_in)')).toBe(400);
+        expect(calculate('round(10 / 3, 2)')).toBe(3.33);
+    });
+
+    test.each([
+        ['', 'Enter a formula'],
+        ['1 +', 'Formula ends unexpectedly'],
+        ['(1 + 2', 'Missing ")"'],
+        ['1 2', 'Unexpected "2"'],
+        ['1 $ 2', 'Unexpected "$"'],
+        ['max()', 'max() needs at least one value'],
+        ['sqrt(4)', 'Unknown function "sqrt"']
+    ])('rejects %j', (formula, message) => {
+        expect(() => FormulaParser.parse(formula)).toThrow(message);
+    });
+
+    test.each(['__proto__(1)', 'constructor(1) + 2', 'toString(1)', 'hasOwnProperty(1)'])(
+        'does not treat the inherited name in %j as a function',
+        (formula) => {
+            expect(() => FormulaParser.parse(formula)).toThrow('Unknown function');
+        }
+    );
+
+    test('lists the variables a formula uses', () => {
+        const tree = FormulaParser.parse('calories_in - calories_out + max(calories_in, bedtime)');
+        expect([...FormulaParser.getVariables(tree)].sort()).toEqual(['bedtime', 'calories_in', 'calories_out']);
+    });
+});
+
+describe('FormulaParser.evaluate', () => {
+    test('subtracts times of day across midnight', () => {
+        expect(calculate('wake - bedtime')).toBe(7 * 60 + 45);
+        expect(calculate('bedtime - lunch')).toBe(11 * 60 + 30);
+        expect(calculate('lunch - lunch')).toBe(0);
+    });
+
+    test('keeps a time shifted by minutes as a time', () => {
+        expect(calculate('wake - (bedtime + 60)')).toBe(6 * 60 + 45);
+    });
+
+    test('gives no result when dividing by zero', () => {
+        expect(calculate('calories_in / zero')).toBeNull();
+        expect(calculate('calories_in % 0')).toBeNull();
+        expect(calculate('max(1, 1 / 0)')).toBeNull();
+    });
+
+    test('gives no result when a value is missing', () => {
+        expect(calculate('calories_in - not_tracked')).toBeNull();
+        expect(calculate('-not_tracked')).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for ICalendar (iCalendar text reading and writing)
+ */
+
+import { TextEncoder } from 'util';
+import { loadAppScripts } from './load-app-scripts.js';
+
+const { ICalendar } = loadAppScripts(['ical.js'], ['ICalendar']);
+
+// Expected local date and time of an instant on the machine running the tests
+function localParts(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+        unknownZone: null
+    };
+}
+
+function octets(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+function property(line) {
+    return ICalendar.parseLine(line);
+}
+
+describe('ICalendar line folding', () => {
+    test('folds long lines at 75 octets', () => {
+        const line = `SUMMARY:${'x'.repeat(200)}`;
+        const text = ICalendar.stringify([line]);
+        const physical = text.split('\r\n').filter(Boolean);
+
+        expect(physical.length).toBeGreaterThan(1);
+        physical.forEach(part => expect(octets(part)).toBeLessThanOrEqual(75));
+        physical.slice(1).forEach(part => expect(part.startsWith(' ')).toBe(true));
+        expect(text.endsWith('\r\n')).toBe(true);
+    });
+
+    test('never splits a multi-byte character', () => {
+        const line = `SUMMARY:${'é🌅'.repeat(40)}`;
+        const physical = ICalendar.stringify([line]).split('\r\n').filter(Boolean);
+
+        physical.forEach(part => {
+            expect(octets(part)).toBeLessThanOrEqual(75);
+            expect(part).not.toContain('�');
+        });
+        expect(physical.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+
+    test('unfolds what it folds', () => {
+        const summary = `Long ${'event name '.repeat(20)}with ; commas, and \\ slashes`;
+        const text = ICalendar.stringify([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            ICalendar.formatLine('SUMMARY', ICalendar.escapeText(summary)),
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ]);
+        const [calendar] = ICalendar.parse(text);
+        const vevent = calendar.components[0];
+
+        expect(ICalendar.unescapeText(ICalendar.getProperty(vevent, 'SUMMARY').value)).toBe(summary);
+    });
+
+    test('unfolds continuation lines that start with a tab or use bare LF', () => {
+        const text = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nDESCRIPTION:first\n\t part\n  second\nEND:VEVENT\nEND:VCALENDAR\n';
+        const vevent = ICalendar.parse(text)[0].components[0];
+
+        expect(ICalendar.getProperty(vevent, 'DESCRIPTION').value).toBe('first part second');
+    });
+
+    test('rejects text that is not a calendar', () => {
+        expect(() => ICalendar.parse('hello')).toThrow('not an iCalendar');
+    });
+});
+
+describe('ICalendar.parseLine', () => {
+    test('reads parameters, including quoted values with colons', () => {
+        expect(property('DTSTART;TZID="Europe/Paris:Custom";VALUE=DATE-TIME:20261018T093000')).toEqual({
+            name: 'DTSTART',
+            params: { TZID: 'Europe/Paris:Custom', VALUE: 'DATE-TIME' },
+            value: '20261018T093000'
+        });
+    });
+});
+
+describe('ICalendar.parseDateTimes', () => {
+    test('reads all-day dates as written', () => {
+        expect(ICalendar.parseDateTimes(property('DTSTART;VALUE=DATE:20261018'))).toEqual([
+            { date: '2026-10-18', time: null, unknownZone: null }
+        ]);
+    });
+
+    test('reads floating times as written', () => {
+        expect(ICalendar.parseDateTimes(property('DTSTART:20261018T093000'))).toEqual([
+            { date: '2026-10-18', time: '09:30', unknownZone: null }
+        ]);
+    });
+
+    test('converts UTC times to local time', () => {
+        expect(ICalendar.parseDateTimes(property('DTSTART:20261018T233000Z'))).toEqual([
+            localParts(Date.UTC(2026, 9, 18, 23, 30))
+        ]);
+    });
+
+    test('converts TZID times to local time, including across daylight saving', () => {
+        // New York is UTC-4 in summer and UTC-5 in winter
+        expect(ICalendar.parseDateTimes(property('DTSTART;TZID=America/New_York:20260715T090000'))).toEqual([
+            localParts(Date.UTC(2026, 6, 15, 13, 0))
+        ]);
+        expect(ICalendar.parseDateTimes(property('DTSTART;TZID=America/New_York:20260115T090000'))).toEqual([
+            localParts(Date.UTC(2026, 0, 15, 14, 0))
+        ]);
+        // The morning clocks go forward (2026-03-08, 02:00 -> 03:00)
+        expect(ICalendar.parseDateTimes(property('DTSTART;TZID=America/New_York:20260308T120000'))).toEqual([
+            localParts(Date.UTC(2026, 2, 8, 16, 0))
+        ]);
+    });
+
+    test('keeps the written time and reports an unknown TZID', () => {
+        expect(ICalendar.parseDateTimes(property('DTSTART;TZID=Not/AZone:20261018T093000'))).toEqual([
+            { date: '2026-10-18', time: '09:30', unknownZone: 'Not/AZone' }
+        ]);
+    });
+
+    test('reads every value in a list', () => {
+        const values = ICalendar.parseDateTimes(property('EXDATE;VALUE=DATE:20261018,20261025'));
+        expect(values.map(value => value.date)).toEqual(['2026-10-18', '2026-10-25']);
+    });
+
+    test('rejects unreadable dates', () => {
+        expect(() => ICalendar.parseDateTimes(property('DTSTART:2026-10-18'))).toThrow('Unreadable date');
+    });
+});
+
+describe('ICalendar.parseDuration', () => {
+    test.each([
+        ['PT1H30M', 90],
+        ['PT45M', 45],
+        ['P1D', 1440],
+        ['P1W', 10080],
+        ['P1DT2H', 1560],
+        ['PT90S', 1],
+        ['-PT15M', -15],
+        ['+PT15M', 15]
+    ])('reads %s as %i minutes', (value, minutes) => {
+        expect(ICalendar.parseDuration(value)).toBe(minutes);
+    });
+
+    test.each(['', '1H', 'P1H', 'PT1.5H'])('returns null for %j', (value) => {
+        expect(ICalendar.parseDuration(value)).toBeNull();
+    });
+});
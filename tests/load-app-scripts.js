@@ -0,0 +1,64 @@
+/**
+ * Load the app's classic (non-module) scripts for testing
+ *
+ * formula-parser.js, ical.js and app-main.js declare globals instead of
+ * exporting, so they're run in a sandbox and the named classes read back out.
+ */
+
+import fs from 'fs';
+import vm from 'vm';
+import { TextEncoder } from 'util';
+import { TIME_OF_DAY_SECTIONS } from '../utils/constants.js';
+
+/**
+ * Run scripts in one sandbox, in the order index.html loads them
+ * @param {string[]} files - Script paths relative to the repository root
+ * @param {string[]} names - Globals to return, e.g. ['DataManager']
+ * @returns {Object} Map of name to the sandbox's value
+ */
+export function loadAppScripts(files, names) {
+    const storage = {};
+    const context = vm.createContext({
+        // The app logs as it loads and saves, including the IndexedDB fallback below
+        console: { ...console, log() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        // Set by the module script in index.html
+        window: { appConstants: { TIME_OF_DAY_SECTIONS } },
+        localStorage: {
+            getItem: (key) => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: (key) => { delete storage[key]; }
+        },
+        document: {
+            addEventListener() {},
+            getElementById() { return null; }
+        },
+        // DataManager falls back to localStorage when IndexedDB fails to open
+        DBManager: class {
+            async init() { throw new Error('IndexedDB is not available in tests'); }
+        },
+        CloudStorageManager: class {
+            async initializeFromConfig() {}
+            isCloudMode() { return false; }
+            isConfigured() { return false; }
+        }
+    });
+
+    const source = files
+        .map(file => fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'))
+        .join('\n');
+    return vm.runInContext(`${source}\n({ ${names.join(', ')} });`, context);
+}
+
+/**
+ * Create a DataManager with empty data that saves to the sandbox's localStorage
+ * @returns {Promise<Object>} Initialized DataManager
+ */
+export async function createDataManager() {
+    const { DataManager } = loadAppScripts(['formula-parser.js', 'ical.js', 'app-main.js'], ['DataManager']);
+    const dataManager = new DataManager();
+    await dataManager.ensureInitialized();
+    return dataManager;
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for laying out overlapping planner blocks and finding conflicts
+ */
+
+import { loadAppScripts } from './load-app-scripts.js';
+
+const { DataManager, PlannerManager } = loadAppScripts(
+    ['formula-parser.js', 'ical.js', 'app-main.js'],
+    ['DataManager', 'PlannerManager']
+);
+
+let plannerManager;
+
+beforeEach(async () => {
+    const dataManager = new DataManager();
+    await dataManager.ensureInitialized();
+    plannerManager = new PlannerManager(dataManager);
+});
+
+function block(id, startTime, endTime, date = '2026-10-19') {
+    return { id, date, startTime, endTime, title: id, category: 'work', notes: '' };
+}
+
+// Block id -> 'column/span/columns'
+function layoutOf(events) {
+    const layout = plannerManager.layoutEvents(events);
+    const result = {};
+    layout.forEach(({ column, span, columns }, id) => {
+        result[id] = `${column}/${span}/${columns}`;
+    });
+    return result;
+}
+
+describe('layoutEvents', () => {
+    test('gives separate blocks the full width', () => {
+        expect(layoutOf([block('a', '09:00', '10:00'), block('b', '10:00', '11:00'), block('c', '13:00', '14:00')])).toEqual({
+            a: '0/1/1', b: '0/1/1', c: '0/1/1'
+        });
+    });
+
+    test('puts overlapping blocks side by side', () => {
+        expect(layoutOf([block('b', '09:30', '10:30'), block('a', '09:00', '10:00')])).toEqual({
+            a: '0/1/2', b: '1/1/2'
+        });
+    });
+
+    test('reuses a column once the block in it has ended', () => {
+        // a and c don't overlap, but both overlap b, so all three share two columns
+        expect(layoutOf([block('a', '09:00', '10:00'), block('b', '09:30', '11:00'), block('c', '10:30', '12:00')])).toEqual({
+            a: '0/1/2', b: '1/1/2', c: '0/1/2'
+        });
+    });
+
+    test('widens blocks into free columns to their right', () => {
+        expect(layoutOf([
+            block('long', '09:00', '12:00'),
+            block('b', '09:00', '10:00'),
+            block('c', '09:00', '10:00'),
+            block('d', '10:00', '11:00')
+        ])).toEqual({
+            long: '0/1/3', b: '1/1/3', c: '2/1/3', d: '1/2/3'
+        });
+    });
+
+    test('starts a new group after a gap', () => {
+        expect(layoutOf([
+            block('a', '09:00', '10:00'),
+            block('b', '09:00', '10:00'),
+            block('c', '10:00', '11:00')
+        ])).toEqual({
+            a: '0/1/2', b: '1/1/2', c: '0/1/1'
+        });
+    });
+
+    test('puts longer blocks first when they start together', () => {
+        expect(layoutOf([block('short', '09:00', '09:30'), block('long', '09:00', '11:00')])).toEqual({
+            long: '0/1/2', short: '1/1/2'
+        });
+    });
+});
+
+describe('getConflicts', () => {
+    test('lists overlapping blocks on the same day, in start order', () => {
+        plannerManager.dataManager.data.plannerEvents.push(
+            block('late', '10:30', '11:30'),
+            block('early', '08:30', '09:30'),
+            block('touching', '11:30', '12:00'),
+            block('other-day', '10:00', '11:00', '2026-10-20')
+        );
+
+        expect(plannerManager.getConflicts('2026-10-19', '09:00', '11:30').map(e => e.id)).toEqual(['early', 'late']);
+        expect(plannerManager.getConflicts('2026-10-19', '09:00', '11:30', 'late').map(e => e.id)).toEqual(['early']);
+        expect(plannerManager.getConflicts('2026-10-19', '12:00', '12:30')).toEqual([]);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the incrementally updated StreakCache
+ *
+ * Every check compares the cached, incrementally refreshed result with a fresh
+ * cache, which scans the whole history from scratch.
+ */
+
+import { jest } from '@jest/globals';
+import { StreakCache } from '../modules/streak-calculator.js';
+import { formatDate, addDays } from '../utils/date-utils.js';
+
+const HABIT_ID = 'habit1';
+
+function createCache(habits, daysData, isHabitDue = null) {
+    return new StreakCache(() => habits, () => daysData, isHabitDue);
+}
+
+function setCompleted(daysData, dateStr, completed) {
+    if (!daysData[dateStr]) daysData[dateStr] = { habits: {} };
+    daysData[dateStr].habits[HABIT_ID] = completed;
+}
+
+function expectMatchesFullRescan(cache, habits, daysData, isHabitDue = null) {
+    expect(cache.getStatus(HABIT_ID)).toEqual(createCache(habits, daysData, isHabitDue).getStatus(HABIT_ID));
+}
+
+describe('StreakCache', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date(2026, 2, 20, 10, 0) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('matches a full rescan after each toggled day', () => {
+        const habits = [{ id: HABIT_ID, createdAt: new Date(2026, 1, 1).toISOString() }];
+        const daysData = {};
+        const cache = createCache(habits, daysData);
+        cache.getStatus(HABIT_ID);
+
+        // Fixed pseudo-random walk over the habit's history
+        let seed = 7;
+        for (let step = 0; step < 200; step++) {
+            seed = (seed * 31 + 11) % 997;
+            const dateStr = formatDate(addDays(new Date(2026, 1, 1), seed % 48));
+            setCompleted(daysData, dateStr, seed % 3 !== 0);
+            cache.invalidate(HABIT_ID, dateStr);
+            expectMatchesFullRescan(cache, habits, daysData);
+        }
+    });
+
+    test('matches a full rescan with a schedule and for negative habits', () => {
+        const weekdays = (habit, date) => date.getDay() !== 0 && date.getDay() !== 6;
+        const createdAt = new Date(2026, 2, 1).toISOString();
+
+        [{ id: HABIT_ID, createdAt }, { id: HABIT_ID, createdAt, kind: 'negative' }].forEach(habit => {
+            const habits = [habit];
+            const daysData = {};
+            const cache = createCache(habits, daysData, weekdays);
+            cache.getStatus(HABIT_ID);
+
+            ['2026-03-02', '2026-03-03', '2026-03-09', '2026-03-06', '2026-03-16', '2026-03-13'].forEach(dateStr => {
+                setCompleted(daysData, dateStr, true);
+                cache.invalidate(HABIT_ID, dateStr);
+                expectMatchesFullRescan(cache, habits, daysData, weekdays);
+            });
+        });
+    });
+
+    test('rescans from scratch when a day before the scanned history changes', () => {
+        const habits = [{ id: HABIT_ID, createdAt: new Date(2026, 2, 10).toISOString() }];
+        const daysData = {};
+        ['2026-03-10', '2026-03-11', '2026-03-12'].forEach(dateStr => setCompleted(daysData, dateStr, true));
+        const cache = createCache(habits, daysData);
+        expect(cache.getStatus(HABIT_ID).longest).toBe(3);
+
+        // Backfill a run that starts before the habit was created
+        ['2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07', '2026-03-08'].forEach(dateStr => {
+            setCompleted(daysData, dateStr, true);
+        });
+        cache.invalidate(HABIT_ID, '2026-03-04');
+
+        const status = cache.getStatus(HABIT_ID);
+        expect(status.longest).toBe(5);
+        expect(status.longestPeriod.startDate).toBe('2026-03-04');
+        expectMatchesFullRescan(cache, habits, daysData);
+    });
+
+    test('ignores slips logged before a negative habit was created', () => {
+        const habits = [{ id: HABIT_ID, createdAt: new Date(2026, 2, 15).toISOString(), kind: 'negative' }];
+        const daysData = {};
+        const cache = createCache(habits, daysData);
+        expect(cache.getStatus(HABIT_ID).current).toBe(6);
+
+        setCompleted(daysData, '2026-03-01', true);
+        cache.invalidate(HABIT_ID, '2026-03-01');
+
+        expect(cache.getStatus(HABIT_ID).current).toBe(6);
+        expectMatchesFullRescan(cache, habits, daysData);
+    });
+
+    test('picks up the day rollover without an invalidation', () => {
+        const habits = [{ id: HABIT_ID, createdAt: new Date(2026, 2, 1).toISOString() }];
+        const daysData = {};
+        ['2026-03-17', '2026-03-18', '2026-03-19'].forEach(dateStr => setCompleted(daysData, dateStr, true));
+        const cache = createCache(habits, daysData);
+
+        // Today isn't done yet, but it's still in progress
+        expect(cache.getStatus(HABIT_ID).current).toBe(3);
+
+        // The next morning the unfinished day breaks the streak
+        jest.setSystemTime(new Date(2026, 2, 21, 8, 0));
+        expect(cache.getStatus(HABIT_ID).current).toBe(0);
+        expect(cache.getStatus(HABIT_ID).longest).toBe(3);
+        expectMatchesFullRescan(cache, habits, daysData);
+
+        // Completing the new day starts a new run
+        setCompleted(daysData, '2026-03-21', true);
+        cache.invalidate(HABIT_ID, '2026-03-21');
+        expect(cache.getStatus(HABIT_ID).current).toBe(1);
+        expectMatchesFullRescan(cache, habits, daysData);
+    });
+
+    test('keeps a run going across the rollover when yesterday was completed', () => {
+        const habits = [{ id: HABIT_ID, createdAt: new Date(2026, 2, 1).toISOString() }];
+        const daysData = {};
+        ['2026-03-18', '2026-03-19', '2026-03-20'].forEach(dateStr => setCompleted(daysData, dateStr, true));
+        const cache = createCache(habits, daysData);
+        expect(cache.getStatus(HABIT_ID).current).toBe(3);
+
+        jest.setSystemTime(new Date(2026, 2, 21, 9, 0));
+        const status = cache.getStatus(HABIT_ID);
+        expect(status.current).toBe(3);
+        expect(status.completedToday).toBe(false);
+        expect(status.completedYesterday).toBe(true);
+        expectMatchesFullRescan(cache, habits, daysData);
+    });
+});
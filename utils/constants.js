@@ -50,6 +50,16 @@ export const NOTIFICATION_DEFAULTS = {
     enabled: false
 };
 
+// Time-of-day sections for habits (hours are local, end exclusive).
+// Hours before the morning starts count as the previous evening.
+// app-main.js reads this through window.appConstants, set up in index.html.
+export const TIME_OF_DAY_SECTIONS = [
+    { id: 'morning', label: 'Morning', icon: '🌅', startHour: 5, endHour: 12, reminderTime: '08:00' },
+    { id: 'afternoon', label: 'Afternoon', icon: '☀️', startHour: 12, endHour: 17, reminderTime: '13:00' },
+    { id: 'evening', label: 'Evening', icon: '🌙', startHour: 17, endHour: 24, reminderTime: '19:00' },
+    { id: 'anytime', label: 'Anytime', icon: '🕒', startHour: null, endHour: null, reminderTime: NOTIFICATION_DEFAULTS.dailyReminderTime }
+];
+
 // Date formats
 export const DATE_FORMAT = {
     display: 'MMM D, YYYY',